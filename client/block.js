@@ -8,15 +8,72 @@ polarity.export = PolarityComponent.extend({
   defaultMarkingColor: '#666',
   // Unified data structure for single list interface (Design Meeting requirement)
   unifiedResults: Ember.computed.alias('details.unifiedResults'),
+  // Entities with more results than were returned by the lookup
+  pagination: Ember.computed.alias('details.pagination'),
+
+  /**
+   * Score and confidence the submission form starts with, set by the Default Submission
+   * Values option
+   */
+  defaultSubmissionValues: Ember.computed(
+    'block.userOptions.defaultSubmissionValues',
+    function () {
+      const selectedValues = (
+        this.get('block.userOptions.defaultSubmissionValues') || []
+      ).map((selected) => selected.value || selected);
+      const scoreValue = selectedValues.find((value) => value.startsWith('score_'));
+      const confidenceValue = selectedValues.find((value) =>
+        value.startsWith('confidence_')
+      );
+
+      return {
+        score: scoreValue ? Number(scoreValue.replace('score_', '')) : 50,
+        confidence: confidenceValue
+          ? { low: 25, medium: 50, high: 75, certain: 100 }[
+              confidenceValue.replace('confidence_', '')
+            ]
+          : ''
+      };
+    }
+  ),
+
+  /**
+   * Submission fields made 'required' or 'disabled' by the Submission Field Restrictions
+   * option, keyed by field
+   */
+  submissionFieldRestrictions: Ember.computed(
+    'block.userOptions.submissionFieldRestrictions',
+    function () {
+      const restrictions = (
+        this.get('block.userOptions.submissionFieldRestrictions') || []
+      ).map((restriction) => restriction.value || restriction);
+
+      return ['score', 'description', 'labels'].reduce((agg, field) => {
+        agg[field] = restrictions.includes(`${field}_required`)
+          ? 'required'
+          : restrictions.includes(`${field}_disabled`)
+          ? 'disabled'
+          : undefined;
+        return agg;
+      }, {});
+    }
+  ),
 
   // Independent submission state object for form data
   submissionState: Ember.computed(function () {
+    const defaultSubmissionValues = this.get('defaultSubmissionValues');
+
     return Ember.Object.create({
       description: '',
-      score: 50,
+      score: defaultSubmissionValues.score,
       identity: {},
       selectedTags: Ember.A([]),
-      selectedMarkings: Ember.A([])
+      selectedMarkings: Ember.A([]),
+      confidence: defaultSubmissionValues.confidence,
+      validFrom: '',
+      validUntil: '',
+      indicatorTypes: Ember.A([]),
+      detection: false
     });
   }),
 
@@ -49,7 +106,9 @@ polarity.export = PolarityComponent.extend({
       score: result.score || 50,
       description: result.description || '',
       identity: result.createdBy || {},
-      selectedMarkings: result.markings || Ember.A([])
+      selectedMarkings: result.markings || Ember.A([]),
+      selectedTags: result.labels || Ember.A([]),
+      selectedTag: []
     });
   }),
   createMessage: '',
@@ -59,6 +118,7 @@ polarity.export = PolarityComponent.extend({
   selectedMarking: [],
   editingTags: false,
   editingMarkings: false,
+  isRefreshingMarkings: false,
   previousTagSearch: '',
   existingTags: Ember.A([]),
   interactionDisabled: Ember.computed(
@@ -79,11 +139,15 @@ polarity.export = PolarityComponent.extend({
     'unifiedResults.@each.__toBeSubmitted',
     'unifiedResults.@each.__submitAsObservable',
     'unifiedResults.@each.__submitAsIndicator',
+    'unifiedResults.@each.__submitAsVulnerability',
     function () {
       return !this.get('unifiedResults')
         .filter(
           (ioc) =>
-            ioc.__toBeSubmitted && (ioc.__submitAsObservable || ioc.__submitAsIndicator)
+            ioc.__toBeSubmitted &&
+            (ioc.__submitAsObservable ||
+              ioc.__submitAsIndicator ||
+              ioc.__submitAsVulnerability)
         )
         .some((ioc) => {
           const isNew = !ioc.isIndicator && !ioc.isObservable;
@@ -124,30 +188,45 @@ polarity.export = PolarityComponent.extend({
     }
   ),
 
-  // Granular permission checking for specific item types
-  hasIndicatorDeletePermission: Ember.computed(
-    'block.userOptions.deletionPermissions',
-    function () {
-      return this.canDeleteItemType(this.get('block.userOptions'), 'indicator');
-    }
-  ),
+  // Types searched by the lookup, set by the Search Return Types option
+  searchReturnTypes: Ember.computed('details.searchReturnTypes', function () {
+    return (
+      this.get('details.searchReturnTypes') || { indicators: true, observables: true }
+    );
+  }),
 
-  hasObservableDeletePermission: Ember.computed(
-    'block.userOptions.deletionPermissions',
-    function () {
-      return this.canDeleteItemType(this.get('block.userOptions'), 'observable');
-    }
-  ),
+  /**
+   * Whether the other type of a found indicator or observable was searched for.  If it
+   * was not, it may already exist in OpenCTI so "Add all" does not queue it.
+   * Vulnerabilities have no other type.
+   */
+  isCounterpartSearched: function (result) {
+    if (result.isVulnerability) return true;
+
+    const searchReturnTypes = this.get('searchReturnTypes');
+    return result.isIndicator
+      ? searchReturnTypes.observables
+      : searchReturnTypes.indicators;
+  },
+
+  // CVEs not found in OpenCTI can only be submitted as vulnerabilities
+  isNewVulnerability: function (result) {
+    return !result.foundInOpenCTI && result.entityType === 'cve';
+  },
 
   hasFoundInOpenCTIIndicatorsAvailableToSubmit: Ember.computed(
     'unifiedResults.@each.__toBeSubmitted',
     'unifiedResults.@each.__isOnExclusionList',
     'unifiedResults.@each.foundInOpenCTI',
     'unifiedResults.@each.canAddToSubmit',
+    'searchReturnTypes',
     function () {
       return this.get('unifiedResults').some(
         (result) =>
-          result.foundInOpenCTI && !result.__toBeSubmitted && result.canAddToSubmit
+          result.foundInOpenCTI &&
+          !result.__toBeSubmitted &&
+          result.canAddToSubmit &&
+          this.isCounterpartSearched(result)
       );
     }
   ),
@@ -158,7 +237,10 @@ polarity.export = PolarityComponent.extend({
     function () {
       return this.get('unifiedResults').some(
         (result) =>
-          !result.foundInOpenCTI && !result.__toBeSubmitted && !result.__isOnExclusionList
+          !result.foundInOpenCTI &&
+          !result.__toBeSubmitted &&
+          !result.__isOnExclusionList &&
+          !result.timedOut
       );
     }
   ),
@@ -205,6 +287,45 @@ polarity.export = PolarityComponent.extend({
       return this.get('unifiedResults').some((result) => result.__toBeSubmitted);
     }
   ),
+  /**
+   * Expiration applied to each type of indicator being submitted when Valid Until is
+   * left blank, based on the Default Indicator Lifetimes option.  `validUntil` is null
+   * if indicators of that type never expire.
+   */
+  defaultIndicatorExpirations: Ember.computed(
+    'unifiedResults.@each.{__toBeSubmitted,__submitAsIndicator}',
+    'submissionState.validFrom',
+    'details.indicatorLifetimes',
+    function () {
+      const lifetimes = this.get('details.indicatorLifetimes') || {};
+      const validFrom = this.get('submissionState.validFrom');
+
+      const entityTypes = this.get('unifiedResults')
+        .filter((result) => result.__toBeSubmitted && result.__submitAsIndicator)
+        .map((result) => result.entityType)
+        .filter(
+          (entityType, index, entityTypes) => entityTypes.indexOf(entityType) === index
+        );
+
+      return entityTypes.map((entityType) => {
+        const lifetimeInDays = lifetimes[entityType];
+        if (!lifetimeInDays) return { entityType, validUntil: null };
+
+        const validUntil = validFrom ? new Date(validFrom) : new Date();
+        validUntil.setUTCDate(validUntil.getUTCDate() + lifetimeInDays);
+
+        return { entityType, validUntil: validUntil.toISOString() };
+      });
+    }
+  ),
+  hasIndicatorTypeToBeSubmitted: Ember.computed(
+    'unifiedResults.@each.{__toBeSubmitted,__submitAsIndicator}',
+    function () {
+      return this.get('unifiedResults').some(
+        (result) => result.__toBeSubmitted && result.__submitAsIndicator
+      );
+    }
+  ),
 
   /**
    * OpenCTI-Specific Error Handling
@@ -255,28 +376,15 @@ polarity.export = PolarityComponent.extend({
   },
 
   /**
-   * Helper function to check if deletion is allowed for specific item type
-   * Mirrors server-side permission logic for consistent behavior
-   * @param {Object} userOptions - User configuration options
-   * @param {string} itemType - Type of item ('indicator' or 'observable')
-   * @returns {boolean} - Whether deletion is allowed for the specified item type
+   * Number of IOCs which failed to submit and can be retried
    */
-  canDeleteItemType(userOptions, itemType) {
-    if (!userOptions || !userOptions.deletionPermissions) {
-      return false;
-    }
-
-    if (!Array.isArray(userOptions.deletionPermissions)) {
-      return false;
+  numberOfFailedSubmissions: Ember.computed(
+    'unifiedResults.@each.__hasSubmissionError',
+    function () {
+      return this.get('unifiedResults').filter((result) => result.__hasSubmissionError)
+        .length;
     }
-
-    return userOptions.deletionPermissions.some((permission) => {
-      const permValue = permission.value || permission;
-      // Handle both singular and plural forms
-      return permValue === itemType + 's' || permValue === itemType;
-    });
-  },
-
+  ),
   /**
    * Returns true if any indicators are not in OpenCTI
    */
@@ -345,12 +453,17 @@ polarity.export = PolarityComponent.extend({
     },
     initiateItemEdit: function (result) {
       this.set('resultToEdit', result);
+      // Label search results are filtered by the selected labels which differ between
+      // the edit modal and the submission form so the previous search can't be reused
+      this.set('previousTagSearch', '');
       this.set('showEditModal', true);
     },
     cancelItemEdit: function () {
       this.set('showEditModal', false);
       this.set('resultToEdit', {});
       this.set('isEditing', false);
+      this.set('editingTagsEdit', false);
+      this.set('previousTagSearch', '');
     },
     saveItemEdit: function () {
       this.editItemRequest();
@@ -363,6 +476,7 @@ polarity.export = PolarityComponent.extend({
         this.set(`unifiedResults.${index}.__toBeSubmitted`, false);
         this.set(`unifiedResults.${index}.__submitAsObservable`, false);
         this.set(`unifiedResults.${index}.__submitAsIndicator`, false);
+        this.set(`unifiedResults.${index}.__submitAsVulnerability`, false);
       });
     },
     addToSubmissionList: function (result, index) {
@@ -371,17 +485,39 @@ polarity.export = PolarityComponent.extend({
         this.set(`unifiedResults.${index}.__submitAsObservable`, true);
       } else if (result.isObservable) {
         this.set(`unifiedResults.${index}.__submitAsIndicator`, true);
+      } else if (this.isNewVulnerability(result)) {
+        this.set(`unifiedResults.${index}.__submitAsVulnerability`, true);
       }
     },
     removeFromSubmissionList: function (result, index) {
       this.set(`unifiedResults.${index}.__toBeSubmitted`, false);
       this.set(`unifiedResults.${index}.__submitAsObservable`, false);
       this.set(`unifiedResults.${index}.__submitAsIndicator`, false);
+      this.set(`unifiedResults.${index}.__submitAsVulnerability`, false);
     },
     addAllNotInOpenCTIBeSubmitted: function () {
+      const searchReturnTypes = this.get('searchReturnTypes');
+      const searchedOneType =
+        !searchReturnTypes.indicators || !searchReturnTypes.observables;
+
       this.get('unifiedResults').forEach((result, index) => {
-        if (!result.foundInOpenCTI && !result.__isOnExclusionList) {
+        // Entities whose search timed out may already be in OpenCTI
+        if (!result.foundInOpenCTI && !result.__isOnExclusionList && !result.timedOut) {
           this.set(`unifiedResults.${index}.__toBeSubmitted`, true);
+
+          // Only the type which was searched is known to be missing from OpenCTI
+          if (this.isNewVulnerability(result)) {
+            this.set(`unifiedResults.${index}.__submitAsVulnerability`, true);
+          } else if (searchedOneType) {
+            this.set(
+              `unifiedResults.${index}.__submitAsIndicator`,
+              searchReturnTypes.indicators
+            );
+            this.set(
+              `unifiedResults.${index}.__submitAsObservable`,
+              searchReturnTypes.observables
+            );
+          }
         }
       });
     },
@@ -390,7 +526,8 @@ polarity.export = PolarityComponent.extend({
         if (
           result.foundInOpenCTI &&
           !result.__isOnExclusionList &&
-          result.canAddToSubmit
+          result.canAddToSubmit &&
+          this.isCounterpartSearched(result)
         ) {
           this.set(`unifiedResults.${index}.__toBeSubmitted`, true);
         }
@@ -399,6 +536,17 @@ polarity.export = PolarityComponent.extend({
     submitItems: function () {
       this.submitItemsRequest();
     },
+    retryFailedSubmissions: function () {
+      this.get('unifiedResults').forEach((result, index) => {
+        if (result.__hasSubmissionError) {
+          this.set(`unifiedResults.${index}.__hasSubmissionError`, false);
+          this.set(`unifiedResults.${index}.__errorMessage`, '');
+          this.set(`unifiedResults.${index}.__viewError`, false);
+          this.set(`unifiedResults.${index}.__toBeSubmitted`, true);
+        }
+      });
+      this.submitItemsRequest();
+    },
     deleteTag: function (tagToDelete) {
       this.set(
         'selectedTags',
@@ -407,6 +555,14 @@ polarity.export = PolarityComponent.extend({
         )
       );
     },
+    deleteTagEdit: function (tagToDelete) {
+      this.set(
+        'editFormData.selectedTags',
+        this.get('editFormData.selectedTags').filter(
+          (selectedTag) => selectedTag.value !== tagToDelete.value
+        )
+      );
+    },
     deleteMarking: function (markingToDelete) {
       this.set(
         'selectedMarkings',
@@ -458,6 +614,22 @@ polarity.export = PolarityComponent.extend({
       this.set('selectedTag', []);
       this.set('editingTags', false);
     },
+    addTagsEdit: function () {
+      const selectedTag = this.get('editFormData.selectedTag');
+      const selectedTags = this.get('editFormData.selectedTags');
+
+      let newSelectedTags = selectedTag.filter(
+        (tag) =>
+          !selectedTags.some(
+            (selectedTag) =>
+              tag.value.toLowerCase().trim() === selectedTag.value.toLowerCase().trim()
+          )
+      );
+
+      this.set('editFormData.selectedTags', selectedTags.concat(newSelectedTags));
+      this.set('editFormData.selectedTag', []);
+      this.set('editingTagsEdit', false);
+    },
     addMarkings: function () {
       const selectedMarking = this.get('selectedMarking');
       const selectedMarkings = this.get('selectedMarkings');
@@ -492,12 +664,88 @@ polarity.export = PolarityComponent.extend({
       this.set('editingMarkingsEdit', false);
     },
     resetSubmissionOptions: function () {
-      this.set('submissionState.score', 50);
+      const defaultSubmissionValues = this.get('defaultSubmissionValues');
+
+      this.set('submissionState.score', defaultSubmissionValues.score);
       this.set('submissionState.description', '');
       this.set('submissionState.identity', {});
+      this.set('submissionState.confidence', defaultSubmissionValues.confidence);
+      this.set('submissionState.validFrom', '');
+      this.set('submissionState.validUntil', '');
+      this.set('submissionState.indicatorTypes', Ember.A([]));
+      this.set('submissionState.detection', false);
       this.set('selectedTags', Ember.A([]));
       this.set('selectedMarkings', Ember.A([]));
+    },
+    refreshMarkings: function () {
+      this.set('isRefreshingMarkings', true);
+
+      this.sendIntegrationMessage({ action: 'refreshMarkings', data: {} })
+        .then(({ markings }) => {
+          this.set('details.markings', markings);
+          this.flashMessage('Markings refreshed', 'success');
+        })
+        .catch((err) => {
+          console.error('Error refreshing markings', err);
+          const userFriendlyError = this.parseOpenCTIError(err);
+          this.set('state.errorTitle', 'Refreshing Markings Failed');
+          this.set('state.errorMessage', userFriendlyError);
+          this.flashMessage(`Failed to refresh markings: ${userFriendlyError}`, 'danger');
+        })
+        .finally(() => {
+          this.set('isRefreshingMarkings', false);
+        });
+    },
+    loadMoreResults: function (entityPagination) {
+      this.loadMoreResultsRequest(entityPagination);
+    },
+    loadIndicatorTypes: function () {
+      // The vocabulary rarely changes so it is only loaded once per block
+      if (this.get('existingIndicatorTypes.length') > 0) {
+        return;
+      }
+
+      this.sendIntegrationMessage({ action: 'getIndicatorTypes', data: {} })
+        .then(({ indicatorTypes }) => {
+          this.set('existingIndicatorTypes', indicatorTypes);
+        })
+        .catch((err) => {
+          console.error('Error loading indicator types', err);
+          const userFriendlyError = this.parseOpenCTIError(err);
+          this.set('state.errorTitle', 'Loading Indicator Types Failed');
+          this.set('state.errorMessage', userFriendlyError);
+          this.set(
+            'createErrorMessage',
+            `Loading Indicator Types Failed: ${userFriendlyError}`
+          );
+        });
+    }
+  },
+  /**
+   * Describes what Atomic Submission undid after an IOC failed to submit
+   * @param {Object} [rollback] - `{ rolledBack, notRolledBack }` returned by submitIOCs
+   * @returns {string} Text appended to the IOC's error message
+   */
+  getRollbackMessage: function (rollback) {
+    if (!rollback) return '';
+
+    const types = (iocs) => iocs.map(({ type }) => type).join(' and ');
+    let message = '';
+
+    if (rollback.rolledBack.length) {
+      message += `. The created ${types(rollback.rolledBack)} ${
+        rollback.rolledBack.length > 1 ? 'were' : 'was'
+      } rolled back`;
     }
+    if (rollback.notRolledBack.length) {
+      message += `. The created ${types(
+        rollback.notRolledBack
+      )} could not be rolled back: ${rollback.notRolledBack
+        .map(({ error }) => error.message)
+        .join(', ')}`;
+    }
+
+    return message;
   },
   submitItemsRequest: function () {
     if (!this.get('hasIndicatorToBeSubmitted')) {
@@ -511,10 +759,15 @@ polarity.export = PolarityComponent.extend({
 
     const resultsArray = this.get('unifiedResults');
 
+    // Vulnerabilities found in OpenCTI are submitted so the submitted indicators are
+    // linked to them
     const iocsToEditAndCreate = resultsArray.filter(
       (result) =>
         result.__toBeSubmitted &&
-        (result.__submitAsObservable || result.__submitAsIndicator)
+        (result.__submitAsObservable ||
+          result.__submitAsIndicator ||
+          result.__submitAsVulnerability ||
+          result.isVulnerability)
     );
 
     if (iocsToEditAndCreate.length === 0) {
@@ -531,57 +784,159 @@ polarity.export = PolarityComponent.extend({
     const submissionScore = submissionData.get('score');
     const submissionDescription = submissionData.get('description');
     const submissionIdentityId = submissionData.get('identity.id');
-    const submissionLabelIds = submissionData.get('selectedTags').map((tag) => tag.id);
     const submissionMarkingIds = submissionData
       .get('selectedMarkings')
       .map((marking) => marking.id);
+    const submissionConfidence = submissionData.get('confidence');
+    const submissionValidFrom = submissionData.get('validFrom');
+    const submissionValidUntil = submissionData.get('validUntil');
+
+    const fieldRestrictions = this.get('submissionFieldRestrictions');
 
-    if (!submissionScore || submissionScore < 0 || submissionScore > 100) {
+    if (
+      fieldRestrictions.score !== 'disabled' &&
+      (!submissionScore || submissionScore < 0 || submissionScore > 100)
+    ) {
       this.flashMessage('Score must be between 0 and 100', 'danger', 3000);
       this.set('createIsRunning', false);
       return;
     }
 
-    // Compute attempted operations for accurate failure counts
-    const attemptedCreates = iocsToEditAndCreate.reduce(
-      (sum, ioc) =>
-        sum + (ioc.__submitAsIndicator ? 1 : 0) + (ioc.__submitAsObservable ? 1 : 0),
-      0
-    );
+    if (fieldRestrictions.description === 'required' && !submissionDescription.trim()) {
+      this.flashMessage('A description is required', 'danger', 3000);
+      this.set('createIsRunning', false);
+      return;
+    }
 
-    const payload = {
-      action: 'submitIOCs',
-      data: {
-        iocsToEditAndCreate,
-        description: submissionDescription,
-        score: submissionScore,
-        labels: submissionLabelIds,
-        markings: submissionMarkingIds,
-        authorId: submissionIdentityId
-      }
-    };
+    if (
+      fieldRestrictions.labels === 'required' &&
+      !submissionData.get('selectedTags').length
+    ) {
+      this.flashMessage('At least one label is required', 'danger', 3000);
+      this.set('createIsRunning', false);
+      return;
+    }
+
+    if (
+      submissionConfidence !== '' &&
+      (submissionConfidence < 0 || submissionConfidence > 100)
+    ) {
+      this.flashMessage('Confidence must be between 0 and 100', 'danger', 3000);
+      this.set('createIsRunning', false);
+      return;
+    }
+
+    // Dates are in YYYY-MM-DD format so they can be compared as strings
+    if (
+      submissionValidFrom &&
+      submissionValidUntil &&
+      submissionValidUntil <= submissionValidFrom
+    ) {
+      this.flashMessage('Valid Until must be after Valid From', 'danger', 3000);
+      this.set('createIsRunning', false);
+      return;
+    }
+
+    this.createNewLabels(submissionData.get('selectedTags'))
+      .then((labels) => {
+        this.set('selectedTags', labels);
+
+        const payload = {
+          action: 'submitIOCs',
+          data: {
+            iocsToEditAndCreate,
+            description: submissionDescription,
+            score: submissionScore,
+            labels: labels.map((tag) => tag.id),
+            markings: submissionMarkingIds,
+            authorId: submissionIdentityId,
+            confidence: submissionConfidence,
+            validFrom: submissionValidFrom,
+            validUntil: submissionValidUntil,
+            indicatorTypes: submissionData
+              .get('indicatorTypes')
+              .map((indicatorType) => indicatorType.name),
+            detection: submissionData.get('detection')
+          }
+        };
+
+        return this.sendIntegrationMessage(payload);
+      })
+      .then(({ createdIocs, results }) => {
+        const failedResultsByValue = new Map(
+          results
+            .filter((result) => !result.success)
+            .map((result) => [result.entityValue, result])
+        );
 
-    this.sendIntegrationMessage(payload)
-      .then(({ createdIocs }) => {
         // Remove any IOCs that are not found in OpenCTI but were submitted
-        // As these will now be replaced by the newly created indicator/observable
+        // As these will now be replaced by the newly created indicator/observable.
+        // IOCs which failed are kept so they can be retried.
         this.set(
           'unifiedResults',
           this.get('unifiedResults').filter(
             (result) =>
-              !(result.foundInOpenCTI === false && result.__toBeSubmitted === true)
+              !(
+                result.foundInOpenCTI === false &&
+                result.__toBeSubmitted === true &&
+                !failedResultsByValue.has(result.entityValue)
+              )
           )
         );
 
         // Go through existing unifiedResults and turn off submission values
         this.get('unifiedResults').forEach((result, index) => {
+          const failedResult =
+            result.__toBeSubmitted && failedResultsByValue.get(result.entityValue);
+
+          if (failedResult) {
+            this.set(`unifiedResults.${index}.__hasSubmissionError`, true);
+            this.set(
+              `unifiedResults.${index}.__errorMessage`,
+              `${failedResult.error.message} (${
+                failedResult.error.code
+              })${this.getRollbackMessage(failedResult.rollback)}`
+            );
+            // Only the types which were not created are submitted again on retry
+            this.set(
+              `unifiedResults.${index}.__submitAsIndicator`,
+              !!result.__submitAsIndicator && !failedResult.createdIndicator
+            );
+            this.set(
+              `unifiedResults.${index}.__submitAsObservable`,
+              !!result.__submitAsObservable && !failedResult.createdObservable
+            );
+            this.set(
+              `unifiedResults.${index}.__submitAsVulnerability`,
+              !!result.__submitAsVulnerability && !failedResult.createdVulnerability
+            );
+          } else {
+            this.set(`unifiedResults.${index}.__submitAsIndicator`, false);
+            this.set(`unifiedResults.${index}.__submitAsObservable`, false);
+            this.set(`unifiedResults.${index}.__submitAsVulnerability`, false);
+          }
           this.set(`unifiedResults.${index}.__toBeSubmitted`, false);
-          this.set(`unifiedResults.${index}.__submitAsIndicator`, false);
-          this.set(`unifiedResults.${index}.__submitAsObservable`, false);
+        });
+
+        // IOCs which already existed in OpenCTI are returned instead of being created
+        // again so they replace any row already showing them
+        const duplicates = results.flatMap((result) => result.duplicates || []);
+        const skippedIds = duplicates
+          .filter(({ action }) => action === 'skipped')
+          .map(({ id }) => id);
+        const createdIds = createdIocs.map(({ id }) => id);
+
+        createdIocs.forEach((createdIoc) => {
+          createdIoc.__alreadyExists = skippedIds.includes(createdIoc.id);
         });
 
         // Now add in our newly created IOCs
-        this.set('unifiedResults', this.get('unifiedResults').concat(createdIocs));
+        this.set(
+          'unifiedResults',
+          this.get('unifiedResults')
+            .filter((result) => !result.id || !createdIds.includes(result.id))
+            .concat(createdIocs)
+        );
 
         // Update whether the indicator/observable can be submitted
         this.refreshCanAddToSubmit();
@@ -590,14 +945,27 @@ polarity.export = PolarityComponent.extend({
         let messageType = 'success';
         let message = '';
 
-        if (createdIocs.length > 0) {
-          message = `${createdIocs.length} IOC${
-            createdIocs.length > 1 ? 's were' : ' was'
-          } submitted`;
+        const submittedIocs = createdIocs.length - duplicates.length;
+
+        if (submittedIocs > 0) {
+          message = `${submittedIocs} IOC${submittedIocs > 1 ? 's were' : ' was'} submitted`;
         }
 
-        // Compute failures based on attempted vs successful operations
-        const failedCreates = Math.max(attemptedCreates - createdIocs.length, 0);
+        const updatedIocs = duplicates.length - skippedIds.length;
+
+        if (updatedIocs > 0) {
+          message += `${message.length > 0 ? ' | ' : ''}${updatedIocs} existing IOC${
+            updatedIocs > 1 ? 's were' : ' was'
+          } updated`;
+        }
+
+        if (skippedIds.length > 0) {
+          message += `${message.length > 0 ? ' | ' : ''}${skippedIds.length} IOC${
+            skippedIds.length > 1 ? 's' : ''
+          } already existed in OpenCTI`;
+        }
+
+        const failedCreates = failedResultsByValue.size;
 
         if (failedCreates > 0) {
           message += `${message.length > 0 ? ' | ' : ''}${failedCreates} IOC${
@@ -606,7 +974,29 @@ polarity.export = PolarityComponent.extend({
           messageType = 'danger';
         }
 
-        this.flashMessage(message, messageType, failedCreates > 0 ? 10000 : 3000);
+        const failedLinks = results.filter(
+          (result) => result.linkStatus === 'failed'
+        ).length;
+
+        if (failedLinks > 0) {
+          message += `${message.length > 0 ? ' | ' : ''}${failedLinks} relationship${
+            failedLinks > 1 ? 's' : ''
+          } could not be created`;
+          messageType = 'danger';
+        }
+
+        const notRolledBack = results.flatMap(
+          (result) => (result.rollback && result.rollback.notRolledBack) || []
+        ).length;
+
+        if (notRolledBack > 0) {
+          message += `${message.length > 0 ? ' | ' : ''}${notRolledBack} created IOC${
+            notRolledBack > 1 ? 's' : ''
+          } could not be rolled back`;
+          messageType = 'danger';
+        }
+
+        this.flashMessage(message, messageType, messageType === 'danger' ? 10000 : 3000);
       })
       .catch((error) => {
         console.error('Error creating indicators', error);
@@ -623,6 +1013,45 @@ polarity.export = PolarityComponent.extend({
         this.set('createIsRunning', false);
       });
   },
+  loadMoreResultsRequest: function (entityPagination) {
+    Ember.set(entityPagination, '__isLoading', true);
+
+    this.sendIntegrationMessage({
+      action: 'loadMoreResults',
+      data: { pagination: entityPagination }
+    })
+      .then(({ unifiedSearchResults, pagination }) => {
+        // Results can already be shown if they also matched another entity
+        const newResults = unifiedSearchResults.filter(
+          (result) =>
+            !this.get('unifiedResults').some(
+              (existingResult) => existingResult.id === result.id
+            )
+        );
+        this.set('unifiedResults', this.get('unifiedResults').concat(newResults));
+
+        this.set(
+          'pagination',
+          pagination
+            ? this.get('pagination').map((otherPagination) =>
+                otherPagination === entityPagination ? pagination : otherPagination
+              )
+            : this.get('pagination').filter(
+                (otherPagination) => otherPagination !== entityPagination
+              )
+        );
+
+        this.refreshCanAddToSubmit();
+      })
+      .catch((err) => {
+        console.error('Error loading more results', err);
+        const userFriendlyError = this.parseOpenCTIError(err);
+        this.set('state.errorTitle', 'Loading More Results Failed');
+        this.set('state.errorMessage', userFriendlyError);
+        this.flashMessage(`Failed to load more results: ${userFriendlyError}`, 'danger');
+        Ember.set(entityPagination, '__isLoading', false);
+      });
+  },
   deleteItemRequest: function () {
     this.set('isDeleting', true);
 
@@ -675,7 +1104,7 @@ polarity.export = PolarityComponent.extend({
       })
       .catch((err) => {
         console.error('Error deleting entity', err);
-        const userFriendlyError = this.parseOpenCTIError(error);
+        const userFriendlyError = this.parseOpenCTIError(err);
         this.set('state.errorTitle', 'Deletion Failed');
         this.set('state.errorMessage', userFriendlyError);
         this.flashMessage(
@@ -703,12 +1132,17 @@ polarity.export = PolarityComponent.extend({
       resultToEdit.markings,
       editFormData.get('selectedMarkings')
     );
+    const labelsHaveChanged = !this.areIdArraysEqual(
+      resultToEdit.labels,
+      editFormData.get('selectedTags')
+    );
 
     const nothingChanged = !(
       scoreHasChanged ||
       descriptionHasChanged ||
       identityHasChanged ||
-      markingsHaveChanged
+      markingsHaveChanged ||
+      labelsHaveChanged
     );
     if (nothingChanged) {
       this.flashMessage(
@@ -719,20 +1153,24 @@ polarity.export = PolarityComponent.extend({
       return;
     }
 
-    const payload = {
-      action: 'editIOCByType',
-      data: {
-        idToEdit: resultToEdit.id,
-        type: resultToEdit.type,
-        score: scoreHasChanged ? editFormData.get('score') : null,
-        description: descriptionHasChanged ? editFormData.get('description') : null,
-        authorId: identityHasChanged ? editFormData.get('identity.id') : null,
-        markings: markingsHaveChanged ? editFormData.get('selectedMarkings').map(marking => marking.id) : null,
-        entity: this.get('block.entity')
-      }
-    };
+    this.createNewLabels(labelsHaveChanged ? editFormData.get('selectedTags') : [])
+      .then((labels) => {
+        const payload = {
+          action: 'editIOCByType',
+          data: {
+            idToEdit: resultToEdit.id,
+            type: resultToEdit.type,
+            score: scoreHasChanged ? editFormData.get('score') : null,
+            description: descriptionHasChanged ? editFormData.get('description') : null,
+            authorId: identityHasChanged ? editFormData.get('identity.id') : null,
+            markings: markingsHaveChanged ? editFormData.get('selectedMarkings').map(marking => marking.id) : null,
+            labels: labelsHaveChanged ? labels.map((tag) => tag.id) : null,
+            entity: this.get('block.entity')
+          }
+        };
 
-    this.sendIntegrationMessage(payload)
+        return this.sendIntegrationMessage(payload);
+      })
       .then((editedIoc) => {
         const indexToUpdate = this.get('unifiedResults').findIndex(
           (existingResult) => existingResult.id === editedIoc.id
@@ -763,6 +1201,8 @@ polarity.export = PolarityComponent.extend({
       .finally(() => {
         this.set('isEditing', false);
         this.set('showEditModal', false);
+        this.set('editingTagsEdit', false);
+        this.set('previousTagSearch', '');
         this.set('resultToEdit', {});
       });
   },
@@ -780,7 +1220,9 @@ polarity.export = PolarityComponent.extend({
       action: 'searchTags',
       data: {
         term,
-        selectedTags: this.get('selectedTags')
+        selectedTags: this.get('showEditModal')
+          ? this.get('editFormData.selectedTags')
+          : this.get('selectedTags')
       }
     })
       .then(({ tags }) => {
@@ -850,6 +1292,34 @@ polarity.export = PolarityComponent.extend({
         }
       });
   },
+  /**
+   * Creates any labels the user added from the label picker that do not exist in
+   * OpenCTI yet and resolves with `tags` where the new tags are replaced by the
+   * created labels.
+   */
+  createNewLabels: function (tags) {
+    const newTags = tags.filter((tag) => tag.isNew);
+
+    if (newTags.length === 0) {
+      return Ember.RSVP.resolve(tags);
+    }
+
+    return this.sendIntegrationMessage({
+      action: 'createLabels',
+      data: {
+        labels: newTags.map(({ value, color }) => ({ value, color }))
+      }
+    }).then(({ labels }) =>
+      tags.map((tag) =>
+        tag.isNew
+          ? labels.find(
+              (label) =>
+                label.value.toLowerCase().trim() === tag.value.toLowerCase().trim()
+            ) || tag
+          : tag
+      )
+    );
+  },
   areIdArraysEqual: function (arr1, arr2) {
     if (!Array.isArray(arr1) || !Array.isArray(arr2)) return false;
     if (arr1.length !== arr2.length) return false;
@@ -17,6 +17,8 @@ const {
 const { splitOutIgnoredIps } = require('./server/core/dataTransformations');
 const { searchIndicatorsAndObservables } = require('./server/queries');
 const { getMarkings } = require('./server/queries/get-markings');
+const { getCircuitBreakerState } = require('./server/core/circuitBreaker');
+const { TimeoutError } = require('./server/errorHandling/opencti-errors');
 /**
  * Main lookup function following blink-ops patterns
  * @param {Array} entities - Array of entities to process
@@ -51,18 +53,39 @@ const doLookup = async (entities, { url, ..._options }, callback) => {
       return;
     }
 
-    const unifiedSearchResults = await searchIndicatorsAndObservables(
+    // OpenCTI is not searched while it is failing so lookups do not wait on retries
+    const circuitBreaker = getCircuitBreakerState(options);
+    if (circuitBreaker.open) {
+      Logger.debug({ circuitBreaker }, 'Circuit breaker open, skipping OpenCTI search');
+      const lookupResults = await assembleLookupResults(
+        [],
+        [],
+        options,
+        entitiesPartition,
+        [],
+        circuitBreaker
+      );
+      callback(null, lookupResults.concat(ignoredIpLookupResults));
+      return;
+    }
+
+    const { unifiedSearchResults, pagination } = await searchIndicatorsAndObservables(
       entitiesPartition,
       options
     );
 
-    const markings = await getMarkings(options);
+    // Search results are still returned if the markings time out
+    const markings = await getMarkings(options).catch((error) => {
+      if (error instanceof TimeoutError) return undefined;
+      throw error;
+    });
 
     const lookupResults = await assembleLookupResults(
       unifiedSearchResults,
       markings,
       options,
-      entitiesPartition
+      entitiesPartition,
+      pagination
     );
 
     Logger.trace({ lookupResults }, 'Lookup Results');
@@ -8,6 +8,11 @@ const {
   logging: { getLogger },
   errors: { parseErrorToReadableJson }
 } = require('polarity-integration-utils');
+const {
+  parseIndicatorLifetimes,
+  getSearchReturnTypes,
+  canMakeChanges
+} = require('../userOptions/utils');
 
 /**
  * Main assembly function following blink-ops patterns for OpenCTI
@@ -15,24 +20,29 @@ const {
  * @param {Array} unifiedSearchResults - Array of search results from OpenCTI
  * @param {Object} options - Request options
  * @param {Array} entities - Array of entities that were processed
+ * @param {Array} [pagination] - Pagination state of the entities with more results
+ * @param {Object} [circuitBreaker] - Circuit breaker state (see `getCircuitBreakerState`),
+ * shown in the block when OpenCTI was not searched because the circuit is open
  */
 const assembleLookupResults = async (
   unifiedSearchResults,
   markings,
   options,
-  entities
+  entities,
+  pagination = [],
+  circuitBreaker = { open: false }
 ) => {
   const Logger = getLogger();
 
   try {
     Logger.trace({ unifiedSearchResults }, 'Starting OpenCTI lookup assembly');
 
-    const foundItems = unifiedSearchResults.some(
-      (result) => result.isIndicator || result.isObservable
-    );
+    const foundItems = unifiedSearchResults.some((result) => result.foundInOpenCTI);
     const newEntities = unifiedSearchResults.some(
-      (result) => !result.isIndicator && !result.isObservable
+      (result) => !result.foundInOpenCTI && !result.timedOut
     );
+    // Entities whose search did not finish within the Lookup Timeout
+    const timedOut = unifiedSearchResults.some((result) => result.timedOut);
 
     const lookupResults = [
       {
@@ -45,7 +55,9 @@ const assembleLookupResults = async (
         data: {
           summary: [
             ...(foundItems ? ['Items Found'] : []),
-            ...(newEntities ? ['New Items'] : [])
+            ...(newEntities ? ['New Items'] : []),
+            ...(timedOut ? ['Search Timed Out'] : []),
+            ...(circuitBreaker.open ? ['OpenCTI Unavailable'] : [])
           ],
           details: {
             // Ed's unified data structure for single list interface (Design Meeting requirement)
@@ -53,8 +65,21 @@ const assembleLookupResults = async (
 
             // OpenCTI-specific configuration
             apiUrl: options.url,
-            canCreate: true,
+            // Users without their own API Key cannot make changes when Per-User API
+            // Keys are required
+            canCreate: canMakeChanges(options),
             markings,
+            // Used to load the results of entities with more than one page of results
+            pagination,
+            circuitBreaker,
+            // Types which were searched, so the block only offers to create the types
+            // known to be missing from OpenCTI
+            searchReturnTypes: getSearchReturnTypes(options),
+            // Used to show the default expiration of new indicators in the submission form
+            indicatorLifetimes: parseIndicatorLifetimes(
+              options.indicatorLifetimes,
+              options.customEntityTypeMappings
+            ).lifetimes,
             canAssociate: options.allowAssociation || false
           }
         }
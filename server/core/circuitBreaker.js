@@ -0,0 +1,74 @@
+/**
+ * Circuit Breaker - Server Implementation
+ * Stops lookups from searching an OpenCTI instance for a cool-down period after
+ * repeated request failures, so lookups fail fast instead of waiting on retries
+ */
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+const {
+  CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+  CIRCUIT_BREAKER_COOL_DOWN_MS
+} = require('./constants');
+
+// Consecutive failures and the time the circuit was opened, by OpenCTI instance URL
+const circuitBreakers = new Map();
+
+const getCircuitBreakerKey = (options) => (options.url || '').replace(/\/+$/, '');
+
+/**
+ * Gets the circuit breaker state of the OpenCTI instance.  Once the cool-down period
+ * has passed the circuit is closed so the next lookup can try OpenCTI again, but a
+ * single failure opens it again.
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Object} `{ open, retryAt }` where `retryAt` is the ISO time lookups will
+ * search OpenCTI again if the circuit is open
+ */
+const getCircuitBreakerState = (options) => {
+  const circuitBreaker = circuitBreakers.get(getCircuitBreakerKey(options));
+  const retryAt = circuitBreaker?.openedAt + CIRCUIT_BREAKER_COOL_DOWN_MS;
+
+  return circuitBreaker?.openedAt && Date.now() < retryAt
+    ? { open: true, retryAt: new Date(retryAt).toISOString() }
+    : { open: false };
+};
+
+/**
+ * Records a request which reached OpenCTI, closing the instance's circuit
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ */
+const recordRequestSuccess = (options) => {
+  circuitBreakers.delete(getCircuitBreakerKey(options));
+};
+
+/**
+ * Records a request which could not reach OpenCTI, opening the instance's circuit after
+ * `CIRCUIT_BREAKER_FAILURE_THRESHOLD` consecutive failures
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ */
+const recordRequestFailure = (options) => {
+  const key = getCircuitBreakerKey(options);
+  const failures = (circuitBreakers.get(key)?.failures || 0) + 1;
+  const opened = failures >= CIRCUIT_BREAKER_FAILURE_THRESHOLD;
+
+  circuitBreakers.set(key, { failures, openedAt: opened ? Date.now() : undefined });
+
+  if (opened) {
+    getLogger().warn(
+      { url: key, failures, coolDownMs: CIRCUIT_BREAKER_COOL_DOWN_MS },
+      'OpenCTI circuit breaker opened after repeated request failures'
+    );
+  }
+};
+
+/**
+ * Closes the circuits of all OpenCTI instances
+ */
+const resetCircuitBreakers = () => circuitBreakers.clear();
+
+module.exports = {
+  getCircuitBreakerState,
+  recordRequestSuccess,
+  recordRequestFailure,
+  resetCircuitBreakers
+};
@@ -1,5 +1,15 @@
 const IGNORED_IPS = new Set(['127.0.0.1', '255.255.255.255', '0.0.0.0']);
 
+// Keys of the custom entity types defined in `config.json`.  Polarity gives custom
+// entities the type `custom` with `custom.<key>` in their `types`.
+const CUSTOM_ENTITY_TYPES = [
+  'hostname',
+  'asn',
+  'cryptoWallet',
+  'phoneNumber',
+  'userAgent'
+];
+
 // OpenCTI-specific constants
 const ENTITY_TYPE_BY_OBSERVABLE_TYPE = {
   IPv4: 'IPv4-Addr',
@@ -10,7 +20,12 @@ const ENTITY_TYPE_BY_OBSERVABLE_TYPE = {
   SHA1: 'StixFile',
   SHA256: 'StixFile',
   url: 'Url',
-  MAC: 'Mac-Addr'
+  MAC: 'Mac-Addr',
+  hostname: 'Hostname',
+  asn: 'Autonomous-System',
+  cryptoWallet: 'Cryptocurrency-Wallet',
+  phoneNumber: 'Phone-Number',
+  userAgent: 'User-Agent'
 };
 
 const ENTITY_TYPE_TO_OPENCTI_HUMAN_READABLE_TYPE = {
@@ -22,7 +37,13 @@ const ENTITY_TYPE_TO_OPENCTI_HUMAN_READABLE_TYPE = {
   SHA1: 'File',
   SHA256: 'File',
   url: 'URL',
-  MAC: 'MAC address'
+  MAC: 'MAC address',
+  cve: 'Vulnerability',
+  hostname: 'Hostname',
+  asn: 'Autonomous system',
+  cryptoWallet: 'Cryptocurrency wallet',
+  phoneNumber: 'Phone number',
+  userAgent: 'User agent'
 }
 
 /** Observable Search Keys
@@ -68,9 +89,34 @@ const ENTITY_TYPE_BY_OBSERVABLE_SUBMISSION_KEY = {
   SHA1: 'StixFile',
   SHA256: 'StixFile',
   url: 'Url',
-  MAC: 'MacAddr'
+  MAC: 'MacAddr',
+  hostname: 'Hostname',
+  asn: 'AutonomousSystem',
+  cryptoWallet: 'CryptocurrencyWallet',
+  phoneNumber: 'PhoneNumber',
+  userAgent: 'UserAgent'
+};
+
+// Observable types the Custom Entity Type Mappings option can map custom entity types to,
+// with their submission key in the create observable mutation
+const MAPPABLE_OBSERVABLE_TYPES = {
+  'IPv4-Addr': 'IPv4Addr',
+  'IPv6-Addr': 'IPv6Addr',
+  'Domain-Name': 'DomainName',
+  'Email-Addr': 'EmailAddr',
+  Url: 'Url',
+  'Mac-Addr': 'MacAddr',
+  Hostname: 'Hostname',
+  'Autonomous-System': 'AutonomousSystem',
+  'Cryptocurrency-Wallet': 'CryptocurrencyWallet',
+  'Phone-Number': 'PhoneNumber',
+  'User-Agent': 'UserAgent',
+  Text: 'Text'
 };
 
+// Observable properties the value of a mapped custom entity is submitted as
+const MAPPABLE_OBSERVABLE_VALUE_KEYS = ['value', 'name', 'number'];
+
 const POLARITY_HASH_TYPE_TO_OPENCTI_HASH_ALGORITHM = {
   SHA1: 'SHA-1',
   MD5: 'MD5',
@@ -87,9 +133,39 @@ const STIX_PATTERNS = {
   SHA1: (value) => `[file:hashes.'SHA-1' = '${value}']`,
   SHA256: (value) => `[file:hashes.'SHA-256' = '${value}']`,
   url: (value) => `[url:value = '${value}']`,
-  MAC: (value) => `[mac-addr:value = '${value}']`
+  MAC: (value) => `[mac-addr:value = '${value}']`,
+  hostname: (value) => `[hostname:value = '${value}']`,
+  // Autonomous systems are identified by their number rather than a value
+  asn: (value) => `[autonomous-system:number = ${getAsnNumber(value)}]`,
+  cryptoWallet: (value) => `[cryptocurrency-wallet:value = '${value}']`,
+  phoneNumber: (value) => `[phone-number:value = '${value}']`,
+  // User agents can contain quotes which have to be escaped in STIX patterns
+  userAgent: (value) =>
+    `[user-agent:value = '${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`
 };
 
+/**
+ * Gets the number of an ASN entity value, which Polarity matches with or without the
+ * `AS` prefix (e.g. `AS15169`)
+ * @param {string} value - ASN entity value
+ * @returns {number}
+ */
+function getAsnNumber(value) {
+  return Number(String(value).replace(/^AS/i, ''));
+}
+
+// Colors assigned to labels created from the label picker when no color is chosen
+const LABEL_COLORS = [
+  '#63a830',
+  '#4f81bd',
+  '#c0504d',
+  '#8064a2',
+  '#f79646',
+  '#4bacc6',
+  '#9bbb59',
+  '#d4a017'
+];
+
 // Default configuration values
 const DEFAULT_CONFIG = {
   confidence: 50,
@@ -99,16 +175,79 @@ const DEFAULT_CONFIG = {
   maxRetries: 3
 };
 
+// Number of entities searched for in each aliased lookup request
+const ENTITIES_PER_SEARCH_REQUEST = 10;
+
+// Default number of lookup requests which can run at the same time
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 5;
+
+// Delays before retrying transient OpenCTI request failures.  The delay is doubled after
+// each attempt, up to the max, and a random amount of it is used (jitter).
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+// Lookups skip OpenCTI for the cool-down period after this many consecutive request
+// failures
+const CIRCUIT_BREAKER_FAILURE_THRESHOLD = 5;
+const CIRCUIT_BREAKER_COOL_DOWN_MS = 60 * 1000;
+
+// Default number of milliseconds a change made from the integration can take.  Lookups
+// default to `DEFAULT_CONFIG.timeout`.
+const DEFAULT_MUTATION_TIMEOUT_MS = 60 * 1000;
+
+// Number of milliseconds the connection test made when the options are saved can take
+const CONNECTION_TEST_TIMEOUT_MS = 10 * 1000;
+
+// What happens when a submitted IOC already exists in OpenCTI: `skip` returns the
+// existing indicator or observable, `update` applies the submitted fields to it and
+// `create` creates another one anyway
+const ON_DUPLICATE_POLICIES = ['skip', 'update', 'create'];
+const DEFAULT_ON_DUPLICATE_POLICY = 'skip';
+
+// OpenCTI capabilities needed to change IOCs.  Users with BYPASS have every capability.
+const OPENCTI_CAPABILITIES = {
+  BYPASS: 'BYPASS',
+  UPDATE: 'KNOWLEDGE_KNUPDATE',
+  DELETE: 'KNOWLEDGE_KNUPDATE_KNDELETE'
+};
+
 // Supported entity types for validation
-const SUPPORTED_ENTITY_TYPES = new Set(['IPv4', 'IPv6', 'domain', 'email', 'MD5', 'SHA1', 'SHA256', 'url', 'MAC']);
+const SUPPORTED_ENTITY_TYPES = new Set([
+  'IPv4',
+  'IPv6',
+  'domain',
+  'email',
+  'MD5',
+  'SHA1',
+  'SHA256',
+  'url',
+  'MAC',
+  ...CUSTOM_ENTITY_TYPES
+]);
 
 module.exports = {
   IGNORED_IPS,
+  CUSTOM_ENTITY_TYPES,
+  getAsnNumber,
   ENTITY_TYPE_BY_OBSERVABLE_TYPE,
   ENTITY_TYPE_BY_OBSERVABLE_SUBMISSION_KEY,
+  MAPPABLE_OBSERVABLE_TYPES,
+  MAPPABLE_OBSERVABLE_VALUE_KEYS,
   STIX_PATTERNS,
   DEFAULT_CONFIG,
   SUPPORTED_ENTITY_TYPES,
   ENTITY_TYPE_TO_OPENCTI_HUMAN_READABLE_TYPE,
-  POLARITY_HASH_TYPE_TO_OPENCTI_HASH_ALGORITHM
+  POLARITY_HASH_TYPE_TO_OPENCTI_HASH_ALGORITHM,
+  LABEL_COLORS,
+  ENTITIES_PER_SEARCH_REQUEST,
+  DEFAULT_MAX_CONCURRENT_REQUESTS,
+  OPENCTI_CAPABILITIES,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+  CIRCUIT_BREAKER_COOL_DOWN_MS,
+  DEFAULT_MUTATION_TIMEOUT_MS,
+  CONNECTION_TEST_TIMEOUT_MS,
+  ON_DUPLICATE_POLICIES,
+  DEFAULT_ON_DUPLICATE_POLICY
 }; 
\ No newline at end of file
@@ -2,9 +2,12 @@ const _ = require('lodash');
 
 const {
   IGNORED_IPS,
-  ENTITY_TYPE_TO_OPENCTI_HUMAN_READABLE_TYPE
+  ENTITY_TYPE_TO_OPENCTI_HUMAN_READABLE_TYPE,
+  LABEL_COLORS,
+  CUSTOM_ENTITY_TYPES
 } = require('./constants');
-const { hasAnyDeletionPermissions } = require('../userOptions');
+const { getPermissionsForItemType } = require('../userOptions');
+const { getCustomEntityTypeMappings } = require('../userOptions/utils');
 const { logging } = require('polarity-integration-utils');
 
 /**
@@ -34,16 +37,23 @@ const splitOutIgnoredIps = (_entitiesPartition) => {
  * @param {Array} observables - OpenCTI observables
  * @param {Object} entity - Original entity
  * @param {Object} options - Configuration options
+ * @param {Object} [userRights] - OpenCTI rights of the API Key's user (see `getUserRights`)
+ * used to decide which items can be edited and deleted
  * @returns {Array} Unified list with computed properties
  */
-const createUnifiedItemList = (indicators, observables, entity, options = {}) => {
+const createUnifiedItemList = (
+  indicators,
+  observables,
+  entity,
+  options = {},
+  userRights
+) => {
   const Logger = logging.getLogger();
 
   Logger.trace({ indicators, observables, entity, options }, 'createUnifiedItemList');
 
-  const specificEntityType = getSpecificPolarityEntityType(entity);
-  const openCtiTypeHuman =
-    ENTITY_TYPE_TO_OPENCTI_HUMAN_READABLE_TYPE[specificEntityType] || 'unknown type';
+  const specificEntityType = getSpecificPolarityEntityType(entity, options);
+  const openCtiTypeHuman = getOpenCtiTypeHuman(specificEntityType, options);
 
   const transformedIndicators = indicators.map((indicator) => ({
     id: indicator.id,
@@ -60,6 +70,8 @@ const createUnifiedItemList = (indicators, observables, entity, options = {}) =>
     displayType: 'Indicator',
     webLink: `${options.url}/dashboard/observations/indicators/${indicator.id}`,
     confidence: indicator.confidence || 50,
+    validFrom: indicator.valid_from,
+    validUntil: indicator.valid_until,
     score: indicator.x_opencti_score || 50,
     labels: indicator.objectLabel || [],
     createdAt: indicator.created_at,
@@ -75,9 +87,8 @@ const createUnifiedItemList = (indicators, observables, entity, options = {}) =>
     isObservable: false,
     itemType: 'indicator',
     entityValue: entity.value,
-    entityType: getSpecificPolarityEntityType(entity),
-    canEdit: true,
-    canDelete: hasAnyDeletionPermissions(options),
+    entityType: specificEntityType,
+    ...getItemPermissions(options, 'indicator', userRights, indicator),
     __submitAsIndicator: indicator.__submitAsIndicator || false,
     //__submitAsIndicator: false,
     __submitAsObservable: indicator.__submitAsObservable || false,
@@ -114,8 +125,7 @@ const createUnifiedItemList = (indicators, observables, entity, options = {}) =>
     isObservable: true,
     entityValue: entity.value,
     entityType: specificEntityType,
-    canEdit: true,
-    canDelete: hasAnyDeletionPermissions(options),
+    ...getItemPermissions(options, 'observable', userRights, observable),
     __submitAsIndicator: observable.__submitAsIndicator || false,
     __submitAsObservable: observable.__submitAsObservable || false,
     // __submitAsIndicator: false,
@@ -131,6 +141,76 @@ const createUnifiedItemList = (indicators, observables, entity, options = {}) =>
   return unifiedList;
 };
 
+/**
+ * Transform OpenCTI vulnerabilities found for a CVE entity into the unified data
+ * structure.  Vulnerabilities cannot be edited or deleted from the integration.
+ * @param {Array} vulnerabilities - OpenCTI vulnerabilities
+ * @param {Object} entity - Original entity
+ * @param {Object} options - Configuration options
+ * @returns {Array} Unified list with computed properties
+ */
+const createVulnerabilityItemList = (vulnerabilities, entity, options = {}) =>
+  vulnerabilities.map((vulnerability) => ({
+    id: vulnerability.id,
+    openCtiType: vulnerability.entity_type,
+    openCtiTypeHuman: 'Vulnerability',
+    name: vulnerability.name,
+    displayName: vulnerability.name || entity.value,
+    description: vulnerability.description || '',
+    cvssScore: vulnerability.x_opencti_cvss_base_score,
+    cvssSeverity: vulnerability.x_opencti_cvss_base_severity,
+    linkedIndicatorsCount: vulnerability.linkedIndicators?.pageInfo?.globalCount || 0,
+    webLink: `${options.url}/dashboard/arsenal/vulnerabilities/${vulnerability.id}`,
+    labels: vulnerability.objectLabel || [],
+    createdAt: vulnerability.created_at,
+    updatedAt: vulnerability.updated_at,
+    // createdBy is displayed as "Author" in UI
+    createdBy: vulnerability.createdBy
+      ? {
+          name: vulnerability.createdBy.name,
+          entityType: vulnerability.createdBy.entity_type
+        }
+      : { name: '--' },
+    creators: Array.isArray(vulnerability.creators)
+      ? vulnerability.creators.map((creator) => creator.name)
+      : '--',
+    markings: vulnerability.objectMarking,
+    foundInOpenCTI: true,
+    type: 'vulnerability',
+    icon: 'bug',
+    displayType: 'Vulnerability',
+    itemType: 'vulnerability',
+    isIndicator: false,
+    isObservable: false,
+    isVulnerability: true,
+    entityValue: entity.value,
+    entityType: getSpecificPolarityEntityType(entity, options),
+    canEdit: false,
+    canDelete: false,
+    __submitAsIndicator: false,
+    __submitAsObservable: false,
+    __toBeSubmitted: false
+  }));
+
+/**
+ * Get whether an OpenCTI item can be edited and deleted
+ * @param {Object} options - Configuration options
+ * @param {string} itemType - Type of item ('indicator' or 'observable')
+ * @param {Object} [userRights] - OpenCTI rights of the API Key's user
+ * @param {Object} item - OpenCTI indicator or observable
+ * @returns {Object} `{ canEdit, canDelete }`
+ */
+const getItemPermissions = (options, itemType, userRights, item) => {
+  const { canEdit, canDelete } = getPermissionsForItemType(
+    options,
+    itemType,
+    userRights,
+    item.objectOrganization
+  );
+
+  return { canEdit, canDelete };
+};
+
 /**
  * Given an entity, returns the specific entity type of that entity
  * For example, if an entity is a `hash`, this method will return the specific
@@ -138,11 +218,27 @@ const createUnifiedItemList = (indicators, observables, entity, options = {}) =>
  *
  * Note that if an entity is also annotated it will include the `string` type
  * but the more specific type will take precedent.  As a result, the only
- * special check needed is for hashes.
+ * special checks needed are for hashes and custom types, which are returned by
+ * their key (e.g. `asn` for `custom.asn`).  Custom types mapped by the Custom Entity
+ * Type Mappings option take precedence over the integration's own custom types, and
+ * built-in types take precedence over both so a domain is never treated as a hostname.
  *
  * @param entity
+ * @param [options] - Configuration options containing `customEntityTypeMappings`
  */
-const getSpecificPolarityEntityType = (entity) => {
+const getSpecificPolarityEntityType = (entity, options) => {
+  const isCustomEntity = entity.types.every(
+    (type) => type.startsWith('custom.') || type === 'string'
+  );
+  const customType =
+    isCustomEntity &&
+    Object.keys(getCustomEntityTypeMappings(options))
+      .concat(CUSTOM_ENTITY_TYPES)
+      .find((key) => entity.types.includes(`custom.${key}`));
+  if (customType) {
+    return customType;
+  }
+
   if (entity.types.includes('MD5')) {
     return 'MD5';
   }
@@ -158,6 +254,18 @@ const getSpecificPolarityEntityType = (entity) => {
   return entity.type;
 };
 
+/**
+ * Gets the human readable OpenCTI type of an entity type, which for mapped custom entity
+ * types is the observable type they are mapped to
+ * @param {string} entityType - Specific Polarity entity type
+ * @param {Object} [options] - Configuration options
+ * @returns {string}
+ */
+const getOpenCtiTypeHuman = (entityType, options) =>
+  getCustomEntityTypeMappings(options)[entityType]?.observableType ||
+  ENTITY_TYPE_TO_OPENCTI_HUMAN_READABLE_TYPE[entityType] ||
+  'unknown type';
+
 /**
  * Map entity type to OpenCTI observable type
  * @param {Object} entity - Entity to map
@@ -174,15 +282,45 @@ const mapEntityToObservableType = (entity) => {
     MD5: 'File',
     SHA1: 'File',
     SHA256: 'File',
-    cve: 'Vulnerability'
+    cve: 'Vulnerability',
+    hostname: 'Hostname',
+    asn: 'Autonomous-System',
+    cryptoWallet: 'Cryptocurrency-Wallet',
+    phoneNumber: 'Phone-Number',
+    userAgent: 'User-Agent'
   };
 
   return typeMapping[entity.type] || 'Unknown';
 };
 
+/**
+ * Normalizes a label value for case-insensitive comparisons between labels
+ * @param {string} value - Label value
+ * @returns {string} Trimmed, lower cased label value
+ */
+const normalizeLabelValue = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * Picks a color for a new label from `LABEL_COLORS`.  The color is derived from the
+ * label value so the same label is always offered with the same color.
+ * @param {string} value - Label value
+ * @returns {string} Hex color
+ */
+const getDefaultLabelColor = (value) => {
+  const hash = normalizeLabelValue(value)
+    .split('')
+    .reduce((agg, char) => (agg * 31 + char.charCodeAt(0)) % 1000003, 7);
+
+  return LABEL_COLORS[hash % LABEL_COLORS.length];
+};
+
 module.exports = {
   splitOutIgnoredIps,
+  normalizeLabelValue,
+  getDefaultLabelColor,
   createUnifiedItemList,
+  createVulnerabilityItemList,
   mapEntityToObservableType,
-  getSpecificPolarityEntityType
+  getSpecificPolarityEntityType,
+  getOpenCtiTypeHuman
 };
@@ -0,0 +1,209 @@
+/**
+ * Exclusion List - Server Implementation
+ * Parses the Exclusion List option and matches entity values against it
+ */
+const net = require('net');
+
+// Name shown to analysts for values excluded by the integration's own Exclusion List
+const INTEGRATION_EXCLUSION_LIST_NAME = 'Polarity Exclusion List';
+
+// Regexes are matched first so commas and spaces inside of them are preserved
+const EXCLUSION_LIST_ENTRY_REGEX = /\/(?:\\.|[^\\/])+\/[a-z]*|[^,\s]+/g;
+
+/**
+ * Parses the Exclusion List option into rules.  Entries are separated by commas or
+ * whitespace and can be an exact value (`example.com`), a domain suffix
+ * (`*.example.com`), an IPv4 or IPv6 CIDR range (`10.0.0.0/8`) or a regex
+ * (`/^test-.*$/i`).
+ * @param {string} exclusionList - Raw option value
+ * @returns {Object} `{ rules, errors }`
+ */
+const parseExclusionList = (exclusionList) =>
+  ((exclusionList || '').match(EXCLUSION_LIST_ENTRY_REGEX) || []).reduce(
+    (agg, entry) => {
+      try {
+        return { ...agg, rules: agg.rules.concat(parseExclusionListEntry(entry)) };
+      } catch (error) {
+        return { ...agg, errors: agg.errors.concat(`"${entry}" ${error.message}`) };
+      }
+    },
+    { rules: [], errors: [] }
+  );
+
+const parseExclusionListEntry = (entry) => {
+  if (entry.startsWith('/')) {
+    const lastSlashIndex = entry.lastIndexOf('/');
+    try {
+      return {
+        entry,
+        type: 'regex',
+        regex: new RegExp(entry.slice(1, lastSlashIndex), entry.slice(lastSlashIndex + 1))
+      };
+    } catch (error) {
+      throw new Error('is not a valid regex');
+    }
+  }
+
+  if (entry.startsWith('*.')) {
+    return { entry, type: 'domainSuffix', domain: entry.slice(2).toLowerCase() };
+  }
+
+  const [address, prefixLength, ...rest] = entry.split('/');
+  const ipVersion = net.isIP(address);
+  if (ipVersion && prefixLength !== undefined) {
+    const bits = ipVersion === 4 ? 32 : 128;
+    const prefix = Number(prefixLength);
+
+    if (rest.length || !/^\d+$/.test(prefixLength) || prefix > bits) {
+      throw new Error('is not a valid CIDR range');
+    }
+
+    return {
+      entry,
+      type: 'cidr',
+      ipVersion,
+      network: ipToBigInt(address) >> BigInt(bits - prefix),
+      shift: BigInt(bits - prefix)
+    };
+  }
+
+  return { entry, type: 'exact', value: entry.toLowerCase() };
+};
+
+// Exact value rules by value and the other rules, built once for each rules array as
+// OpenCTI exclusion lists can hold many thousands of values
+const ruleIndexes = new WeakMap();
+
+const getRuleIndex = (rules) => {
+  if (!ruleIndexes.has(rules)) {
+    ruleIndexes.set(
+      rules,
+      rules.reduce(
+        (agg, rule) => {
+          if (rule.type === 'exact') {
+            agg.exactRulesByValue.set(
+              rule.value,
+              (agg.exactRulesByValue.get(rule.value) || []).concat(rule)
+            );
+          } else {
+            agg.otherRules.push(rule);
+          }
+          return agg;
+        },
+        { exactRulesByValue: new Map(), otherRules: [] }
+      )
+    );
+  }
+
+  return ruleIndexes.get(rules);
+};
+
+/**
+ * Returns the Exclusion List rule which matches the given value.  Exact value rules are
+ * checked before the other rules.
+ * @param {string} value - Entity value to check
+ * @param {Array<Object>} rules - Rules returned by `parseExclusionList`.  Rules with
+ * `entityTypes` only apply to values of those OpenCTI observable types.
+ * @param {string} [observableType] - OpenCTI observable type of the value
+ * @returns {Object|undefined} Matching rule
+ */
+const getExclusionListMatch = (value, rules, observableType) => {
+  if (!value || !rules.length) return;
+
+  const lowerCaseValue = value.toLowerCase();
+  const domain = getDomain(lowerCaseValue);
+  const ipVersion = net.isIP(value);
+  const { exactRulesByValue, otherRules } = getRuleIndex(rules);
+  const appliesToType = (rule) =>
+    !rule.entityTypes ||
+    !rule.entityTypes.length ||
+    rule.entityTypes.includes(observableType);
+
+  return (
+    (exactRulesByValue.get(lowerCaseValue) || []).find(appliesToType) ||
+    otherRules.find((rule) => {
+      if (!appliesToType(rule)) return false;
+
+      switch (rule.type) {
+        case 'domainSuffix':
+          return (
+            !!domain && (domain === rule.domain || domain.endsWith(`.${rule.domain}`))
+          );
+        case 'cidr':
+          return (
+            ipVersion === rule.ipVersion &&
+            ipToBigInt(value) >> rule.shift === rule.network
+          );
+        case 'regex':
+          rule.regex.lastIndex = 0;
+          return rule.regex.test(value);
+        default:
+          return false;
+      }
+    })
+  );
+};
+
+/**
+ * Gets the domain of a domain, email address or URL value
+ */
+const getDomain = (value) => {
+  if (value.includes('@')) return value.split('@').pop();
+
+  try {
+    return /^[a-z][a-z0-9+.-]*:\/\//.test(value) ? new URL(value).hostname : value;
+  } catch (error) {
+    return value;
+  }
+};
+
+const ipToBigInt = (ip) => {
+  if (net.isIPv4(ip)) {
+    return ip.split('.').reduce((agg, octet) => (agg << 8n) + BigInt(octet), 0n);
+  }
+
+  // Embedded IPv4 addresses (e.g. `::ffff:10.0.0.1`) are converted to two hex groups
+  const ipv4Suffix = ip.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Suffix) {
+    const ipv4 = ipToBigInt(ipv4Suffix[1]);
+    ip = ip.replace(
+      ipv4Suffix[1],
+      `${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`
+    );
+  }
+
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = ip.includes('::') && tail ? tail.split(':') : [];
+  const groups = ip.includes('::')
+    ? headGroups
+        .concat(Array(8 - headGroups.length - tailGroups.length).fill('0'))
+        .concat(tailGroups)
+    : headGroups;
+
+  return groups.reduce((agg, group) => (agg << 16n) + BigInt(`0x${group}`), 0n);
+};
+
+/**
+ * Adds the exclusion list flags to a lookup result
+ * @param {Object} result - Unified lookup result
+ * @param {Object} [match] - Matching rule, with the `listName` it came from
+ * @returns {Object} Result with `__isOnExclusionList`, `__exclusionListName` and
+ * `__exclusionListEntry` set when there is a match
+ */
+const flagExclusionListMatch = (result, match) =>
+  match
+    ? {
+        ...result,
+        __isOnExclusionList: true,
+        __exclusionListName: match.listName || INTEGRATION_EXCLUSION_LIST_NAME,
+        __exclusionListEntry: match.entry
+      }
+    : result;
+
+module.exports = {
+  INTEGRATION_EXCLUSION_LIST_NAME,
+  parseExclusionList,
+  getExclusionListMatch,
+  flagExclusionListMatch
+};
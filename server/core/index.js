@@ -6,6 +6,8 @@
 
 const { 
   makeOpenCTIRequest, 
+  makeOpenCTIRequestsInParallel,
+  getRequestApiKey,
   validateAuthentication, 
   createRequestOptions,
   enhanceRequestError,
@@ -14,6 +16,8 @@ const {
 
 module.exports = {
   makeOpenCTIRequest,
+  makeOpenCTIRequestsInParallel,
+  getRequestApiKey,
   validateAuthentication,
   createRequestOptions,
   enhanceRequestError,
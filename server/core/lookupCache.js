@@ -0,0 +1,154 @@
+/**
+ * Lookup Cache - Server Implementation
+ * Caches the OpenCTI search results of each entity so repeated lookups of the same
+ * entities do not search OpenCTI again
+ */
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+const {
+  isExactMatchSearch,
+  getSearchReturnTypes,
+  getCustomEntityTypeMappings
+} = require('../userOptions/utils');
+const { getSpecificPolarityEntityType } = require('./dataTransformations');
+
+const DEFAULT_LOOKUP_CACHE_TTL_SECONDS = 300;
+const DEFAULT_LOOKUP_CACHE_MAX_SIZE = 1000;
+
+const lookupCache = new NodeCache({ checkperiod: 60 });
+
+/**
+ * Gets a cache key identifying the OpenCTI instance and user of the options.  The API
+ * Key the user searches with is hashed so it is not kept in memory as part of the key.
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {string} Cache key
+ */
+const getInstanceCacheKey = (options) =>
+  [
+    options.url,
+    crypto
+      .createHash('sha256')
+      .update(options.userApiKey || options.apiKey || '')
+      .digest('hex')
+  ].join('|');
+
+/**
+ * Gets the cache key of an entity's search.  Results are cached per OpenCTI instance and
+ * API Key as different users can see different items, and per search mode, return
+ * types, entity type and custom entity type mapping as they change which items are
+ * searched for.
+ * @param {Object} entity - Polarity entity object with value and type
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {string} Cache key
+ */
+const getLookupCacheKey = (entity, options) => {
+  const entityType = getSpecificPolarityEntityType(entity, options);
+
+  return [
+    getInstanceCacheKey(options),
+    isExactMatchSearch(options) ? 'exact' : 'contains',
+    Object.entries(getSearchReturnTypes(options))
+      .filter(([, searched]) => searched)
+      .map(([type]) => type)
+      .join(','),
+    entityType,
+    JSON.stringify(getCustomEntityTypeMappings(options)[entityType] || null),
+    entity.value
+  ].join('|');
+};
+
+const getLookupCacheTtl = (options) =>
+  Number.isInteger(options.lookupCacheTtl)
+    ? options.lookupCacheTtl
+    : DEFAULT_LOOKUP_CACHE_TTL_SECONDS;
+
+/**
+ * Gets the cached search results of an entity
+ * @param {Object} entity - Polarity entity object with value and type
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Object|undefined} `{ indicators, observables, vulnerabilities }` search
+ * results
+ */
+const getCachedSearchResults = (entity, options) => {
+  if (getLookupCacheTtl(options) <= 0) return;
+
+  return lookupCache.get(getLookupCacheKey(entity, options))?.searchResults;
+};
+
+/**
+ * Caches the search results of an entity for the Lookup Cache TTL.  Nothing is cached
+ * once the cache holds the Lookup Cache Max Size entries.
+ * @param {Object} entity - Polarity entity object with value and type
+ * @param {Object} searchResults - `{ indicators, observables, vulnerabilities }` search
+ * results
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ */
+const setCachedSearchResults = (entity, searchResults, options) => {
+  const ttl = getLookupCacheTtl(options);
+  const maxSize = Number.isInteger(options.lookupCacheMaxSize)
+    ? options.lookupCacheMaxSize
+    : DEFAULT_LOOKUP_CACHE_MAX_SIZE;
+  const key = getLookupCacheKey(entity, options);
+
+  if (ttl <= 0 || (!lookupCache.has(key) && lookupCache.keys().length >= maxSize)) {
+    return;
+  }
+
+  lookupCache.set(key, { entityValue: entity.value.toLowerCase(), searchResults }, ttl);
+};
+
+/**
+ * Removes the cached search results affected by a change to OpenCTI
+ * @param {Object} changes
+ * @param {Array<string>} [changes.entityValues] - Entity values which were submitted,
+ * edited or deleted
+ * @param {Array<string>} [changes.ids] - Ids of the indicators, observables and
+ * vulnerabilities which were edited or deleted.  Searches which returned these items are removed as contains
+ * searches can return items for other entity values.
+ */
+const invalidateLookupCache = ({ entityValues = [], ids = [] }) => {
+  const Logger = getLogger();
+
+  const valuesToInvalidate = entityValues
+    .filter(Boolean)
+    .map((value) => value.toLowerCase());
+  const idsToInvalidate = ids.filter(Boolean);
+
+  const keysToInvalidate = lookupCache.keys().filter((key) => {
+    const { entityValue, searchResults } = lookupCache.get(key) || {};
+
+    return (
+      valuesToInvalidate.includes(entityValue) ||
+      getSearchResultIds(searchResults).some((id) => idsToInvalidate.includes(id))
+    );
+  });
+
+  lookupCache.del(keysToInvalidate);
+
+  Logger.trace(
+    { entityValues, ids, invalidated: keysToInvalidate.length },
+    'Invalidated lookup cache entries'
+  );
+};
+
+const getSearchResultIds = (searchResults) =>
+  (searchResults?.indicators?.edges || [])
+    .concat(searchResults?.observables?.edges || [])
+    .concat(searchResults?.vulnerabilities?.edges || [])
+    .map((edge) => edge?.node?.id);
+
+/**
+ * Removes all cached search results
+ */
+const clearLookupCache = () => lookupCache.flushAll();
+
+module.exports = {
+  getInstanceCacheKey,
+  getCachedSearchResults,
+  setCachedSearchResults,
+  invalidateLookupCache,
+  clearLookupCache
+};
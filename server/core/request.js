@@ -4,11 +4,17 @@
  * Uses postman-request NPM library with consistent error handling
  */
 
+const fs = require('fs');
+const crypto = require('crypto');
 const { logging } = require('polarity-integration-utils');
 const {
   isAuthRequiredError,
   isGraphQLError,
-  parseOpenCTIError
+  parseOpenCTIError,
+  PermissionError,
+  TimeoutError,
+  NETWORK_CONNECTION_ERROR_CODES,
+  getSslErrorHelp
 } = require('../errorHandling/opencti-errors');
 const { createEnhancedErrorDetail } = require('../errorHandling/error-message-mapping');
 const {
@@ -28,34 +34,117 @@ const {
   requests: { createRequestWithDefaults }
 } = require('polarity-integration-utils');
 const config = require('../../config/config');
+const { DEFAULT_CONFIG, DEFAULT_MUTATION_TIMEOUT_MS } = require('./constants');
+const { withRetry, isRetryableError } = require('./retry');
+const { recordRequestSuccess, recordRequestFailure } = require('./circuitBreaker');
+const {
+  EDIT_OBSERVABLE,
+  EDIT_INDICATOR_MARKINGS,
+  EDIT_INDICATOR_AUTHOR,
+  EDIT_INDICATOR_DESCRIPTION,
+  EDIT_INDICATOR_SCORE,
+  EDIT_INDICATOR_FIELDS
+} = require('../queries/graphql-queries');
 
-// Workaround required because v1 of the utils library is expecting a request object
-// on the config
-config.request = {
-  cert: '',
-  key: '',
-  passphrase: '',
-  ca: '',
-  proxy: ''
+/**
+ * Gets the TLS and proxy settings requests to OpenCTI are made with from the
+ * integration options
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Object} `config.request` settings for `createRequestWithDefaults`
+ */
+const getRequestConfig = (options = {}) => ({
+  ca: (options.caBundlePath || '').trim(),
+  cert: (options.clientCertPath || '').trim(),
+  key: (options.clientKeyPath || '').trim(),
+  passphrase: options.clientKeyPassphrase || '',
+  proxy: (options.proxyUrl || '').trim(),
+  rejectUnauthorized: !options.allowInsecureConnections
+});
+
+// Request functions by the hash of their TLS and proxy settings, along with the
+// modification times of the certificate files they were created with, so certificate
+// files are only read again when they change
+const requestFunctions = new Map();
+
+/**
+ * Gets the modification times of the certificate files of request settings, so a
+ * certificate renewed at the same path is read again
+ * @param {Object} requestConfig - Request settings (see `getRequestConfig`)
+ * @returns {string}
+ */
+const getCertificateFilesVersion = ({ ca, cert, key }) =>
+  [ca, cert, key]
+    .map((filePath) => {
+      if (!filePath) return '';
+      try {
+        return String(fs.statSync(filePath).mtimeMs);
+      } catch (_) {
+        return 'missing';
+      }
+    })
+    .join('|');
+
+const postprocessRequestFailure = (error) => {
+  try {
+    const errorResponseBody = JSON.parse(error.description);
+    error.message = `${error.message} - (${error.status})${
+      errorResponseBody.message || errorResponseBody.error
+        ? `| ${errorResponseBody.message || errorResponseBody.error}`
+        : ''
+    }`;
+  } catch (_) {}
+
+  throw error;
 };
 
-const requestWithDefaults = createRequestWithDefaults({
-  config,
-  roundedSuccessStatusCodes: [200],
-  requestOptionsToOmitFromLogsKeyPaths: ['headers.Authorization'],
-  postprocessRequestFailure: (error) => {
-    try {
-      const errorResponseBody = JSON.parse(error.description);
-      error.message = `${error.message} - (${error.status})${
-        errorResponseBody.message || errorResponseBody.error
-          ? `| ${errorResponseBody.message || errorResponseBody.error}`
-          : ''
-      }`;
-    } catch (_) {}
+/**
+ * Gets the request function using the TLS and proxy settings in the integration options.
+ * Certificate files are read again when they are modified, e.g. renewed at the same path.
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Function} Request function created by `createRequestWithDefaults`
+ * @throws {Error} - If a certificate file cannot be read
+ */
+const getRequestWithDefaults = (options) => {
+  const requestConfig = getRequestConfig(options);
+  // Hashed so the client key passphrase is not kept in memory as part of the key
+  const requestFunctionKey = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(requestConfig))
+    .digest('hex');
+  const certificateFilesVersion = getCertificateFilesVersion(requestConfig);
+  const cachedRequestFunction = requestFunctions.get(requestFunctionKey);
 
-    throw error;
+  if (
+    !cachedRequestFunction ||
+    cachedRequestFunction.certificateFilesVersion !== certificateFilesVersion
+  ) {
+    try {
+      requestFunctions.set(requestFunctionKey, {
+        certificateFilesVersion,
+        requestWithDefaults: createRequestWithDefaults({
+          config: { ...config, request: requestConfig },
+          roundedSuccessStatusCodes: [200],
+          requestOptionsToOmitFromLogsKeyPaths: ['headers.Authorization'],
+          postprocessRequestFailure
+        })
+      });
+    } catch (error) {
+      error.message = `Unable to read the TLS certificate files set in the integration options: ${error.message}`;
+      throw error;
+    }
   }
-});
+
+  return requestFunctions.get(requestFunctionKey).requestWithDefaults;
+};
+
+/**
+ * Makes a request using the TLS and proxy settings in the integration options
+ * @param {Object} requestOptions - postman-request options
+ * @param {Object} [options] - Configuration options containing OpenCTI API details
+ * @returns {Promise<Object>} - Response
+ */
+const requestWithDefaults = async (requestOptions, options) =>
+  getRequestWithDefaults(options)(requestOptions);
 
 const createRequestsInParallel =
   (requestWithDefaults) =>
@@ -87,32 +176,25 @@ const createRequestsInParallel =
       : results;
   };
 
-const requestsInParallel = createRequestsInParallel(requestWithDefaults);
-
 /**
- * Make GraphQL request to OpenCTI API
+ * Make GraphQL request to OpenCTI API.  The request, including any retries, must finish
+ * within the Lookup Timeout for queries or the Mutation Timeout for mutations.
  * @param {string} query - GraphQL query string
  * @param {Object} variables - GraphQL variables
  * @param {Object} options - Configuration options containing OpenCTI API details
- * @param {Object} logger - Logger instance
+ * @param {Object} [settings]
+ * @param {number} [settings.deadline] - Time in milliseconds the request must finish by,
+ * used to share one deadline between the requests of a lookup
+ * @param {number} [settings.timeout] - Timeout in milliseconds used instead of the
+ * Lookup Timeout or Mutation Timeout
+ * @param {boolean} [settings.singleAttempt] - Make one attempt which is not recorded with
+ * the circuit breaker, used to test options which have not been saved yet
  * @returns {Promise<Object>} - GraphQL response data
  */
-async function makeOpenCTIRequest(query, variables, options) {
+async function makeOpenCTIRequest(query, variables, options, settings = {}) {
   const Logger = logging.getLogger();
 
-  const requestOptions = {
-    method: 'POST',
-    uri: `${options.url}/graphql`,
-    headers: {
-      Authorization: `Bearer ${options.apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: {
-      query,
-      variables
-    },
-    json: true
-  };
+  const requestOptions = createGraphQLRequestOptions(query, variables, options);
 
   Logger.trace(
     {
@@ -120,66 +202,312 @@ async function makeOpenCTIRequest(query, variables, options) {
       hasVariables: !!variables,
       queryType: query.substring(0, 20) + '...',
       hasApiKey: !!options.apiKey,
-      apiKeyLength: options.apiKey ? options.apiKey.length : 0
+      apiKeyLength: options.apiKey ? options.apiKey.length : 0,
+      hasUserApiKey: !!options.userApiKey
     },
     'Making OpenCTI GraphQL request'
   );
 
+  const timeout = settings.timeout || requestOptions.timeout;
+  const deadline = settings.deadline || Date.now() + timeout;
+
   try {
-    const response = await requestWithDefaults(requestOptions);
-    if (response?.body?.errors?.length) {
-      Logger.error('OpenCTI GraphQL errors', { errors: response.body.errors });
-      const graphqlMessage = response.body.errors[0].message;
-      const enhancedDetail = createEnhancedErrorDetail(
-        new Error(graphqlMessage),
-        graphqlMessage
-      );
-      const error = new Error(enhancedDetail);
-      error.body = response.body;
-      error.graphqlErrors = response.body.errors;
-      error.type = 'GRAPHQL_ERROR';
-      throw error;
-    }
+    const response = await requestBeforeDeadline(
+      () =>
+        settings.singleAttempt
+          ? requestWithDefaults({ ...requestOptions, timeout }, options)
+          : requestWithRetry(requestOptions, options, getMaxRetries(query), deadline),
+      deadline,
+      timeout
+    );
 
-    if (response.statusCode !== 200) {
-      const errorMessage = `HTTP ${response.statusCode}: ${
-        response?.body?.error || 'Unknown error'
-      }`;
-      Logger.error(
-        {
-          statusCode: response.statusCode,
-          body: response.body
-        },
-        'OpenCTI request failed with non-200 status'
-      );
-      const enhancedDetail = createEnhancedErrorDetail(
-        new Error(errorMessage),
-        errorMessage
-      );
-      const enhancedError = new Error(enhancedDetail);
-      enhancedError.statusCode = response.statusCode;
-      enhancedError.body = response.body;
-      throw enhancedError;
+    return getGraphQLResponseData(response);
+  } catch (error) {
+    if (error instanceof TimeoutError) throw error;
+    throw createRequestError(error);
+  }
+}
+
+/**
+ * Make several GraphQL requests to OpenCTI API, running at most `limit` at a time.  All
+ * of the requests must finish within the Lookup Timeout.  Requests which do not finish
+ * in time return a `TimeoutError` instead of failing the other requests.
+ * @param {Array<Object>} requests - `{ query, variables }` for each request
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @param {number} [limit] - Maximum number of requests to run at the same time
+ * @param {Object} [settings]
+ * @param {number} [settings.deadline] - Time in milliseconds the requests must finish
+ * by, defaults to the Lookup Timeout from now
+ * @returns {Promise<Array<Object|TimeoutError>>} - GraphQL response data for each
+ * request, in the same order as `requests`
+ */
+async function makeOpenCTIRequestsInParallel(
+  requests,
+  options,
+  limit = 5,
+  settings = {}
+) {
+  const Logger = logging.getLogger();
+
+  if (!requests.length) return [];
+
+  Logger.trace(
+    { url: options.url, requestCount: requests.length, limit },
+    'Making OpenCTI GraphQL requests in parallel'
+  );
+
+  const requestOptions = requests.map(({ query, variables }) => ({
+    ...createGraphQLRequestOptions(query, variables, options),
+    maxRetries: getMaxRetries(query)
+  }));
+
+  const timeout = getLookupTimeout(options);
+  const deadline = settings.deadline || Date.now() + timeout;
+
+  const requestsWithRetryInParallel = createRequestsInParallel(
+    ({ maxRetries, ...requestOptions }) =>
+      requestBeforeDeadline(
+        () => requestWithRetry(requestOptions, options, maxRetries, deadline),
+        deadline,
+        timeout
+      ).catch((error) => {
+        if (error instanceof TimeoutError) return error;
+        throw error;
+      })
+  );
+
+  try {
+    const responses = await requestsWithRetryInParallel(
+      requestOptions,
+      undefined,
+      limit,
+      false
+    );
+
+    return responses.map((response) =>
+      response instanceof TimeoutError ? response : getGraphQLResponseData(response)
+    );
+  } catch (error) {
+    throw createRequestError(error);
+  }
+}
+
+/**
+ * Gets the API Key a request is made with.  A user's own API Key is always used when
+ * they have provided one so their changes are attributed to them in OpenCTI.  When
+ * Per-User API Keys is enabled, users without their own API Key can only use the shared
+ * API Key for queries, and only if Allow Shared API Key for Lookups is enabled.
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @param {Object} [request]
+ * @param {boolean} [request.isMutation] - Whether the request changes data in OpenCTI
+ * @returns {string} API Key
+ * @throws {PermissionError} - If the user must provide their own API Key
+ */
+const getRequestApiKey = (options, { isMutation = false } = {}) => {
+  if (options.userApiKey) return options.userApiKey;
+
+  if (!options.perUserApiKeys) return options.apiKey;
+
+  if (isMutation) {
+    throw new PermissionError(
+      'You must set your own OpenCTI API Key in the integration options to submit, edit or delete IOCs',
+      { code: 'USER_API_KEY_REQUIRED' }
+    );
+  }
+
+  if (options.allowSharedApiKeyLookups === false) {
+    throw new PermissionError(
+      'You must set your own OpenCTI API Key in the integration options to search OpenCTI',
+      { code: 'USER_API_KEY_REQUIRED' }
+    );
+  }
+
+  return options.apiKey;
+};
+
+const isMutationQuery = (query) => /^\s*mutation\b/.test(query);
+
+// Field patch mutations replace the value of a field so making them again has no
+// further effect
+const IDEMPOTENT_MUTATIONS = new Set([
+  EDIT_OBSERVABLE,
+  EDIT_INDICATOR_MARKINGS,
+  EDIT_INDICATOR_AUTHOR,
+  EDIT_INDICATOR_DESCRIPTION,
+  EDIT_INDICATOR_SCORE,
+  EDIT_INDICATOR_FIELDS
+]);
+
+/**
+ * Queries and idempotent mutations are retried.  Other mutations are never retried as
+ * they may have been applied even though the request failed.
+ */
+const getMaxRetries = (query) =>
+  isMutationQuery(query) && !IDEMPOTENT_MUTATIONS.has(query)
+    ? 0
+    : DEFAULT_CONFIG.maxRetries;
+
+const getLookupTimeout = (options) =>
+  options.lookupTimeout ? options.lookupTimeout * 1000 : DEFAULT_CONFIG.timeout;
+
+const getMutationTimeout = (options) =>
+  options.mutationTimeout ? options.mutationTimeout * 1000 : DEFAULT_MUTATION_TIMEOUT_MS;
+
+/**
+ * Gets the number of milliseconds a request can take from the Lookup Timeout or
+ * Mutation Timeout option
+ */
+const getRequestTimeout = (query, options) =>
+  isMutationQuery(query) ? getMutationTimeout(options) : getLookupTimeout(options);
+
+/**
+ * Makes a request unless the deadline has passed, rejecting with a `TimeoutError` if it
+ * has not finished by the deadline.  `requestFunction` is expected to stop by the
+ * deadline itself (see `requestWithRetry`), otherwise its result is ignored.
+ * @param {Function} requestFunction - Async function making the request
+ * @param {number} deadline - Time in milliseconds the request must finish by
+ * @param {number} timeout - Timeout in milliseconds shown in the error message
+ * @returns {Promise<*>} Result of `requestFunction`
+ */
+const requestBeforeDeadline = async (requestFunction, deadline, timeout) => {
+  const createTimeoutError = () =>
+    new TimeoutError(`OpenCTI did not respond within ${timeout / 1000} seconds`, {
+      code: 'TIMEOUT',
+      timeout
+    });
+
+  if (Date.now() >= deadline) throw createTimeoutError();
+
+  let timer;
+  try {
+    return await Promise.race([
+      requestFunction(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(createTimeoutError()), deadline - Date.now());
+        // Lets the process exit while a request is pending
+        if (timer.unref) timer.unref();
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Makes a request, retrying transient failures until the deadline, and records whether
+ * OpenCTI could be reached with the instance's circuit breaker.  Each attempt times out
+ * at the deadline so no request is left running once the caller has given up, and
+ * attempts ending after the deadline are not recorded with the circuit breaker.
+ */
+const requestWithRetry = async (requestOptions, options, maxRetries, deadline) => {
+  const hasDeadlinePassed = () => Date.now() >= deadline;
+
+  try {
+    const response = await withRetry(
+      () =>
+        requestWithDefaults(
+          { ...requestOptions, timeout: Math.max(deadline - Date.now(), 1) },
+          options
+        ),
+      maxRetries,
+      deadline
+    );
+    if (!hasDeadlinePassed()) recordRequestSuccess(options);
+    return response;
+  } catch (error) {
+    if (
+      !hasDeadlinePassed() &&
+      (isRetryableError(error) || NETWORK_CONNECTION_ERROR_CODES.has(error?.code))
+    ) {
+      recordRequestFailure(options);
     }
+    throw error;
+  }
+};
 
-    Logger.trace(
+const createGraphQLRequestOptions = (query, variables, options) => ({
+  method: 'POST',
+  uri: `${options.url}/graphql`,
+  headers: {
+    Authorization: `Bearer ${getRequestApiKey(options, {
+      isMutation: isMutationQuery(query)
+    })}`,
+    'Content-Type': 'application/json'
+  },
+  body: {
+    query,
+    variables
+  },
+  json: true,
+  timeout: getRequestTimeout(query, options)
+});
+
+/**
+ * Returns the data from a GraphQL response, throwing if the response contains errors
+ * or was not successful
+ */
+const getGraphQLResponseData = (response) => {
+  const Logger = logging.getLogger();
+
+  if (response?.body?.errors?.length) {
+    Logger.error('OpenCTI GraphQL errors', { errors: response.body.errors });
+    const graphqlMessage = response.body.errors[0].message;
+    const enhancedDetail = createEnhancedErrorDetail(
+      new Error(graphqlMessage),
+      graphqlMessage
+    );
+    const error = new Error(enhancedDetail);
+    error.body = response.body;
+    error.graphqlErrors = response.body.errors;
+    error.type = 'GRAPHQL_ERROR';
+    throw error;
+  }
+
+  if (response.statusCode !== 200) {
+    const errorMessage = `HTTP ${response.statusCode}: ${
+      response?.body?.error || 'Unknown error'
+    }`;
+    Logger.error(
       {
-        hasData: !!response.body.data,
-        dataKeys: response.body.data ? Object.keys(response.body.data) : []
+        statusCode: response.statusCode,
+        body: response.body
       },
-      'OpenCTI GraphQL response received'
+      'OpenCTI request failed with non-200 status'
+    );
+    const enhancedDetail = createEnhancedErrorDetail(
+      new Error(errorMessage),
+      errorMessage
     );
-
-    return response?.body?.data || {};
-  } catch (error) {
-    Logger.error({ error }, 'OpenCTI request failed');
-    const enhancedDetail = createEnhancedErrorDetail(error, error.message);
     const enhancedError = new Error(enhancedDetail);
-    enhancedError.originalError = error;
-    enhancedError.type = 'REQUEST_ERROR';
+    enhancedError.statusCode = response.statusCode;
+    enhancedError.body = response.body;
     throw enhancedError;
   }
-}
+
+  Logger.trace(
+    {
+      hasData: !!response.body.data,
+      dataKeys: response.body.data ? Object.keys(response.body.data) : []
+    },
+    'OpenCTI GraphQL response received'
+  );
+
+  return response?.body?.data || {};
+};
+
+const createRequestError = (error) => {
+  const Logger = logging.getLogger();
+
+  Logger.error({ error }, 'OpenCTI request failed');
+  const sslErrorHelp = getSslErrorHelp(error);
+  const enhancedDetail = sslErrorHelp
+    ? `${sslErrorHelp.help} Original error: "${error.message}"`
+    : createEnhancedErrorDetail(error, error.message);
+  const enhancedError = new Error(enhancedDetail);
+  enhancedError.originalError = error;
+  enhancedError.type = 'REQUEST_ERROR';
+  return enhancedError;
+};
 
 /**
  * Enhanced error handling for request failures
@@ -270,17 +598,21 @@ function createRequestOptions(options) {
       'Content-Type': 'application/json',
       'User-Agent': 'Polarity-OpenCTI-Integration/1.0.0'
     },
-    timeout: options.timeout || 30000,
+    timeout: getLookupTimeout(options),
     json: true
   };
 }
 
 module.exports = {
   makeOpenCTIRequest,
+  makeOpenCTIRequestsInParallel,
+  getRequestApiKey,
   validateAuthentication,
   createRequestOptions,
   enhanceRequestError,
   enhanceGraphQLError,
   requestWithDefaults,
-  requestsInParallel
+  requestBeforeDeadline,
+  getLookupTimeout,
+  getRequestConfig
 };
@@ -0,0 +1,80 @@
+/**
+ * Request Retry - Server Implementation
+ * Retries transient OpenCTI request failures with jittered exponential backoff
+ */
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+const {
+  DEFAULT_CONFIG,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS
+} = require('./constants');
+
+// Gateway errors returned by a proxy or load balancer while OpenCTI is restarting or
+// overloaded
+const RETRYABLE_STATUS_CODES = new Set([502, 503, 504]);
+
+// Connection resets and connection or response timeouts
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+
+/**
+ * Whether a request failed in a way that may succeed if the request is made again
+ * @param {Error} error - Error thrown by `requestWithDefaults`
+ * @returns {boolean}
+ */
+const isRetryableError = (error) =>
+  RETRYABLE_STATUS_CODES.has(Number(error?.status || error?.statusCode)) ||
+  RETRYABLE_ERROR_CODES.has(error?.code);
+
+/**
+ * Gets a random delay between 0 and the exponential backoff of the attempt so retries
+ * from concurrent requests are spread out
+ * @param {number} attempt - Number of attempts already made, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt) =>
+  Math.floor(
+    Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1))
+  );
+
+/**
+ * Calls `requestFunction`, calling it again after a delay when it fails with a
+ * retryable error
+ * @param {Function} requestFunction - Async function making the request
+ * @param {number} [maxRetries] - Maximum number of times the request is retried
+ * @param {number} [deadline] - Time in milliseconds after which the caller has given up
+ * on the request, so no further attempts are made
+ * @returns {Promise<*>} Result of the first successful call
+ * @throws The error of the last attempt
+ */
+const withRetry = async (
+  requestFunction,
+  maxRetries = DEFAULT_CONFIG.maxRetries,
+  deadline = Infinity
+) => {
+  const Logger = getLogger();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await requestFunction();
+    } catch (error) {
+      if (attempt > maxRetries || !isRetryableError(error)) throw error;
+
+      const delay = getRetryDelay(attempt);
+      if (Date.now() + delay >= deadline) throw error;
+      Logger.debug(
+        { attempt, maxRetries, delay, status: error.status, code: error.code },
+        'Retrying OpenCTI request'
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
+
+module.exports = {
+  isRetryableError,
+  getRetryDelay,
+  withRetry
+};
@@ -6,8 +6,10 @@
 const { 
   isAuthRequiredError, 
   isGraphQLError, 
-  parseOpenCTIError 
+  parseOpenCTIError,
+  getSslErrorHelp
 } = require('../errorHandling/opencti-errors');
+const { OPENCTI_CAPABILITIES } = require('./constants');
 
 /**
  * Simple authentication test query
@@ -20,6 +22,9 @@ const TEST_AUTH_QUERY = `
       name
       user_email
       description
+      capabilities {
+        name
+      }
     }
   }
 `;
@@ -53,6 +58,7 @@ async function tryAuthentication(options, requestFunction, logger) {
           email: result.me.user_email || 'Not provided',
           description: result.me.description || 'No description'
         },
+        capabilities: (result.me.capabilities || []).map(({ name }) => name),
         message: 'Authentication successful'
       };
     }
@@ -69,21 +75,24 @@ async function tryAuthentication(options, requestFunction, logger) {
   } catch (error) {
     logger.error('OpenCTI authentication test failed', { error: error.message });
 
+    // Errors from makeOpenCTIRequest wrap the request error
+    const requestError = error.originalError || error;
+
     // Check for specific OpenCTI error types and create user-friendly messages
-    if (isAuthRequiredError(error) || isAuthenticationError(error)) {
-      const authError = parseOpenCTIError(error);
+    if (isAuthRequiredError(requestError) || isAuthenticationError(requestError)) {
+      const authError = parseOpenCTIError(requestError);
       return {
         success: false,
         authenticated: false,
         error: 'AUTH_REQUIRED',
         message: 'Your OpenCTI API key appears to be invalid or expired. Please check your API key and try again, or contact your OpenCTI administrator for assistance.',
-        detail: authError?.detail || error.message,
+        detail: authError?.detail || requestError.message,
         help: 'Verify your API key is correct and has proper permissions, or contact your OpenCTI administrator for assistance.'
       };
     }
 
-    if (isGraphQLError(error)) {
-      const graphqlError = parseOpenCTIError(error);
+    if (isGraphQLError(requestError)) {
+      const graphqlError = parseOpenCTIError(requestError);
       return {
         success: false,
         authenticated: false,
@@ -94,19 +103,50 @@ async function tryAuthentication(options, requestFunction, logger) {
       };
     }
 
+    // TLS certificate errors can be fixed with the integration's TLS options
+    const sslErrorHelp = getSslErrorHelp(requestError);
+    if (sslErrorHelp) {
+      return {
+        success: false,
+        authenticated: false,
+        error: 'SSL_ERROR',
+        message: 'There is an SSL certificate issue with your OpenCTI server.',
+        detail: requestError.message,
+        help: sslErrorHelp.help,
+        optionKey: sslErrorHelp.key
+      };
+    }
+
     // Network or other errors - provide specific guidance based on error type
-    const networkMessage = generateNetworkErrorMessage(error.message);
+    const networkMessage = generateNetworkErrorMessage(requestError.message);
     return {
       success: false,
       authenticated: false,
       error: 'NETWORK_ERROR',
       message: networkMessage,
-      detail: error.message,
-      help: getNetworkErrorHelp(error.message)
+      detail: requestError.message,
+      help: getNetworkErrorHelp(requestError.message)
     };
   }
 }
 
+/**
+ * Get the capabilities the integration needs which the OpenCTI user does not have
+ * @param {Array<string>} capabilities - Capability names from tryAuthentication
+ * @param {Object} [required]
+ * @param {boolean} [required.deletion] - Whether IOCs can be deleted from the integration
+ * @returns {Array<string>} - Missing capability names
+ */
+function getMissingCapabilities(capabilities = [], { deletion = false } = {}) {
+  if (capabilities.includes(OPENCTI_CAPABILITIES.BYPASS)) return [];
+
+  const requiredCapabilities = deletion
+    ? [OPENCTI_CAPABILITIES.UPDATE, OPENCTI_CAPABILITIES.DELETE]
+    : [OPENCTI_CAPABILITIES.UPDATE];
+
+  return requiredCapabilities.filter((capability) => !capabilities.includes(capability));
+}
+
 /**
  * Check if error indicates authentication/authorization issues
  * @param {Object} error - Error object to check
@@ -279,6 +319,7 @@ function validateAuthConfig(options) {
 
 module.exports = {
   tryAuthentication,
+  getMissingCapabilities,
   validateAuthConfig,
   isAuthenticationError,
   generateNetworkErrorMessage,
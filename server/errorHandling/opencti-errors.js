@@ -36,6 +36,26 @@ const SSL_ERROR_CODES = new Set([
   'CERT_REJECTED'
 ]);
 
+// SSL error codes caused by a certificate that is not signed by a trusted Certificate
+// Authority, e.g., an internal CA or a TLS inspecting proxy
+const UNTRUSTED_CERTIFICATE_ERROR_CODES = new Set([
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'CERT_UNTRUSTED',
+  'INVALID_CA'
+]);
+
+// SSL error codes caused by a certificate which is outside of its validity period
+const EXPIRED_CERTIFICATE_ERROR_CODES = new Set([
+  'CERT_NOT_YET_VALID',
+  'CERT_HAS_EXPIRED',
+  'ERROR_IN_CERT_NOT_BEFORE_FIELD',
+  'ERROR_IN_CERT_NOT_AFTER_FIELD'
+]);
+
 // The following is a list of NodeJS error codes that are related to network connectivity issues
 const NETWORK_CONNECTION_ERROR_CODES = new Set([
   'ECONNRESET',
@@ -137,6 +157,60 @@ const parseOpenCTIError = (error) => {
   };
 };
 
+/**
+ * Gets the code of an OpenCTI error so it is kept when the error is rethrown with a new
+ * message, e.g. `FORBIDDEN` from a GraphQL error or `ECONNRESET` from a request error
+ * @param {Object} error - Request error, or an error wrapping it as `originalError`
+ * @returns {string|undefined} - The error code, or undefined if the error has none
+ */
+const getOpenCTIErrorCode = (error) => {
+  const graphqlError = [error, error?.originalError].find(isGraphQLError);
+
+  return (
+    graphqlError?.body.errors[0]?.extensions?.code ||
+    error?.code ||
+    error?.originalError?.code
+  );
+};
+
+/**
+ * Gets help for fixing a TLS/SSL certificate error using the integration's TLS options
+ * @param {Object} error - Request error, or an error wrapping it as `originalError`
+ * @returns {Object|undefined} - `{ key, help }` where `key` is the option most likely to
+ * fix the error, or undefined if the error is not an SSL error
+ */
+const getSslErrorHelp = (error) => {
+  const code = error?.code || error?.originalError?.code;
+
+  if (!SSL_ERROR_CODES.has(code)) return;
+
+  if (UNTRUSTED_CERTIFICATE_ERROR_CODES.has(code)) {
+    return {
+      key: 'caBundlePath',
+      help:
+        `The OpenCTI server's certificate is not trusted (${code}).  Set the "CA Bundle Path" ` +
+        "option to a PEM file containing your organization's Certificate Authority " +
+        'certificates, or as a last resort check "Allow Insecure TLS/SSL Connections".'
+    };
+  }
+
+  if (EXPIRED_CERTIFICATE_ERROR_CODES.has(code)) {
+    return {
+      key: 'allowInsecureConnections',
+      help:
+        `The OpenCTI server's certificate is expired or not yet valid (${code}).  Renew ` +
+        'the certificate, or as a last resort check "Allow Insecure TLS/SSL Connections".'
+    };
+  }
+
+  return {
+    key: 'caBundlePath',
+    help:
+      `The OpenCTI server's certificate was rejected (${code}).  Check the "CA Bundle ` +
+      'Path", "Client Certificate Path" and "Client Private Key Path" options.'
+  };
+};
+
 /**
  * Given an instance of Error, return a POJO containing the Error's properties but as enumerable properties
  *
@@ -248,12 +322,13 @@ class NetworkError extends IntegrationError {
           'SSL errors are typically caused by an untrusted SSL certificate in the HTTPS request chain (e.g., ' +
           'an internal server that is being queried directly, or a web proxy for external requests). You can temporarily ' +
           'ignore SSL validation errors by enabling the integration setting "Allow Insecure TLS/SSL Connections". In most ' +
-          "cases, you will need to add your organization's Certificate Authority to the Polarity Server to resolve the " +
-          'issue permanently.';
+          'cases, you will need to set the "CA Bundle Path" integration setting to a file containing your ' +
+          "organization's Certificate Authority to resolve the issue permanently.";
       } else if (NETWORK_CONNECTION_ERROR_CODES.has(originalError.code)) {
         this.help =
           'Network connection issues are typically caused by a misconfigured proxy or firewall rule. You may ' +
-          'need to add a proxy configuration to the integration and/or confirm that connectivity between the Polarity ' +
+          'need to add a proxy configuration to the integration with the "Proxy URL" setting and/or confirm that ' +
+          'connectivity between the Polarity ' +
           'Server and the intended host is available.';
       }
     }
@@ -288,16 +363,52 @@ class RetryRequestError extends IntegrationError {
   }
 }
 
+/**
+ * Thrown by onMessage actions when the integration options (e.g., Deletion Permissions)
+ * do not allow the requested operation, or the target of the operation is not valid.
+ */
+class PermissionError extends IntegrationError {
+  constructor(message, properties = {}) {
+    super(message, properties);
+  }
+}
+
+/**
+ * Thrown by onMessage actions when values submitted from the client are invalid
+ * (e.g., an indicator expiration date before its start date).
+ */
+class ValidationError extends IntegrationError {
+  constructor(message, properties = {}) {
+    super(message, properties);
+  }
+}
+
+/**
+ * Thrown when OpenCTI does not respond before the Lookup Timeout or Mutation Timeout of
+ * an operation has passed.
+ */
+class TimeoutError extends IntegrationError {
+  constructor(message, properties = {}) {
+    super(message, properties);
+  }
+}
+
 module.exports = {
   IntegrationError,
   NetworkError,
   ApiRequestError,
   AuthRequestError,
   RetryRequestError,
+  PermissionError,
+  ValidationError,
+  TimeoutError,
   parseErrorToReadableJSON,
   // OpenCTI-specific error handling
   isAuthRequiredError,
   isGraphQLError,
   parseOpenCTIError,
-  OPENCTI_ERROR_CODES
+  getOpenCTIErrorCode,
+  getSslErrorHelp,
+  OPENCTI_ERROR_CODES,
+  NETWORK_CONNECTION_ERROR_CODES
 }; 
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Create Labels Action Function - OpenCTI Implementation
+ * Creates labels typed into the label picker that do not exist in OpenCTI yet
+ */
+const { logging } = require('polarity-integration-utils');
+const { PermissionError } = require('../errorHandling/opencti-errors');
+const { searchTags } = require('../queries/search-tags');
+const { createLabels: createLabelsMutation } = require('../queries/create-labels');
+const {
+  normalizeLabelValue,
+  getDefaultLabelColor
+} = require('../core/dataTransformations');
+
+/**
+ * Create OpenCTI labels, reusing any label that already exists with the same value
+ * @param {Object} actionParams - Action parameters
+ * @param {Array<Object>} actionParams.labels - Labels to create, each with `value` and
+ * an optional `color`
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Promise<Object>} `{ labels }` with one OpenCTI label per requested label,
+ * in the same order as requested
+ * @throws {PermissionError} - If label creation is disabled by the
+ * `allowLabelCreation` option
+ */
+const createLabels = async ({ labels = [] }, options) => {
+  const Logger = logging.getLogger();
+
+  Logger.trace({ labels }, 'OpenCTI create labels action');
+
+  if (options.allowLabelCreation === false) {
+    throw new PermissionError('Creating new labels is not permitted', {
+      code: 'LABEL_CREATION_NOT_PERMITTED'
+    });
+  }
+
+  const requestedLabels = labels
+    .map((label) => ({
+      value: (label?.value || '').trim(),
+      color: label?.color
+    }))
+    .filter(({ value }) => value);
+
+  const uniqueLabels = requestedLabels.filter(
+    ({ value }, index) =>
+      requestedLabels.findIndex(
+        (label) => normalizeLabelValue(label.value) === normalizeLabelValue(value)
+      ) === index
+  );
+
+  // Another user may have created a label with the same value since it was offered
+  // as new in the label picker, so we reuse existing labels rather than duplicating
+  const existingLabels = await Promise.all(
+    uniqueLabels.map(async ({ value }) => {
+      const data = await searchTags(value, options);
+      const existingLabel = (data?.labels?.edges || []).find(
+        ({ node }) => normalizeLabelValue(node?.value) === normalizeLabelValue(value)
+      );
+
+      return existingLabel && existingLabel.node;
+    })
+  );
+
+  const labelsToCreate = uniqueLabels
+    .filter((label, index) => !existingLabels[index])
+    .map(({ value, color }) => ({ value, color: color || getDefaultLabelColor(value) }));
+
+  const createdLabels = await createLabelsMutation(labelsToCreate, options);
+
+  const labelsByValue = existingLabels
+    .filter(Boolean)
+    .concat(createdLabels.filter(Boolean))
+    .reduce((agg, label) => ({ ...agg, [normalizeLabelValue(label.value)]: label }), {});
+
+  Logger.trace(
+    { existingLabels, createdLabels },
+    'OpenCTI create labels action completed'
+  );
+
+  return {
+    labels: requestedLabels
+      .map(({ value }) => labelsByValue[normalizeLabelValue(value)])
+      .filter(Boolean)
+  };
+};
+
+module.exports = createLabels;
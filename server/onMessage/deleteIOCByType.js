@@ -7,18 +7,30 @@ const { logging } = require('polarity-integration-utils');
 const {
   isAuthRequiredError,
   isGraphQLError,
-  parseOpenCTIError
+  parseOpenCTIError,
+  PermissionError
 } = require('../errorHandling/opencti-errors');
 const { makeOpenCTIRequest } = require('../core');
 const { DELETE_MUTATIONS_BY_TYPE } = require('../queries/graphql-queries');
+const {
+  indicatorOrObservableExistsById
+} = require('../queries/get-indicator-observable-by-id');
+const { isDeletionAllowed } = require('../userOptions/utils');
+const { invalidateLookupCache } = require('../core/lookupCache');
+
+// Types which the Deletion Permissions option can allow to be deleted.  Vulnerabilities
+// are only deleted when Atomic Submission rolls back a submission.
+const DELETABLE_TYPES = ['indicator', 'observable'];
 
 /**
  * Delete an IOC from OpenCTI
  * @param {string} idToDelete - ID of the observable to delete
  * @param {string} type - Type of the IOC to delete
  * @param {Object} options - Configuration options containing OpenCTI API details
- * @param {Object} [logger] - Optional logger instance, defaults to polarity logger
  * @returns {Promise<string>} - Deleted observable ID
+ * @throws {PermissionError} - If the type is unknown or cannot be deleted, deletion of
+ * the type is not permitted by the `deletionPermissions` option, or the id is not an item
+ * of that type
  */
 async function deleteIOCByType({ idToDelete, type, openCtiTypeHuman }, options) {
   const Logger = logging.getLogger();
@@ -32,7 +44,60 @@ async function deleteIOCByType({ idToDelete, type, openCtiTypeHuman }, options)
     'Deleting OpenCTI observable'
   );
 
+  // The client hides the delete button based on the Deletion Permissions option but
+  // we cannot trust the client so the permissions are enforced again here.
+  if (!Object.prototype.hasOwnProperty.call(DELETE_MUTATIONS_BY_TYPE, type)) {
+    throw new PermissionError(`Cannot delete IOC of unknown type "${type}"`, {
+      code: 'UNKNOWN_TYPE',
+      type,
+      idToDelete
+    });
+  }
+
+  if (!DELETABLE_TYPES.includes(type)) {
+    throw new PermissionError(`Deleting ${type} IOCs is not supported`, {
+      code: 'UNSUPPORTED_TYPE',
+      type,
+      idToDelete
+    });
+  }
+
+  if (!isDeletionAllowed(options, type)) {
+    throw new PermissionError(
+      `You do not have permission to delete ${type}s.  Deletion of ${type}s is not enabled in the integration's Deletion Permissions option.`,
+      {
+        code: 'DELETION_NOT_PERMITTED',
+        type,
+        idToDelete
+      }
+    );
+  }
+
+  if (!idToDelete) {
+    throw new PermissionError(`No ${type} id was provided for deletion`, {
+      code: 'MISSING_ID',
+      type
+    });
+  }
+
   try {
+    const idMatchesType = await indicatorOrObservableExistsById(
+      type,
+      idToDelete,
+      options
+    );
+
+    if (!idMatchesType) {
+      throw new PermissionError(
+        `Cannot delete ${type} ${idToDelete} as no ${type} with that id exists in OpenCTI`,
+        {
+          code: 'TYPE_MISMATCH',
+          type,
+          idToDelete
+        }
+      );
+    }
+
     const variables = {
       id: idToDelete
     };
@@ -45,6 +110,8 @@ async function deleteIOCByType({ idToDelete, type, openCtiTypeHuman }, options)
 
     const deletedIocId = data?.indicatorDelete || data?.stixCyberObservableEdit?.delete;
 
+    invalidateLookupCache({ ids: [idToDelete] });
+
     Logger.trace({ deletedIocId }, 'OpenCTI observable deleted successfully');
 
     return { deletedIocId, openCtiTypeHuman };
@@ -18,11 +18,39 @@ const {
   EDIT_INDICATOR_MARKINGS,
   EDIT_INDICATOR_DESCRIPTION,
   EDIT_INDICATOR_SCORE,
-  EDIT_INDICATOR_AUTHOR
+  EDIT_INDICATOR_AUTHOR,
+  EDIT_INDICATOR_FIELDS,
+  EDIT_INDICATOR_ADD_LABEL,
+  EDIT_INDICATOR_REMOVE_LABEL,
+  EDIT_OBSERVABLE_ADD_LABELS,
+  EDIT_OBSERVABLE_REMOVE_LABEL
 } = require('../queries/graphql-queries');
+const { invalidateLookupCache } = require('../core/lookupCache');
 
+/**
+ * Edit an existing indicator or observable in OpenCTI
+ *
+ * Each editable property is passed as `null` when it should not be updated.  `labels` is
+ * the complete list of label ids the IOC should have after the edit; it is diffed against
+ * the IOC's current labels so only the added and removed labels are changed.
+ * `indicatorFields` are the indicator only fields `{ confidence, validFrom, validUntil,
+ * indicatorTypes, detection }` to set on an indicator, where fields which are undefined
+ * are not updated.
+ *
+ * @returns {Promise<Object>} - The refreshed IOC in the unified item format
+ */
 async function editIOCByType(
-  { idToEdit, type, score, description, labels, authorId, markings, entity },
+  {
+    idToEdit,
+    type,
+    score,
+    description,
+    labels,
+    authorId,
+    markings,
+    indicatorFields,
+    entity
+  },
   options
 ) {
   const Logger = logging.getLogger();
@@ -60,7 +88,20 @@ async function editIOCByType(
       };
       Logger.trace({ variables }, 'Edit Observable Variables');
 
-      await makeOpenCTIRequest(EDIT_OBSERVABLE, variables, options);
+      const hasFieldsToPatch =
+        variables.patchAuthor ||
+        variables.patchMarkings ||
+        variables.patchScore ||
+        variables.patchDescription;
+
+      if (hasFieldsToPatch) {
+        await makeOpenCTIRequest(EDIT_OBSERVABLE, variables, options);
+      }
+
+      await Promise.all(
+        await createLabelEditTasks('observable', idToEdit, labels, entity, options)
+      );
+
       const updatedObservable = await getIndicatorOrObservableById(
         'observable',
         idToEdit,
@@ -97,6 +138,20 @@ async function editIOCByType(
           makeOpenCTIRequest(EDIT_INDICATOR_SCORE, { id: idToEdit, score }, options)
         );
       }
+      const indicatorFieldsInput = getIndicatorFieldsInput(indicatorFields);
+      if (indicatorFieldsInput.length) {
+        updateTasks.push(
+          makeOpenCTIRequest(
+            EDIT_INDICATOR_FIELDS,
+            { id: idToEdit, input: indicatorFieldsInput },
+            options
+          )
+        );
+      }
+
+      updateTasks.push(
+        ...(await createLabelEditTasks('indicator', idToEdit, labels, entity, options))
+      );
 
       await Promise.all(updateTasks);
       const updatedIndicator = await getIndicatorOrObservableById(
@@ -143,7 +198,92 @@ async function editIOCByType(
     }
 
     throw error;
+  } finally {
+    // Edits can partially succeed so the cached lookups are invalidated even on errors
+    invalidateLookupCache({ entityValues: [entity?.value], ids: [idToEdit] });
   }
 }
 
+// OpenCTI attribute of each indicator only field
+const INDICATOR_FIELD_KEYS = {
+  confidence: 'confidence',
+  validFrom: 'valid_from',
+  validUntil: 'valid_until',
+  indicatorTypes: 'indicator_types',
+  detection: 'x_opencti_detection'
+};
+
+/**
+ * Converts the indicator only fields which are set to `indicatorFieldPatch` input
+ * @param {Object} [indicatorFields] - `{ confidence, validFrom, validUntil,
+ * indicatorTypes, detection }`
+ * @returns {Array<Object>} `{ key, value }` of each field to update
+ */
+const getIndicatorFieldsInput = (indicatorFields = {}) =>
+  Object.entries(INDICATOR_FIELD_KEYS)
+    .filter(([field]) => indicatorFields[field] !== undefined)
+    .map(([field, key]) => ({
+      key,
+      value: [].concat(indicatorFields[field])
+    }));
+
+/**
+ * Returns the label ids that need to be added to and removed from an IOC so that its
+ * labels match `labelIds`
+ * @param {Array} currentLabels - The IOC's current labels (objects with an `id`)
+ * @param {Array} labelIds - The label ids the IOC should have after the edit
+ * @returns {{labelIdsToAdd: Array, labelIdsToRemove: Array}}
+ */
+const diffLabelIds = (currentLabels, labelIds) => {
+  const currentLabelIds = (currentLabels || []).map((label) => label.id);
+
+  return {
+    labelIdsToAdd: labelIds.filter((labelId) => !currentLabelIds.includes(labelId)),
+    labelIdsToRemove: currentLabelIds.filter((labelId) => !labelIds.includes(labelId))
+  };
+};
+
+/**
+ * Fetches the IOC's current labels and returns the pending requests which add and remove
+ * labels so the IOC ends up with exactly `labels`.
+ * @returns {Promise<Array<Promise>>} pending label requests (empty if labels is `null`)
+ */
+const createLabelEditTasks = async (type, idToEdit, labels, entity, options) => {
+  const Logger = logging.getLogger();
+
+  if (!Array.isArray(labels)) {
+    return [];
+  }
+
+  const currentIoc = await getIndicatorOrObservableById(type, idToEdit, entity, options);
+  const { labelIdsToAdd, labelIdsToRemove } = diffLabelIds(currentIoc.labels, labels);
+
+  Logger.trace({ idToEdit, type, labelIdsToAdd, labelIdsToRemove }, 'Label changes');
+
+  const addTasks =
+    type === 'observable'
+      ? labelIdsToAdd.length
+        ? [
+            makeOpenCTIRequest(
+              EDIT_OBSERVABLE_ADD_LABELS,
+              { id: idToEdit, labelIds: labelIdsToAdd },
+              options
+            )
+          ]
+        : []
+      : labelIdsToAdd.map((labelId) =>
+          makeOpenCTIRequest(EDIT_INDICATOR_ADD_LABEL, { id: idToEdit, labelId }, options)
+        );
+
+  const removeTasks = labelIdsToRemove.map((labelId) =>
+    makeOpenCTIRequest(
+      type === 'observable' ? EDIT_OBSERVABLE_REMOVE_LABEL : EDIT_INDICATOR_REMOVE_LABEL,
+      { id: idToEdit, labelId },
+      options
+    )
+  );
+
+  return addTasks.concat(removeTasks);
+};
+
 module.exports = editIOCByType;
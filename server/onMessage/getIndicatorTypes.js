@@ -0,0 +1,31 @@
+/**
+ * Get Indicator Types Action Function - OpenCTI Implementation
+ * Provides the indicator type options shown in the submission form
+ */
+const { getIndicatorTypes: getIndicatorTypesQuery } = require('../queries');
+const { logging } = require('polarity-integration-utils');
+
+/**
+ * Handle get indicator types action for the OpenCTI indicator type vocabulary
+ * @param {Object} actionParams - Action parameters (unused)
+ * @param {Object} options - Request options with OpenCTI configuration
+ * @returns {Promise<Object>} `{ indicatorTypes }` where each type has a `name` and
+ * `description`
+ */
+const getIndicatorTypes = async (actionParams, options) => {
+  const Logger = logging.getLogger();
+  Logger.trace('OpenCTI get indicator types action');
+
+  const vocabularyResults = await getIndicatorTypesQuery(options);
+
+  const indicatorTypes = (vocabularyResults?.vocabularies?.edges || []).map(
+    (vocabulary) => ({
+      name: vocabulary?.node?.name,
+      description: vocabulary?.node?.description
+    })
+  );
+
+  return { indicatorTypes };
+};
+
+module.exports = getIndicatorTypes;
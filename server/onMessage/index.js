@@ -3,11 +3,19 @@ const editIOCByType = require('./editIOCByType');
 const submitIOCs = require('./submitIOCs');
 const searchTags = require('./searchTags');
 const searchIdentities = require('./searchIdentities');
+const createLabels = require('./createLabels');
+const getIndicatorTypes = require('./getIndicatorTypes');
+const loadMoreResults = require('./loadMoreResults');
+const refreshMarkings = require('./refreshMarkings');
 
 module.exports = {
   deleteIOCByType,
   editIOCByType,
   submitIOCs,
   searchTags,
-  searchIdentities
+  searchIdentities,
+  createLabels,
+  getIndicatorTypes,
+  loadMoreResults,
+  refreshMarkings
 };
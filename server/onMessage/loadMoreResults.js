@@ -0,0 +1,34 @@
+/**
+ * Load More Results Action Function - OpenCTI Implementation
+ * Loads the next page of results for entities with more results than the lookup returned
+ */
+const { searchMoreIndicatorsAndObservables } = require('../queries');
+const { ValidationError } = require('../errorHandling/opencti-errors');
+const { logging } = require('polarity-integration-utils');
+
+/**
+ * Handle load more results action for an entity's indicators and observables
+ * @param {Object} actionParams - Action parameters
+ * @param {Object} actionParams.pagination - Pagination state of the entity returned by
+ * the lookup or the previous load more results action
+ * @param {Object} options - Request options with OpenCTI configuration
+ * @returns {Promise<Object>} `{ unifiedSearchResults, pagination }` where `pagination`
+ * is null once all results have been loaded
+ */
+const loadMoreResults = async ({ pagination }, options) => {
+  const Logger = logging.getLogger();
+  Logger.trace({ pagination }, 'OpenCTI load more results action');
+
+  if (
+    !pagination?.entity?.value ||
+    !(pagination.indicators?.cursor || pagination.observables?.cursor)
+  ) {
+    throw new ValidationError('There are no more results to load', {
+      code: 'INVALID_PAGINATION'
+    });
+  }
+
+  return searchMoreIndicatorsAndObservables(pagination, options);
+};
+
+module.exports = loadMoreResults;
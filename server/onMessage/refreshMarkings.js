@@ -0,0 +1,24 @@
+/**
+ * Refresh Markings Action Function - OpenCTI Implementation
+ * Reloads the markings the API Key's user can apply, ignoring the cached markings
+ */
+const { getMarkings } = require('../queries/get-markings');
+const { logging } = require('polarity-integration-utils');
+
+/**
+ * Handle refresh markings action so changes to the user's clearance in OpenCTI can be
+ * picked up without waiting for the markings cache to expire
+ * @param {Object} actionParams - Action parameters (unused)
+ * @param {Object} options - Request options with OpenCTI configuration
+ * @returns {Promise<Object>} `{ markings }`
+ */
+const refreshMarkings = async (actionParams, options) => {
+  const Logger = logging.getLogger();
+  Logger.trace('OpenCTI refresh markings action');
+
+  const markings = await getMarkings(options, { refresh: true });
+
+  return { markings: markings || [] };
+};
+
+module.exports = refreshMarkings;
@@ -4,6 +4,10 @@
  */
 const { searchTags: searchTagsQuery } = require('../queries');
 const { logging } = require('polarity-integration-utils');
+const {
+  normalizeLabelValue,
+  getDefaultLabelColor
+} = require('../core/dataTransformations');
 
 /**
  * Handle search tags action for OpenCTI tag search
@@ -26,13 +30,32 @@ const searchTags = async (actionParams, options) => {
     const labelResults = await searchTagsQuery(searchTerm, options, Logger);
 
     // Transform OpenCTI label results to autocomplete format
-    const tags = (labelResults?.labels?.edges || [])
-      .map((label) => ({
-        id: label?.node?.id,
-        value: label?.node?.value,
-        color: label?.node?.color || '#4f81bd'
-      }))
-      .filter((tag) => !selectedTags.some((selectedTag) => selectedTag.id === tag.id));
+    const existingTags = (labelResults?.labels?.edges || []).map((label) => ({
+      id: label?.node?.id,
+      value: label?.node?.value,
+      color: label?.node?.color || '#4f81bd'
+    }));
+
+    // Offer the search term as a new label when no label has exactly that value
+    const trimmedSearchTerm = searchTerm.trim();
+    const canCreateTag =
+      options.allowLabelCreation !== false &&
+      trimmedSearchTerm &&
+      !existingTags.some(
+        (tag) => normalizeLabelValue(tag.value) === normalizeLabelValue(trimmedSearchTerm)
+      );
+
+    const tags = (
+      canCreateTag
+        ? [
+            {
+              value: trimmedSearchTerm,
+              color: getDefaultLabelColor(trimmedSearchTerm),
+              isNew: true
+            }
+          ].concat(existingTags)
+        : existingTags
+    ).filter((tag) => !selectedTags.some((selectedTag) => isSameTag(selectedTag, tag)));
 
     Logger.debug(
       {
@@ -68,4 +91,12 @@ const searchTags = async (actionParams, options) => {
   }
 };
 
+/**
+ * New tags have no id until they are created so they are compared by value instead
+ */
+const isSameTag = (tagA, tagB) =>
+  tagA.id || tagB.id
+    ? tagA.id === tagB.id
+    : normalizeLabelValue(tagA.value) === normalizeLabelValue(tagB.value);
+
 module.exports = searchTags;
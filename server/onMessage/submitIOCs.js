@@ -3,29 +3,66 @@
  * GraphQL implementation following polarity-integration-utils patterns
  */
 
+const { uniq } = require('lodash/fp');
 const { logging } = require('polarity-integration-utils');
 const {
   isAuthRequiredError,
   isGraphQLError,
-  parseOpenCTIError
+  parseOpenCTIError,
+  ValidationError
 } = require('../errorHandling/opencti-errors');
 const { createIOC } = require('../queries/create-ioc');
 const {
   linkIndicatorAndObservableById
 } = require('../queries/link-indicator-and-observable-by-id');
+const {
+  linkIndicatorAndVulnerabilityById
+} = require('../queries/link-indicator-and-vulnerability-by-id');
 const editIOCByType = require('./editIOCByType');
+const { parseExclusionList, getExclusionListMatch } = require('../core/exclusionList');
+const { invalidateLookupCache } = require('../core/lookupCache');
+const { makeOpenCTIRequest } = require('../core');
+const { DELETE_MUTATIONS_BY_TYPE } = require('../queries/graphql-queries');
+const {
+  findExistingIndicatorAndObservable,
+  findExistingVulnerability
+} = require('../queries/search-indicators-and-observables');
+const {
+  getOnDuplicatePolicy,
+  getSubmissionFieldRestrictions
+} = require('../userOptions/utils');
 
 // const { SEARCH_TAGS_QUERY } = require('../queries/graphql-queries');
 
 /**
- * Create a new observable in OpenCTI
+ * Create new indicators, observables and vulnerabilities in OpenCTI.  Each IOC is
+ * submitted independently so one failing IOC does not stop the others from being
+ * created.  Submitted indicators are then linked to the vulnerabilities in the submission.
  * @param {Object} entity - Polarity entity object with value and type
  * @param {Object} observableData - Additional observable data (description, labels, etc.)
  * @param {Object} options - Configuration options containing OpenCTI API details
  * @param {Object} [logger] - Optional logger instance, defaults to polarity logger
- * @returns {Promise<Object>} - Created observable data
+ * @returns {Promise<Object>} - `{ createdIocs, results }` where `results` has the
+ * outcome of each IOC (see `submitIOC`)
+ * @throws {ValidationError} - If the indicator confidence, validity window or indicator
+ * types are invalid, or an IOC is on the Exclusion List
  */
-async function submitIOCs({ iocsToEditAndCreate, description, score, labels, markings, authorId }, options) {
+async function submitIOCs(
+  {
+    iocsToEditAndCreate,
+    description,
+    score,
+    labels,
+    markings,
+    authorId,
+    confidence,
+    validFrom,
+    validUntil,
+    indicatorTypes,
+    detection
+  },
+  options
+) {
   const Logger = logging.getLogger();
 
   Logger.trace(
@@ -35,76 +72,106 @@ async function submitIOCs({ iocsToEditAndCreate, description, score, labels, mar
       score,
       labels,
       markings,
-      authorId
+      authorId,
+      confidence,
+      validFrom,
+      validUntil,
+      indicatorTypes,
+      detection
     },
     'Submitting IOCs to OpenCTI'
   );
 
+  // The client does not allow exclusion listed IOCs to be submitted but we cannot
+  // trust the client so the Exclusion List is enforced again here.
+  const exclusionListRules = parseExclusionList(options.exclusionList).rules;
+  const excludedIocs = iocsToEditAndCreate.filter((ioc) =>
+    getExclusionListMatch(ioc.entityValue, exclusionListRules)
+  );
+
+  if (excludedIocs.length) {
+    throw new ValidationError(
+      `Cannot submit IOCs on the Exclusion List: ${excludedIocs
+        .map((ioc) => ioc.entityValue)
+        .join(', ')}`,
+      { code: 'EXCLUDED_IOC', excludedIocs: excludedIocs.map((ioc) => ioc.entityValue) }
+    );
+  }
+
+  // Required fields are enforced and disabled fields are dropped here as well as in the
+  // submission form
+  ({ description, score, labels } = applySubmissionFieldRestrictions(
+    { description, score, labels },
+    options
+  ));
+
+  const indicatorFields = getIndicatorFields({
+    confidence,
+    validFrom,
+    validUntil,
+    indicatorTypes,
+    detection
+  });
+
   try {
-    // Create new indicators and observables
+    // Create new indicators, observables and vulnerabilities
     const newIocs = iocsToEditAndCreate.filter(
-      (ioc) => ioc.__submitAsObservable || ioc.__submitAsIndicator
+      (ioc) =>
+        ioc.__submitAsObservable || ioc.__submitAsIndicator || ioc.__submitAsVulnerability
     );
 
     Logger.trace({ newIocs }, 'IOCs to Create');
 
-    const newIocsResults = (
-      await Promise.all(
-        newIocs.map(async (ioc) => {
-          const pendingCreatedIndicator = ioc.__submitAsIndicator
-            ? createIOC(
-                {
-                  typeToCreate: 'indicator',
-                  iocToCreate: ioc,
-                  description,
-                  score,
-                  labels,
-                  markings,
-                  authorId
-                },
-                options
-              )
-            : null;
-
-          const pendingCreatedObservable = ioc.__submitAsObservable
-            ? createIOC(
-                {
-                  typeToCreate: 'observable',
-                  iocToCreate: ioc,
-                  description,
-                  score,
-                  labels,
-                  markings,
-                  authorId
-                },
-                options
-              )
-            : null;
-
-          const [createdIndicator, createdObservable] = await Promise.all([
-            pendingCreatedIndicator,
-            pendingCreatedObservable
-          ]);
-
-          await doAutoLinkingControlFlow(createdIndicator, createdObservable, options);
-
-          return [].concat(createdIndicator || []).concat(createdObservable || []);
-        })
+    // Failed IOCs are rolled back before indicators are linked to the vulnerabilities so
+    // nothing is linked to a rolled back vulnerability, and again once linked so an IOC
+    // whose indicator could not be linked is rolled back too
+    const submittedResults = await Promise.all(
+      newIocs.map(async (ioc) =>
+        rollBackFailedSubmission(
+          await submitIOC(
+            ioc,
+            { description, score, labels, markings, authorId, indicatorFields },
+            options
+          ),
+          options
+        )
       )
-    ).flat();
+    );
+    const results = await Promise.all(
+      (
+        await linkIndicatorsToVulnerabilities(
+          submittedResults,
+          iocsToEditAndCreate,
+          options
+        )
+      ).map((result) => rollBackFailedSubmission(result, options))
+    );
 
     const response = {
-      createdIocs: newIocsResults
+      createdIocs: results.flatMap(
+        ({ createdIndicator, createdObservable, createdVulnerability }) =>
+          []
+            .concat(createdIndicator || [])
+            .concat(createdObservable || [])
+            .concat(createdVulnerability || [])
+      ),
+      results
     };
 
+    const failedResults = results.filter(
+      ({ success, linkStatus }) => !success || linkStatus === 'failed'
+    );
+    if (failedResults.length) {
+      Logger.warn({ failedResults }, 'Some IOCs could not be submitted to OpenCTI');
+    }
+
     Logger.trace(
       {
         labels,
         newIocs,
-        newIocsResults,
         response
       },
-      'OpenCTI observable created successfully'
+      'OpenCTI IOCs submitted'
     );
 
     return response;
@@ -133,26 +200,490 @@ async function submitIOCs({ iocsToEditAndCreate, description, score, labels, mar
     }
 
     throw error;
+  } finally {
+    // Some IOCs can be created before a submission fails so the cached lookups of all
+    // submitted IOCs are invalidated even on errors
+    invalidateLookupCache({
+      entityValues: iocsToEditAndCreate.map((ioc) => ioc.entityValue),
+      ids: iocsToEditAndCreate.map((ioc) => ioc.id)
+    });
   }
 }
 
+/**
+ * Creates the indicator and/or observable of an IOC and links them, or the vulnerability
+ * of a CVE.  Indicators and observables which already exist in OpenCTI are skipped,
+ * updated or created again depending on the On Duplicate option.  Failures are returned
+ * in the result instead of being thrown.
+ * @param {Object} ioc - IOC from the client with `__submitAsIndicator`,
+ * `__submitAsObservable` or `__submitAsVulnerability` set
+ * @param {Object} submission - Submission fields shared by all IOCs
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Promise<Object>} `{ entityValue, entityType, success, createdIndicator,
+ * createdObservable, createdVulnerability, duplicates, linkStatus, error, linkError,
+ * rollback }` where `success` is false if any of the types could not be created,
+ * `duplicates` lists the `{ type, id, webLink, action }` of existing IOCs which were
+ * 'skipped' or 'updated' instead of created, `linkStatus` is 'linked', 'not_linked' or
+ * 'failed', and `error` and `linkError` are `{ message, code }`.  `rollback` is added by
+ * `rollBackFailedSubmission`.
+ */
+const submitIOC = async (ioc, { indicatorFields, ...submission }, options) => {
+  const onDuplicate = getOnDuplicatePolicy(options);
+
+  // Searched once for both types so a double submission does not create duplicates.
+  // Vulnerabilities are always searched as OpenCTI updates the vulnerability with the
+  // same name instead of creating another one, so an existing vulnerability is reported
+  // as a duplicate and never rolled back.
+  const existingIocs = Promise.all([
+    onDuplicate === 'create' || !(ioc.__submitAsIndicator || ioc.__submitAsObservable)
+      ? {}
+      : findExistingIndicatorAndObservable(ioc, options, {
+          indicator: !!ioc.__submitAsIndicator,
+          observable: !!ioc.__submitAsObservable
+        }),
+    ioc.__submitAsVulnerability ? findExistingVulnerability(ioc, options) : undefined
+  ]).then(([indicatorAndObservable, vulnerability]) => ({
+    ...indicatorAndObservable,
+    vulnerability
+  }));
+
+  const upsertResults = await Promise.allSettled([
+    ioc.__submitAsIndicator
+      ? upsertIOC(
+          { ...submission, typeToCreate: 'indicator', iocToCreate: ioc, indicatorFields },
+          existingIocs,
+          onDuplicate,
+          options
+        )
+      : null,
+    ioc.__submitAsObservable
+      ? upsertIOC(
+          { ...submission, typeToCreate: 'observable', iocToCreate: ioc },
+          existingIocs,
+          onDuplicate,
+          options
+        )
+      : null,
+    ioc.__submitAsVulnerability
+      ? upsertIOC(
+          { ...submission, typeToCreate: 'vulnerability', iocToCreate: ioc },
+          existingIocs,
+          onDuplicate,
+          options
+        )
+      : null
+  ]);
+  const [indicatorResult, observableResult, vulnerabilityResult] = upsertResults;
+
+  let createdIndicator = indicatorResult.value?.ioc || null;
+  let createdObservable = observableResult.value?.ioc || null;
+  let createdVulnerability = vulnerabilityResult.value?.ioc || null;
+  const duplicates = upsertResults
+    .map(({ value }) => value)
+    .filter((upserted) => upserted?.duplicate)
+    .map(({ ioc: { type, id, webLink }, duplicate }) => ({
+      type,
+      id,
+      webLink,
+      action: duplicate
+    }));
+  const failedResult = upsertResults.find(({ status }) => status === 'rejected');
+
+  let linkStatus = 'not_linked';
+  let linkError;
+  try {
+    // Existing IOCs which were skipped are already linked if they need to be
+    const hasChanges = [indicatorResult.value, observableResult.value].some(
+      (upserted) => upserted && upserted.duplicate !== 'skipped'
+    );
+    if (
+      hasChanges &&
+      (await doAutoLinkingControlFlow(createdIndicator, createdObservable, options))
+    ) {
+      linkStatus = 'linked';
+    }
+  } catch (error) {
+    linkStatus = 'failed';
+    linkError = getSubmissionError(error);
+  }
+
+  const error = failedResult ? getSubmissionError(failedResult.reason) : undefined;
+
+  return {
+    entityValue: ioc.entityValue,
+    entityType: ioc.entityType,
+    success: !error,
+    createdIndicator,
+    createdObservable,
+    createdVulnerability,
+    duplicates,
+    linkStatus,
+    ...(error && { error }),
+    ...(linkError && { linkError })
+  };
+};
+
+/**
+ * Atomic Submission: undoes the IOCs an IOC's submission created when any part of it
+ * failed, including linking its indicator to the vulnerabilities of the submission.
+ * Existing IOCs which were skipped or updated are left in place.
+ * @param {Object} result - Result of the IOC's submission (see `submitIOC`)
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Promise<Object>} `result` without the rolled back IOCs and with the
+ * `rollback` (see `rollBackCreatedIocs`), or `result` as is if nothing was rolled back
+ */
+const rollBackFailedSubmission = async (result, options) => {
+  if (
+    !options.atomicSubmission ||
+    result.rollback ||
+    (!result.error && !result.linkError)
+  ) {
+    return result;
+  }
+
+  const duplicateIds = result.duplicates.map(({ id }) => id);
+  const rollback = await rollBackCreatedIocs(
+    [
+      result.createdIndicator,
+      result.createdObservable,
+      result.createdVulnerability
+    ].filter((ioc) => ioc && !duplicateIds.includes(ioc.id)),
+    options
+  );
+  const rolledBackIds = rollback.rolledBack.map(({ id }) => id);
+  const unlessRolledBack = (ioc) => (ioc && rolledBackIds.includes(ioc.id) ? null : ioc);
+
+  return {
+    ...result,
+    success: false,
+    createdIndicator: unlessRolledBack(result.createdIndicator),
+    createdObservable: unlessRolledBack(result.createdObservable),
+    createdVulnerability: unlessRolledBack(result.createdVulnerability),
+    error: result.error || result.linkError,
+    rollback
+  };
+};
+
+/**
+ * Links the indicators of a submission to the vulnerabilities it created or which were
+ * added to it from the lookup results, with `related-to` relationships.  Failures are
+ * reported as a failed link of the indicator's IOC.  IOCs rolled back by Atomic
+ * Submission and existing indicators which were skipped are not linked.
+ * @param {Array<Object>} results - Result of each submitted IOC (see `submitIOC`)
+ * @param {Array<Object>} iocsToEditAndCreate - IOCs submitted by the client
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Promise<Array<Object>>} `results` with the `linkStatus` and `linkError` of
+ * IOCs with an indicator updated
+ */
+const linkIndicatorsToVulnerabilities = async (results, iocsToEditAndCreate, options) => {
+  const vulnerabilityIds = uniq(
+    results
+      .filter(({ rollback }) => !rollback)
+      .map(({ createdVulnerability }) => createdVulnerability?.id)
+      .concat(
+        iocsToEditAndCreate.filter((ioc) => ioc.isVulnerability).map(({ id }) => id)
+      )
+      .filter(Boolean)
+  );
+
+  if (!vulnerabilityIds.length) return results;
+
+  return Promise.all(
+    results.map(async (result) => {
+      // Existing indicators which were skipped are left as they are
+      const skippedIndicator = result.duplicates.some(
+        ({ id, action }) => id === result.createdIndicator?.id && action === 'skipped'
+      );
+      if (!result.createdIndicator || result.rollback || skippedIndicator) {
+        return result;
+      }
+
+      const links = await Promise.allSettled(
+        vulnerabilityIds.map((vulnerabilityId) =>
+          linkIndicatorAndVulnerabilityById(
+            result.createdIndicator.id,
+            vulnerabilityId,
+            options
+          )
+        )
+      );
+      const failedLink = links.find(({ status }) => status === 'rejected');
+
+      return failedLink
+        ? {
+            ...result,
+            linkStatus: 'failed',
+            linkError: result.linkError || getSubmissionError(failedLink.reason)
+          }
+        : { ...result, linkStatus: result.linkStatus === 'failed' ? 'failed' : 'linked' };
+    })
+  );
+};
+
+/**
+ * Deletes IOCs created by a submission which failed.  The IOCs are deleted directly
+ * rather than through `deleteIOCByType` as undoing a submission does not depend on the
+ * Deletion Permissions option.
+ * @param {Array<Object>} createdIocs - Unified items of the IOCs to delete
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Promise<Object>} `{ rolledBack, notRolledBack }` lists of `{ type, id }`,
+ * where the IOCs which could not be deleted also have an `error`
+ */
+const rollBackCreatedIocs = async (createdIocs, options) => {
+  const Logger = logging.getLogger();
+
+  const deletions = await Promise.allSettled(
+    createdIocs.map(({ type, id }) =>
+      makeOpenCTIRequest(DELETE_MUTATIONS_BY_TYPE[type], { id }, options)
+    )
+  );
+
+  const rollback = deletions.reduce(
+    (agg, { status, reason }, index) => {
+      const { type, id } = createdIocs[index];
+      return status === 'fulfilled'
+        ? { ...agg, rolledBack: agg.rolledBack.concat({ type, id }) }
+        : {
+            ...agg,
+            notRolledBack: agg.notRolledBack.concat({
+              type,
+              id,
+              error: getSubmissionError(reason)
+            })
+          };
+    },
+    { rolledBack: [], notRolledBack: [] }
+  );
+
+  if (rollback.notRolledBack.length) {
+    Logger.error({ rollback }, 'Could not roll back IOCs created by a failed submission');
+  }
+
+  return rollback;
+};
+
+/**
+ * Creates an indicator, observable or vulnerability unless it already exists in OpenCTI,
+ * in which case the existing one is returned as is or updated depending on `onDuplicate`
+ * @param {Object} creation - `createIOC` arguments
+ * @param {Promise<Object>} existingIocs - `{ indicator, observable, vulnerability }`
+ * existing in OpenCTI
+ * @param {string} onDuplicate - One of `ON_DUPLICATE_POLICIES`
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Promise<Object>} `{ ioc, duplicate }` where `duplicate` is 'skipped' or
+ * 'updated' if the IOC already existed
+ */
+const upsertIOC = async (creation, existingIocs, onDuplicate, options) => {
+  const existingIoc = (await existingIocs)[creation.typeToCreate];
+
+  if (!existingIoc) {
+    return { ioc: await createIOC(creation, options) };
+  }
+
+  // Creating a vulnerability which already exists updates it regardless of `onDuplicate`
+  if (creation.typeToCreate === 'vulnerability') {
+    return { ioc: await createIOC(creation, options), duplicate: 'updated' };
+  }
+
+  if (onDuplicate === 'skip') {
+    return { ioc: existingIoc, duplicate: 'skipped' };
+  }
+
+  return {
+    ioc: await updateExistingIOC(existingIoc, creation, options),
+    duplicate: 'updated'
+  };
+};
+
+/**
+ * Applies the submitted fields to an IOC which already exists.  Labels and markings are
+ * added to the IOC's current ones and fields which were not submitted, including the
+ * indicator only fields, are left as is.
+ */
+const updateExistingIOC = (
+  existingIoc,
+  { iocToCreate, description, score, labels, markings, authorId, indicatorFields },
+  options
+) =>
+  editIOCByType(
+    {
+      idToEdit: existingIoc.id,
+      type: existingIoc.type,
+      score: isBlank(score) ? null : parseInt(score),
+      description: description || null,
+      labels: Array.isArray(labels)
+        ? uniq((existingIoc.labels || []).map(({ id }) => id).concat(labels))
+        : null,
+      authorId: authorId || null,
+      markings:
+        Array.isArray(markings) && markings.length
+          ? uniq((existingIoc.markings || []).map(({ id }) => id).concat(markings))
+          : null,
+      indicatorFields,
+      entity: {
+        value: iocToCreate.entityValue,
+        type: iocToCreate.entityType,
+        types: [iocToCreate.entityType]
+      }
+    },
+    options
+  );
+
+const getSubmissionError = (error) => ({
+  message: error?.message || 'Unknown error',
+  code: error?.meta?.code || error?.code || 'SUBMISSION_FAILED'
+});
+
+/**
+ * Validates the indicator only submission fields and converts them to the values sent
+ * to OpenCTI.  Fields which are not set are returned as `undefined`.
+ * @throws {ValidationError}
+ */
+const getIndicatorFields = ({
+  confidence,
+  validFrom,
+  validUntil,
+  indicatorTypes,
+  detection
+}) => {
+  const hasConfidence = !isBlank(confidence);
+  const parsedConfidence = hasConfidence ? Number(confidence) : undefined;
+
+  if (
+    hasConfidence &&
+    !(
+      Number.isInteger(parsedConfidence) &&
+      parsedConfidence >= 0 &&
+      parsedConfidence <= 100
+    )
+  ) {
+    throw new ValidationError('Confidence must be a whole number between 0 and 100', {
+      code: 'INVALID_CONFIDENCE',
+      confidence
+    });
+  }
+
+  const parsedValidFrom = parseDate(validFrom, 'Valid From');
+  const parsedValidUntil = parseDate(validUntil, 'Valid Until');
+
+  // OpenCTI defaults Valid From to the creation time when it is not provided
+  if (parsedValidUntil && parsedValidUntil <= (parsedValidFrom || new Date())) {
+    throw new ValidationError(
+      parsedValidFrom
+        ? 'Valid Until must be after Valid From'
+        : 'Valid Until must be in the future',
+      { code: 'INVALID_DATE_RANGE', validFrom, validUntil }
+    );
+  }
+
+  if (
+    !isBlank(indicatorTypes) &&
+    !(
+      Array.isArray(indicatorTypes) &&
+      indicatorTypes.every((type) => typeof type === 'string' && type.trim())
+    )
+  ) {
+    throw new ValidationError('Indicator Types must be a list of indicator type names', {
+      code: 'INVALID_INDICATOR_TYPES',
+      indicatorTypes
+    });
+  }
+
+  if (!isBlank(detection) && typeof detection !== 'boolean') {
+    throw new ValidationError('Detection must be a boolean value', {
+      code: 'INVALID_DETECTION',
+      detection
+    });
+  }
+
+  return {
+    confidence: parsedConfidence,
+    validFrom: parsedValidFrom ? parsedValidFrom.toISOString() : undefined,
+    validUntil: parsedValidUntil ? parsedValidUntil.toISOString() : undefined,
+    indicatorTypes: isBlank(indicatorTypes) ? undefined : indicatorTypes,
+    detection: isBlank(detection) ? undefined : detection
+  };
+};
+
+/**
+ * Applies the Submission Field Restrictions option to the submitted fields
+ * @param {Object} fields - `{ description, score, labels }` submitted by the client
+ * @param {Object} options - Configuration options
+ * @returns {Object} The fields with disabled fields set to `undefined` so OpenCTI
+ * applies its defaults
+ * @throws {ValidationError} - If a required field is empty
+ */
+const applySubmissionFieldRestrictions = (fields, options) => {
+  const restrictions = getSubmissionFieldRestrictions(options);
+
+  const missingFields = Object.keys(fields).filter(
+    (field) =>
+      restrictions[field] === 'required' &&
+      (isBlank(fields[field]) ||
+        (typeof fields[field] === 'string' && !fields[field].trim()) ||
+        (Array.isArray(fields[field]) && !fields[field].length))
+  );
+
+  if (missingFields.length) {
+    throw new ValidationError(
+      `${missingFields
+        .map((field) => field.charAt(0).toUpperCase() + field.slice(1))
+        .join(', ')} ${missingFields.length > 1 ? 'are' : 'is'} required for submission`,
+      { code: 'MISSING_REQUIRED_FIELDS', missingFields }
+    );
+  }
+
+  return Object.keys(fields).reduce(
+    (agg, field) => ({
+      ...agg,
+      [field]: restrictions[field] === 'disabled' ? undefined : fields[field]
+    }),
+    {}
+  );
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseDate = (value, fieldName) => {
+  if (isBlank(value)) return;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${fieldName} must be a valid date`, {
+      code: 'INVALID_DATE',
+      [fieldName]: value
+    });
+  }
+
+  return date;
+};
+
+/**
+ * Links a created indicator and observable, or a created IOC to the existing
+ * indicator or observable of the same value, when Automatic Relationship Creation is
+ * enabled
+ * @returns {Promise<boolean>} Whether a relationship was created
+ */
 const doAutoLinkingControlFlow = async (createdIndicator, createdObservable, options) => {
   const Logger = logging.getLogger();
 
   const autoLinkingEnabled = options.automaticLinking;
 
   if (!autoLinkingEnabled) {
-    return;
+    return false;
   }
 
   Logger.trace({ createdObservable, createdIndicator }, 'doAutoLinkingControlFlow');
 
+  let linked = false;
+
   if (createdIndicator && createdObservable) {
     await linkIndicatorAndObservableById(
       createdIndicator.id,
       createdObservable.id,
       options
     );
+    linked = true;
   }
 
   if (createdIndicator && createdIndicator.relatedObservableId) {
@@ -161,13 +692,17 @@ const doAutoLinkingControlFlow = async (createdIndicator, createdObservable, opt
       createdIndicator.relatedObservableId,
       options
     );
+    linked = true;
   } else if (createdObservable && createdObservable.relatedIndicatorId) {
     await linkIndicatorAndObservableById(
       createdObservable.relatedIndicatorId,
       createdObservable.id,
       options
     );
+    linked = true;
   }
+
+  return linked;
 };
 
 module.exports = submitIOCs;
@@ -3,32 +3,54 @@
  * GraphQL implementation following polarity-integration-utils patterns
  */
 
+const { isNil } = require('lodash/fp');
 const { logging } = require('polarity-integration-utils');
 const {
   isAuthRequiredError,
   isGraphQLError,
-  parseOpenCTIError
+  parseOpenCTIError,
+  getOpenCTIErrorCode
 } = require('../errorHandling/opencti-errors');
 const {
   STIX_PATTERNS,
   ENTITY_TYPE_BY_OBSERVABLE_TYPE,
   POLARITY_HASH_TYPE_TO_OPENCTI_HASH_ALGORITHM,
-  ENTITY_TYPE_BY_OBSERVABLE_SUBMISSION_KEY
+  ENTITY_TYPE_BY_OBSERVABLE_SUBMISSION_KEY,
+  getAsnNumber
 } = require('../core/constants');
 const { makeOpenCTIRequest } = require('../core');
 const { CREATE_MUTATIONS_BY_TYPE } = require('./graphql-queries');
-const { createUnifiedItemList } = require('../core/dataTransformations');
+const {
+  createUnifiedItemList,
+  createVulnerabilityItemList
+} = require('../core/dataTransformations');
+const { getUserRights } = require('./get-user-rights');
+const {
+  parseIndicatorLifetimes,
+  getCustomEntityTypeMappings
+} = require('../userOptions/utils');
 const { createEnhancedErrorDetail } = require('../errorHandling/error-message-mapping');
 
 /**
  * Create a new indicator in OpenCTI
  * @param {Object} entity - Polarity entity object with value and type
  * @param {Object} indicatorData - Additional indicator data (description, labels, etc.)
+ * @param {Object} [indicatorData.indicatorFields] - Fields only applied when creating an
+ * indicator (confidence, validFrom, validUntil, indicatorTypes, detection)
  * @param {Object} options - Configuration options containing OpenCTI API details
  * @returns {Promise<Object>} - Created indicator data
  */
 async function createIOC(
-  { typeToCreate, iocToCreate, description, score, labels, markings, authorId },
+  {
+    typeToCreate,
+    iocToCreate,
+    description,
+    score,
+    labels,
+    markings,
+    authorId,
+    indicatorFields = {}
+  },
   options
 ) {
   const Logger = logging.getLogger();
@@ -42,6 +64,7 @@ async function createIOC(
       labels,
       markings,
       authorId,
+      indicatorFields,
       options
     );
 
@@ -75,7 +98,13 @@ async function createIOC(
       options
     );
 
-    const createdIoc = formatCreatedIoc(data, typeToCreate, iocToCreate, options);
+    const createdIoc = formatCreatedIoc(
+      data,
+      typeToCreate,
+      iocToCreate,
+      options,
+      await getUserRights(options)
+    );
 
     Logger.trace(
       {
@@ -104,24 +133,28 @@ async function createIOC(
       'OpenCTI IOC creation failed'
     );
 
+    // Keep the OpenCTI error code on the errors thrown below
+    const code = getOpenCTIErrorCode(error);
+
     // Handle specific OpenCTI errors
     if (isAuthRequiredError(error)) {
       const enhancedDetail = createEnhancedErrorDetail(error, 'Authentication required');
-      throw new Error(enhancedDetail);
+      throw Object.assign(new Error(enhancedDetail), { code });
     }
 
     // Handle permission errors specifically (before general GraphQL errors)
     if (error.body?.errors?.some((e) => e.extensions?.code === 'FORBIDDEN')) {
-      throw new Error(`Insufficient Permissions`);
+      throw Object.assign(new Error(`Insufficient Permissions`), { code });
     }
 
     if (isGraphQLError(error)) {
       const parsedError = parseOpenCTIError(error);
       const graphqlMessage = error.message || parsedError.message || 'GraphQL error';
       const enhancedDetail = createEnhancedErrorDetail(error, graphqlMessage);
-      throw new Error(enhancedDetail);
+      throw Object.assign(new Error(enhancedDetail), { code });
     }
 
+    if (!error.code) error.code = code;
     throw error;
   }
 }
@@ -134,39 +167,55 @@ const createVariablesByType = (
   labels,
   markings,
   authorId,
+  { confidence, validFrom, validUntil, indicatorTypes, detection },
   options
 ) =>
-  ['indicator', 'observable'].includes(typeToCreate)
+  typeToCreate === 'vulnerability'
+    ? {
+        // OpenCTI vulnerabilities are named by their CVE ID and have no score
+        name: iocToCreate.entityValue.toUpperCase(),
+        description,
+        labels,
+        createdBy: authorId,
+        markings
+      }
+    : ['indicator', 'observable'].includes(typeToCreate)
     ? {
         ...(typeToCreate === 'indicator' && {
           name: iocToCreate.entityValue,
-          pattern: generateStixPattern(iocToCreate),
+          pattern: generateStixPattern(iocToCreate, options),
           pattern_type: 'stix',
-          observableType: getObservableType(iocToCreate)
+          observableType: getObservableType(iocToCreate, options),
+          // Unset fields are left undefined so they are dropped from the request
+          // and OpenCTI applies its own defaults
+          confidence: isNil(confidence) ? undefined : parseInt(confidence),
+          valid_from: validFrom || undefined,
+          valid_until:
+            validUntil || getDefaultValidUntil(iocToCreate, validFrom, options),
+          indicator_types:
+            Array.isArray(indicatorTypes) && indicatorTypes.length
+              ? indicatorTypes
+              : undefined,
+          x_opencti_detection: isNil(detection) ? undefined : detection
 
           /** Remaining Properties in GraphQL Input for Create Indicator Mutation
            *  Left in for future feature development
            *
-           * confidence: Int,
-           * objectMarking: UUID[],
            * externalReferences: UUID[],
-           * indicator_types: [],
            * killChainPhases: KillChainPhase[],
            * x_mitre_platforms: Platform[],
-           * valid_from: Date,
-           * valid_until: Date,
            * createObservables: Boolean,
-           * x_opencti_detection: Boolean,
            */
         }),
 
         ...(typeToCreate === 'observable' && {
-          type: getObservableType(iocToCreate),
-          ...getObservableProperties(iocToCreate)
+          type: getObservableType(iocToCreate, options),
+          ...getObservableProperties(iocToCreate, options)
         }),
 
         description,
-        score: parseInt(score),
+        // The score is not set when the Submission Field Restrictions disable it
+        score: isNil(score) ? undefined : parseInt(score),
         labels,
         StixFile: null,
         createdBy: authorId,
@@ -174,12 +223,45 @@ const createVariablesByType = (
       }
     : false;
 
+/**
+ * Get the expiration for a new indicator from the Default Indicator Lifetimes option
+ * @param {Object} iocToCreate - IOC being created
+ * @param {string} [validFrom] - ISO date the indicator is valid from, defaults to now
+ * @param {Object} options - Configuration options containing `indicatorLifetimes`
+ * @returns {string|undefined} ISO date, or undefined if the indicator never expires
+ */
+const getDefaultValidUntil = ({ entityType }, validFrom, options) => {
+  const lifetimeInDays = parseIndicatorLifetimes(
+    options.indicatorLifetimes,
+    options.customEntityTypeMappings
+  ).lifetimes[entityType];
+  if (!lifetimeInDays) return;
+
+  const validUntil = validFrom ? new Date(validFrom) : new Date();
+  validUntil.setUTCDate(validUntil.getUTCDate() + lifetimeInDays);
+
+  return validUntil.toISOString();
+};
+
 /**
  * Generate STIX pattern for the entity
  * @param {Object} entity - Polarity entity object
+ * @param {Object} [options] - Configuration options containing `customEntityTypeMappings`
  * @returns {string} - STIX 2.1 pattern
  */
-function generateStixPattern({ entityType, entityValue }) {
+function generateStixPattern({ entityType, entityValue }, options) {
+  const mapping = getCustomEntityTypeMappings(options)[entityType];
+  if (mapping) {
+    // Values are escaped so quotes in the value cannot end the pattern's string
+    return mapping.stixPattern
+      .split('{value}')
+      .join(
+        mapping.valueKey === 'number'
+          ? getAsnNumber(entityValue)
+          : entityValue.replace(/\\/g, '\\\\').replace(/'/g, "\\'")
+      );
+  }
+
   // Use the STIX pattern functions from constants
   const patternFunction = STIX_PATTERNS[entityType];
 
@@ -191,13 +273,29 @@ function generateStixPattern({ entityType, entityValue }) {
   return patternFunction(entityValue);
 }
 
-const getObservableType = ({ entityType }) => ENTITY_TYPE_BY_OBSERVABLE_TYPE[entityType];
-const getObservableProperties = ({ entityType, entityValue }) => {
+const getObservableType = ({ entityType }, options) =>
+  getCustomEntityTypeMappings(options)[entityType]?.observableType ||
+  ENTITY_TYPE_BY_OBSERVABLE_TYPE[entityType];
+const getObservableProperties = ({ entityType, entityValue }, options) => {
+  const mapping = getCustomEntityTypeMappings(options)[entityType];
+  if (mapping) {
+    return {
+      [mapping.submissionKey]: {
+        [mapping.valueKey]:
+          mapping.valueKey === 'number' ? getAsnNumber(entityValue) : entityValue
+      }
+    };
+  }
+
   const key = ENTITY_TYPE_BY_OBSERVABLE_SUBMISSION_KEY[entityType];
   if (entityType === 'MD5' || entityType === 'SHA1' || entityType === 'SHA256') {
     return {
       [key]: { name: entityValue }
     };
+  } else if (entityType === 'asn') {
+    return {
+      [key]: { number: getAsnNumber(entityValue) }
+    };
   } else {
     return {
       [key]: { value: entityValue }
@@ -211,7 +309,7 @@ const getObservableProperties = ({ entityType, entityValue }) => {
  * @param {string} type - The type of the IOC
  * @returns {any} - The ID of the edited IOC
  */
-const formatCreatedIoc = (data, type, iocToCreate, options) => {
+const formatCreatedIoc = (data, type, iocToCreate, options, userRights) => {
   const Logger = logging.getLogger();
 
   // TODO: this is very brittle and we need a better way to signal that these
@@ -226,9 +324,17 @@ const formatCreatedIoc = (data, type, iocToCreate, options) => {
 
   const unifiedList =
     type === 'indicator'
-      ? createUnifiedItemList([data.indicatorAdd], [], entity, options)
+      ? createUnifiedItemList([data.indicatorAdd], [], entity, options, userRights)
       : type === 'observable'
-      ? createUnifiedItemList([], [data.stixCyberObservableAdd], entity, options)
+      ? createUnifiedItemList(
+          [],
+          [data.stixCyberObservableAdd],
+          entity,
+          options,
+          userRights
+        )
+      : type === 'vulnerability'
+      ? createVulnerabilityItemList([data.vulnerabilityAdd], entity, options)
       : null;
 
   const createdIoc =
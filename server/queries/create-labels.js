@@ -0,0 +1,72 @@
+/**
+ * OpenCTI Label Creation Mutation
+ * GraphQL implementation following polarity-integration-utils patterns
+ */
+const { logging } = require('polarity-integration-utils');
+const {
+  isAuthRequiredError,
+  isGraphQLError,
+  parseOpenCTIError
+} = require('../errorHandling/opencti-errors');
+const { makeOpenCTIRequest } = require('../core');
+const { buildCreateLabelsMutation } = require('./graphql-queries');
+const { createEnhancedErrorDetail } = require('../errorHandling/error-message-mapping');
+
+/**
+ * Create new labels in OpenCTI using a single aliased mutation
+ * @param {Array<Object>} labels - Labels to create, each with `value` and `color`
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Promise<Array<Object>>} Created labels in the same order as `labels`
+ */
+async function createLabels(labels, options) {
+  const Logger = logging.getLogger();
+
+  if (!labels || !labels.length) return [];
+
+  try {
+    const variables = labels.reduce(
+      (agg, { value, color }, index) => ({
+        ...agg,
+        [`value${index}`]: value,
+        [`color${index}`]: color
+      }),
+      {}
+    );
+
+    Logger.trace({ variables }, 'Creating OpenCTI labels');
+
+    const data = await makeOpenCTIRequest(
+      buildCreateLabelsMutation(labels),
+      variables,
+      options
+    );
+
+    const createdLabels = labels.map((label, index) => data?.[`label${index}`]);
+
+    Logger.trace({ createdLabels }, 'Created OpenCTI labels');
+
+    return createdLabels;
+  } catch (error) {
+    Logger.error({ labels, error }, 'OpenCTI label creation failed');
+
+    if (isAuthRequiredError(error)) {
+      const enhancedDetail = createEnhancedErrorDetail(error, 'Authentication required');
+      throw new Error(enhancedDetail);
+    }
+
+    if (error.body?.errors?.some((e) => e.extensions?.code === 'FORBIDDEN')) {
+      throw new Error(`Insufficient Permissions`);
+    }
+
+    if (isGraphQLError(error)) {
+      const parsedError = parseOpenCTIError(error);
+      const graphqlMessage = error.message || parsedError.message || 'GraphQL error';
+      const enhancedDetail = createEnhancedErrorDetail(error, graphqlMessage);
+      throw new Error(enhancedDetail);
+    }
+
+    throw error;
+  }
+}
+
+module.exports = { createLabels };
@@ -0,0 +1,133 @@
+/**
+ * OpenCTI Exclusion Lists Query
+ * GraphQL implementation following polarity-integration-utils patterns
+ */
+const { isGraphQLError } = require('../errorHandling/opencti-errors');
+const { makeOpenCTIRequest } = require('../core');
+const {
+  requestWithDefaults,
+  requestBeforeDeadline,
+  getRequestApiKey,
+  getLookupTimeout
+} = require('../core/request');
+const { GET_EXCLUSION_LISTS } = require('./graphql-queries');
+const { parseExclusionList } = require('../core/exclusionList');
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+const NodeCache = require('node-cache');
+const { getInstanceCacheKey } = require('../core/lookupCache');
+
+const EXCLUSION_LISTS_CACHE_TTL_SECONDS = 60 * 60; // 1 hour in seconds
+
+// Users can only see the exclusion lists they have access to so they are cached per
+// instance and API Key.  Rules are not cloned as their exact values are indexed once.
+const exclusionListRulesCache = new NodeCache({ checkperiod: 60 * 60, useClones: false });
+
+/**
+ * Get the rules for the enabled exclusion lists in OpenCTI.  OpenCTI refuses to create
+ * indicators for values on these lists so they are checked during lookups to let the
+ * analyst know before they try to submit.
+ *
+ * Exclusion lists are only available in OpenCTI 6.5+ and require the API Key's user to
+ * have access to them.  If they cannot be retrieved the lookup continues without them.
+ * @param {Object} options - Request options with OpenCTI configuration
+ * @param {Object} [settings]
+ * @param {number} [settings.deadline] - Time in milliseconds the exclusion lists must be
+ * retrieved by, defaults to the Lookup Timeout from now
+ * @returns {Promise<Array<Object>>} Exclusion list rules (see `parseExclusionList`)
+ * with the `listName` and `entityTypes` of the list they came from
+ */
+async function getExclusionListRules(options, { deadline } = {}) {
+  const Logger = getLogger();
+  const cacheKey = getInstanceCacheKey(options);
+  const timeout = getLookupTimeout(options);
+  const requestDeadline = deadline || Date.now() + timeout;
+
+  try {
+    if (exclusionListRulesCache.has(cacheKey)) {
+      Logger.trace('Returning cached exclusion list rules');
+      return exclusionListRulesCache.get(cacheKey);
+    }
+
+    const result = await makeOpenCTIRequest(
+      GET_EXCLUSION_LISTS,
+      { first: 500 },
+      options,
+      { deadline: requestDeadline }
+    );
+
+    const enabledExclusionLists = (result?.exclusionLists?.edges || [])
+      .map((edge) => edge.node)
+      .filter((exclusionList) => exclusionList.enabled && exclusionList.file_id);
+
+    const exclusionListRules = await Promise.all(
+      enabledExclusionLists.map(async (exclusionList) => {
+        // Files are downloaded under the same deadline as the lookup's requests so a
+        // slow storage endpoint cannot hold up lookups
+        const response = await requestBeforeDeadline(
+          () =>
+            requestWithDefaults(
+              {
+                method: 'GET',
+                uri: `${options.url}/storage/get/${encodeURIComponent(
+                  exclusionList.file_id
+                )}`,
+                headers: {
+                  Authorization: `Bearer ${getRequestApiKey(options)}`
+                },
+                timeout: Math.max(requestDeadline - Date.now(), 1)
+              },
+              options
+            ),
+          requestDeadline,
+          timeout
+        );
+
+        return parseExclusionList(response?.body).rules.map((rule) => ({
+          ...rule,
+          listName: exclusionList.name,
+          entityTypes: exclusionList.exclusion_list_entity_types || []
+        }));
+      })
+    );
+
+    const rules = exclusionListRules.flat();
+    // force the exclusion lists to be refreshed every hour
+    exclusionListRulesCache.set(cacheKey, rules, EXCLUSION_LISTS_CACHE_TTL_SECONDS);
+
+    Logger.debug(
+      {
+        exclusionLists: enabledExclusionLists.map(({ name }) => name),
+        ruleCount: rules.length
+      },
+      'Fetched OpenCTI exclusion lists'
+    );
+
+    return rules;
+  } catch (error) {
+    // GraphQL errors mean this OpenCTI version or user cannot use exclusion lists so
+    // we cache the empty result rather than retrying on every lookup
+    if (isGraphQLError(error) || isGraphQLError(error.originalError)) {
+      Logger.warn(
+        { error },
+        'OpenCTI exclusion lists are not available, lookups will not check them'
+      );
+      exclusionListRulesCache.set(cacheKey, [], EXCLUSION_LISTS_CACHE_TTL_SECONDS);
+    } else {
+      Logger.error({ error }, 'Failed to retrieve OpenCTI exclusion lists');
+    }
+
+    return [];
+  }
+}
+
+/**
+ * Removes all cached exclusion list rules
+ */
+const clearExclusionListRulesCache = () => exclusionListRulesCache.flushAll();
+
+module.exports = {
+  getExclusionListRules,
+  clearExclusionListRulesCache
+};
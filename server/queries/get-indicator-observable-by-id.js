@@ -8,25 +8,28 @@ const { makeOpenCTIRequest } = require('../core');
 const { GET_INDICATOR, GET_OBSERVABLE } = require('./graphql-queries');
 const { createEnhancedErrorDetail } = require('../errorHandling/error-message-mapping');
 const { createUnifiedItemList } = require('../core/dataTransformations');
+const { getUserRights } = require('./get-user-rights');
+
+const createIdFilterVariables = (id) => ({
+  search: '',
+  filters: {
+    filters: [
+      {
+        key: 'id',
+        operator: 'eq',
+        values: id,
+        mode: 'or'
+      }
+    ],
+    filterGroups: [],
+    mode: 'or'
+  }
+});
 
 const getIndicatorOrObservableById = async (type, id, entity, options) => {
   const Logger = logging.getLogger();
 
-  const variables = {
-    search: '',
-    filters: {
-      filters: [
-        {
-          key: 'id',
-          operator: 'eq',
-          values: id,
-          mode: 'or'
-        }
-      ],
-      filterGroups: [],
-      mode: 'or'
-    }
-  };
+  const variables = createIdFilterVariables(id);
 
   try {
     const response = await makeOpenCTIRequest(
@@ -40,7 +43,13 @@ const getIndicatorOrObservableById = async (type, id, entity, options) => {
 
     const observables = (response?.stixCyberObservables?.edges || []).map((edge) => edge.node);
 
-    const unifiedItems = createUnifiedItemList(indicators, observables, entity, options);
+    const unifiedItems = createUnifiedItemList(
+      indicators,
+      observables,
+      entity,
+      options,
+      await getUserRights(options)
+    );
     
     if(unifiedItems.length === 0){
       throw Error(`No ${type} with id ${id} found`);
@@ -85,6 +94,43 @@ const getIndicatorOrObservableById = async (type, id, entity, options) => {
   }
 };
 
+/**
+ * Checks that an item with the given id exists in OpenCTI as the given type.  Used to
+ * verify ids sent by the client before running destructive mutations against them.
+ * @param {string} type - 'indicator' or 'observable'
+ * @param {string} id - OpenCTI id of the item
+ * @param {Object} options - Request options with OpenCTI configuration
+ * @returns {Promise<boolean>} true if an item of `type` with `id` exists
+ * @throws {Error} - If `type` is not 'indicator' or 'observable'
+ */
+const indicatorOrObservableExistsById = async (type, id, options) => {
+  const Logger = logging.getLogger();
+
+  if (type !== 'indicator' && type !== 'observable') {
+    throw new Error(`Cannot check whether a ${type} exists by id`);
+  }
+
+  const response = await makeOpenCTIRequest(
+    type === 'observable' ? GET_OBSERVABLE : GET_INDICATOR,
+    createIdFilterVariables(id),
+    options
+  );
+
+  const edges =
+    type === 'observable'
+      ? response?.stixCyberObservables?.edges
+      : response?.indicators?.edges;
+
+  const exists = (edges || []).some(
+    (edge) => edge?.node?.id === id || edge?.node?.standard_id === id
+  );
+
+  Logger.trace({ type, id, exists }, 'indicatorOrObservableExistsById result');
+
+  return exists;
+};
+
 module.exports = {
-  getIndicatorOrObservableById
+  getIndicatorOrObservableById,
+  indicatorOrObservableExistsById
 };
@@ -0,0 +1,60 @@
+/**
+ * OpenCTI Indicator Type Vocabulary Query
+ * GraphQL implementation following polarity-integration-utils patterns
+ */
+const {
+  isAuthRequiredError,
+  isGraphQLError,
+  parseOpenCTIError
+} = require('../errorHandling/opencti-errors');
+const { makeOpenCTIRequest } = require('../core');
+const { SEARCH_INDICATOR_TYPES_QUERY } = require('./graphql-queries');
+const { createEnhancedErrorDetail } = require('../errorHandling/error-message-mapping');
+const { logging } = require('polarity-integration-utils');
+
+/**
+ * Get the indicator types defined in the OpenCTI `indicator_type_ov` vocabulary
+ * @param {Object} options - Request options with OpenCTI configuration
+ * @returns {Promise<Object>} GraphQL data with vocabularies structure
+ */
+async function getIndicatorTypes(options) {
+  const Logger = logging.getLogger();
+  try {
+    const data = await makeOpenCTIRequest(
+      SEARCH_INDICATOR_TYPES_QUERY,
+      { first: 100 },
+      options
+    );
+
+    Logger.debug(
+      { resultCount: data?.vocabularies?.edges?.length || 0 },
+      'OpenCTI indicator type vocabulary retrieved'
+    );
+
+    return data;
+  } catch (error) {
+    Logger.error({ error }, 'OpenCTI indicator type vocabulary retrieval failed');
+
+    // Handle specific OpenCTI errors
+    if (isAuthRequiredError(error)) {
+      const enhancedDetail = createEnhancedErrorDetail(error, 'Authentication required');
+      throw new Error(enhancedDetail);
+    }
+
+    // Handle permission errors specifically (before general GraphQL errors)
+    if (error.body?.errors?.some((e) => e.extensions?.code === 'FORBIDDEN')) {
+      throw new Error(`Insufficient Permissions`);
+    }
+
+    if (isGraphQLError(error)) {
+      const parsedError = parseOpenCTIError(error);
+      const graphqlMessage = error.message || parsedError.message || 'GraphQL error';
+      const enhancedDetail = createEnhancedErrorDetail(error, graphqlMessage);
+      throw new Error(enhancedDetail);
+    }
+
+    throw error;
+  }
+}
+
+module.exports = { getIndicatorTypes };
@@ -13,43 +13,45 @@ const {
   logging: { getLogger }
 } = require('polarity-integration-utils');
 const { createEnhancedErrorDetail } = require('../errorHandling/error-message-mapping');
+const NodeCache = require('node-cache');
+const { getInstanceCacheKey } = require('../core/lookupCache');
 
-let cachedMarkings;
-let refreshMarkingsInterval;
-const MARKINGS_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours in millisecond
+const MARKINGS_CACHE_TTL_SECONDS = 24 * 60 * 60; // 24 hours in seconds
+
+// Markings depend on the user's clearance so they are cached per instance and API Key
+const markingsCache = new NodeCache({ checkperiod: 60 * 60 });
 
 /**
- * Search for OpenCTI labels matching the search term
- * @param {string} searchTerm - Search term for labels
+ * Get the markings the API Key's user is allowed to apply
  * @param {Object} options - Request options with OpenCTI configuration
- * @param {Object} [Logger] - Optional Logger instance, defaults to polarity Logger
- * @returns {Promise<Object>} GraphQL data with labels structure
+ * @param {Object} [settings]
+ * @param {boolean} [settings.refresh] - If true, the cached markings are ignored and
+ * fetched from OpenCTI again
+ * @returns {Promise<Array<Object>|undefined>} Allowed markings
  */
-async function getMarkings(options) {
+async function getMarkings(options, { refresh = false } = {}) {
   const Logger = getLogger();
+  const cacheKey = getInstanceCacheKey(options);
+
   try {
-    if (cachedMarkings) {
+    if (!refresh && markingsCache.has(cacheKey)) {
       Logger.trace('Returning cached markings');
-      return cachedMarkings;
+      return markingsCache.get(cacheKey);
     }
 
     const result = await makeOpenCTIRequest(GET_MARKINGS, {}, options);
-    cachedMarkings = result.me?.allowed_marking;
+    const markings = result.me?.allowed_marking;
 
-    if (!cachedMarkings) {
+    if (markings) {
+      // force the markings to be refreshed every 24 hours
+      markingsCache.set(cacheKey, markings, MARKINGS_CACHE_TTL_SECONDS);
+    } else {
       Logger.error({ result }, 'Could not retrieve markings');
     }
 
-    // force the markings to be refreshed every 24 hours
-    if (!refreshMarkingsInterval) {
-      refreshMarkingsInterval = setInterval(() => {
-        cachedMarkings = undefined;
-      }, MARKINGS_CACHE_TTL_MS);
-    }
-
-    Logger.debug({ cachedMarkings }, 'Fetched Markings');
+    Logger.debug({ markings }, 'Fetched Markings');
 
-    return cachedMarkings;
+    return markings;
   } catch (error) {
     Logger.error({ error }, 'Marking search failed');
 
@@ -75,6 +77,12 @@ async function getMarkings(options) {
   }
 }
 
+/**
+ * Removes all cached markings
+ */
+const clearMarkingsCache = () => markingsCache.flushAll();
+
 module.exports = {
-  getMarkings
+  getMarkings,
+  clearMarkingsCache
 };
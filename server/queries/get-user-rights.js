@@ -0,0 +1,71 @@
+/**
+ * OpenCTI User Rights Query
+ * GraphQL implementation following polarity-integration-utils patterns
+ */
+const { makeOpenCTIRequest } = require('../core');
+const { GET_USER_RIGHTS } = require('./graphql-queries');
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+const NodeCache = require('node-cache');
+const { getInstanceCacheKey } = require('../core/lookupCache');
+
+const USER_RIGHTS_CACHE_TTL_SECONDS = 60 * 60; // 1 hour in seconds
+
+// Rights belong to the API Key's user so they are cached per instance and API Key
+const userRightsCache = new NodeCache({ checkperiod: 60 * 60 });
+
+/**
+ * Get the capabilities and organizations of the API Key's user, used to decide which
+ * IOCs they can edit and delete.  If the rights cannot be retrieved, undefined is
+ * returned and only the integration options are used to decide.
+ * @param {Object} options - Request options with OpenCTI configuration
+ * @param {Object} [settings]
+ * @param {number} [settings.deadline] - Time in milliseconds the rights must be
+ * retrieved by
+ * @returns {Promise<Object|undefined>} `{ capabilities, organizationIds }` where
+ * `capabilities` are capability names
+ */
+async function getUserRights(options, { deadline } = {}) {
+  const Logger = getLogger();
+  const cacheKey = getInstanceCacheKey(options);
+
+  try {
+    if (userRightsCache.has(cacheKey)) {
+      Logger.trace('Returning cached user rights');
+      return userRightsCache.get(cacheKey);
+    }
+
+    const result = await makeOpenCTIRequest(GET_USER_RIGHTS, {}, options, { deadline });
+
+    if (!result?.me) {
+      Logger.warn({ result }, 'Could not retrieve user rights');
+      return;
+    }
+
+    const userRights = {
+      capabilities: (result.me.capabilities || []).map(({ name }) => name),
+      organizationIds: (result.me.objectOrganization?.edges || []).map(
+        (edge) => edge.node.id
+      )
+    };
+
+    userRightsCache.set(cacheKey, userRights, USER_RIGHTS_CACHE_TTL_SECONDS);
+
+    Logger.debug({ userRights }, 'Fetched User Rights');
+
+    return userRights;
+  } catch (error) {
+    Logger.warn({ error }, 'User rights search failed');
+  }
+}
+
+/**
+ * Removes all cached user rights
+ */
+const clearUserRightsCache = () => userRightsCache.flushAll();
+
+module.exports = {
+  getUserRights,
+  clearUserRightsCache
+};
@@ -4,6 +4,7 @@ const _INDICATOR_FIELDS = `
   entity_type
   pattern
   pattern_type
+  x_opencti_main_observable_type
   creators {
    name
    entity_type
@@ -17,6 +18,7 @@ const _INDICATOR_FIELDS = `
   name
   description
   indicator_types
+  x_opencti_detection
   x_opencti_score
   valid_from
   valid_until
@@ -27,9 +29,14 @@ const _INDICATOR_FIELDS = `
     entity_type
   }
   objectLabel {
+    id
     value
     color
   }
+  objectOrganization {
+    id
+    name
+  }
 `;
 
 const _OBSERVABLE_FIELDS = `
@@ -55,9 +62,14 @@ const _OBSERVABLE_FIELDS = `
    entity_type
   }
   objectLabel {
+    id
     value
     color
   }
+  objectOrganization {
+    id
+    name
+  }
   ... on HashedObservable {
     hashes {
       algorithm
@@ -78,37 +90,204 @@ const _OBSERVABLE_FIELDS = `
   }
 `;
 
+// `linkedIndicators` only requests the count of indicators related to the vulnerability
+const _VULNERABILITY_FIELDS = `
+  id
+  standard_id
+  entity_type
+  name
+  description
+  x_opencti_cvss_base_score
+  x_opencti_cvss_base_severity
+  created_at
+  updated_at
+  createdBy {
+    name
+    entity_type
+  }
+  creators {
+   name
+   entity_type
+  }
+  objectMarking {
+    id,
+    definition,
+    x_opencti_color
+  }
+  objectLabel {
+    id
+    value
+    color
+  }
+  objectOrganization {
+    id
+    name
+  }
+  linkedIndicators: stixCoreRelationships(fromTypes: ["Indicator"], first: 1) {
+    pageInfo {
+      globalCount
+    }
+  }
+`;
+
+const _PAGE_INFO_FIELDS = `
+  pageInfo {
+    endCursor
+    hasNextPage
+    globalCount
+  }
+`;
+
+/**
+ * Gets the next page of indicators and/or observables for a single search.  Only the
+ * types included by `$searchIndicators` and `$searchObservables` are returned.
+ */
 const SEARCH_INDICATORS_AND_OBSERVABLES = `
-  query GetIndicatorsAndObservables($search: String!, $filters: FilterGroup!) {  
+  query GetIndicatorsAndObservables(
+    $search: String!
+    $filters: FilterGroup!
+    $indicatorsAfter: ID
+    $observablesAfter: ID
+    $searchIndicators: Boolean!
+    $searchObservables: Boolean!
+  ) {
     indicators(
       search: $search
       filters: $filters
       first: 50
+      after: $indicatorsAfter
       orderBy: created_at
       orderMode: desc
-    ) {
+    ) @include(if: $searchIndicators) {
       edges {
         node {
           ${_INDICATOR_FIELDS}
         }
       }
-    } 
+      ${_PAGE_INFO_FIELDS}
+    }
     stixCyberObservables(
       search: $search
       filters: $filters
       first: 50
+      after: $observablesAfter
       orderBy: created_at
       orderMode: desc
-    ) {
+    ) @include(if: $searchObservables) {
       edges {
         node {
           ${_OBSERVABLE_FIELDS}
         }
       }
+      ${_PAGE_INFO_FIELDS}
     }
   }
 `;
 
+/**
+ * Builds a single query which searches for the indicators and observables of several
+ * entities at once.  The searches for each entity are aliased by their index
+ * (`indicators0`, `observables0`, `indicators1`, ...) and use the variables
+ * `$search<index>` and `$filters<index>`.
+ * @param {number} entityCount - Number of entities to search for
+ * @param {Object} [returnTypes] - `{ indicators, observables }` flags of the connections
+ * to include (see `getSearchReturnTypes`), defaults to both
+ * @returns {string} GraphQL query
+ */
+const buildSearchIndicatorsAndObservablesQuery = (
+  entityCount,
+  { indicators = true, observables = true } = {}
+) => {
+  const indexes = [...Array(entityCount).keys()];
+
+  return `
+  query GetIndicatorsAndObservables(
+    ${indexes
+      .map((index) => `$search${index}: String!, $filters${index}: FilterGroup!`)
+      .join('\n    ')}
+  ) {
+    ${indexes
+      .flatMap((index) => [
+        ...(indicators
+          ? [
+              `indicators${index}: indicators(
+      search: $search${index}
+      filters: $filters${index}
+      first: 50
+      orderBy: created_at
+      orderMode: desc
+    ) {
+      edges {
+        node {
+          ${_INDICATOR_FIELDS}
+        }
+      }
+      ${_PAGE_INFO_FIELDS}
+    }`
+            ]
+          : []),
+        ...(observables
+          ? [
+              `observables${index}: stixCyberObservables(
+      search: $search${index}
+      filters: $filters${index}
+      first: 50
+      orderBy: created_at
+      orderMode: desc
+    ) {
+      edges {
+        node {
+          ${_OBSERVABLE_FIELDS}
+        }
+      }
+      ${_PAGE_INFO_FIELDS}
+    }`
+            ]
+          : [])
+      ])
+      .join('\n    ')}
+  }
+`;
+};
+
+/**
+ * Builds a single query which searches for the vulnerabilities of several CVE entities
+ * at once.  The search for each entity is aliased by its index (`vulnerabilities0`,
+ * `vulnerabilities1`, ...) and uses the variables `$search<index>` and
+ * `$filters<index>`.
+ * @param {number} entityCount - Number of entities to search for
+ * @returns {string} GraphQL query
+ */
+const buildSearchVulnerabilitiesQuery = (entityCount) => {
+  const indexes = [...Array(entityCount).keys()];
+
+  return `
+  query GetVulnerabilities(
+    ${indexes
+      .map((index) => `$search${index}: String!, $filters${index}: FilterGroup!`)
+      .join('\n    ')}
+  ) {
+    ${indexes
+      .map(
+        (index) => `vulnerabilities${index}: vulnerabilities(
+      search: $search${index}
+      filters: $filters${index}
+      first: 50
+      orderBy: created_at
+      orderMode: desc
+    ) {
+      edges {
+        node {
+          ${_VULNERABILITY_FIELDS}
+        }
+      }
+    }`
+      )
+      .join('\n    ')}
+  }
+`;
+};
+
 const GET_OBSERVABLE = `
   query GetObservable($search: String!, $filters: FilterGroup!) {  
     stixCyberObservables(
@@ -161,6 +340,49 @@ query RootPrivateQuery {
   }
 }`;
 
+/**
+ * GraphQL query for the capabilities and organizations of the API Key's user, which
+ * decide whether they can edit or delete IOCs
+ */
+const GET_USER_RIGHTS = `
+  query GetUserRights {
+    me {
+      id
+      capabilities {
+        name
+      }
+      objectOrganization {
+        edges {
+          node {
+            id
+            name
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * GraphQL query for the exclusion lists configured in OpenCTI (available since 6.5).
+ * The values of each list are stored in the file referenced by `file_id`.
+ */
+const GET_EXCLUSION_LISTS = `
+  query GetExclusionLists($first: Int) {
+    exclusionLists(first: $first) {
+      edges {
+        node {
+          id
+          name
+          enabled
+          exclusion_list_entity_types
+          file_id
+        }
+      }
+    }
+  }
+`;
+
 /**
  * GraphQL query to search for OpenCTI labels
  */
@@ -207,9 +429,21 @@ const DELETE_OBSERVABLE_MUTATION = `
   }
 `;
 
+/**
+ * GraphQL mutation to delete a vulnerability in OpenCTI
+ */
+const DELETE_VULNERABILITY_MUTATION = `
+  mutation DeleteVulnerability($id: ID!) {
+    stixDomainObjectEdit(id: $id) {
+      delete
+    }
+  }
+`;
+
 const DELETE_MUTATIONS_BY_TYPE = {
   indicator: DELETE_INDICATOR_MUTATION,
-  observable: DELETE_OBSERVABLE_MUTATION
+  observable: DELETE_OBSERVABLE_MUTATION,
+  vulnerability: DELETE_VULNERABILITY_MUTATION
 };
 
 const EDIT_OBSERVABLE = `
@@ -299,6 +533,63 @@ const EDIT_INDICATOR_SCORE = `
   }
 `;
 
+// Sets the indicator only fields of an existing indicator, each as `{ key, value }`
+const EDIT_INDICATOR_FIELDS = `
+  mutation EditIndicatorFields($id: ID!, $input: [EditInput]!) {
+    indicatorFieldPatch(id: $id, input: $input) {
+      id
+    }
+  }
+`;
+
+/**
+ * Label mutations used when editing existing IOCs.  Labels are attached to indicators and
+ * observables via `object-label` relationships so they are added and removed through the
+ * relation mutations rather than `fieldPatch`.
+ */
+const EDIT_INDICATOR_ADD_LABEL = `
+  mutation EditIndicatorAddLabel($id: ID!, $labelId: StixRef!) {
+    indicatorRelationAdd(
+      id: $id
+      input: { toId: $labelId, relationship_type: "object-label" }
+    ) {
+      id
+    }
+  }
+`;
+
+const EDIT_INDICATOR_REMOVE_LABEL = `
+  mutation EditIndicatorRemoveLabel($id: ID!, $labelId: StixRef!) {
+    indicatorRelationDelete(
+      id: $id
+      toId: $labelId
+      relationship_type: "object-label"
+    ) {
+      id
+    }
+  }
+`;
+
+const EDIT_OBSERVABLE_ADD_LABELS = `
+  mutation EditObservableAddLabels($id: ID!, $labelIds: [String]!) {
+    stixCyberObservableEdit(id: $id) {
+      relationsAdd(input: { toIds: $labelIds, relationship_type: "object-label" }) {
+        id
+      }
+    }
+  }
+`;
+
+const EDIT_OBSERVABLE_REMOVE_LABEL = `
+  mutation EditObservableRemoveLabel($id: ID!, $labelId: StixRef!) {
+    stixCyberObservableEdit(id: $id) {
+      relationDelete(toId: $labelId, relationship_type: "object-label") {
+        id
+      }
+    }
+  }
+`;
+
 // const buildEditMutationForIndicator = (id, description, score, labels, authorId, markings) => {
 //   const descriptionMutation = description
 //     ? `
@@ -388,6 +679,11 @@ const CREATE_INDICATOR_MUTATION = `
     $labels: [String!]
     $markings: [String!]
     $createdBy: String
+    $confidence: Int
+    $valid_from: DateTime
+    $valid_until: DateTime
+    $indicator_types: [String!]
+    $x_opencti_detection: Boolean
   ) {
     indicatorAdd(input: {
       name: $name
@@ -400,6 +696,11 @@ const CREATE_INDICATOR_MUTATION = `
       objectLabel: $labels
       objectMarking: $markings
       createdBy: $createdBy
+      confidence: $confidence
+      valid_from: $valid_from
+      valid_until: $valid_until
+      indicator_types: $indicator_types
+      x_opencti_detection: $x_opencti_detection
     }) {
       ${_INDICATOR_FIELDS}
     }
@@ -421,6 +722,12 @@ const CREATE_OBSERVABLE_MUTATION = `
     $IPv6Addr: IPv6AddrAddInput
     $MacAddr: MacAddrAddInput
     $Url: UrlAddInput
+    $Hostname: HostnameAddInput
+    $AutonomousSystem: AutonomousSystemAddInput
+    $CryptocurrencyWallet: CryptocurrencyWalletAddInput
+    $PhoneNumber: PhoneNumberAddInput
+    $UserAgent: UserAgentAddInput
+    $Text: TextAddInput
 
     $score: Int
     $description: String
@@ -437,6 +744,12 @@ const CREATE_OBSERVABLE_MUTATION = `
       MacAddr: $MacAddr
       Url: $Url
       StixFile: $StixFile
+      Hostname: $Hostname
+      AutonomousSystem: $AutonomousSystem
+      CryptocurrencyWallet: $CryptocurrencyWallet
+      PhoneNumber: $PhoneNumber
+      UserAgent: $UserAgent
+      Text: $Text
       x_opencti_score: $score
       x_opencti_description: $description
       createdBy: $createdBy
@@ -448,25 +761,60 @@ const CREATE_OBSERVABLE_MUTATION = `
   }
 `;
 
+/**
+ * GraphQL mutation to create a new vulnerability in OpenCTI.  OpenCTI identifies
+ * vulnerabilities by name so creating one which already exists updates it instead.
+ */
+const CREATE_VULNERABILITY_MUTATION = `
+  mutation CreateVulnerability(
+    $name: String!
+
+    $description: String
+    $labels: [String!]
+    $markings: [String!]
+    $createdBy: String
+  ) {
+    vulnerabilityAdd(input: {
+      name: $name
+
+      description: $description
+      objectLabel: $labels
+      objectMarking: $markings
+      createdBy: $createdBy
+    }) {
+      ${_VULNERABILITY_FIELDS}
+    }
+  }
+`;
+
 const CREATE_MUTATIONS_BY_TYPE = {
   indicator: CREATE_INDICATOR_MUTATION,
-  observable: CREATE_OBSERVABLE_MUTATION
+  observable: CREATE_OBSERVABLE_MUTATION,
+  vulnerability: CREATE_VULNERABILITY_MUTATION
 };
 
-// const buildCreateLabelsMutation = (labels) => `
-//   mutation CreateLabels {
-//     ${labels
-//       .map(
-//         (
-//           label
-//         ) => `${label._graphqlCreationLabel}: labelAdd(input: {value: "${label.value}", color: "#63a830"}) {
-//       id
-//       value
-//       color
-//     }`
-//       )
-//       .join('\n')}
-//   }`;
+/**
+ * Builds a single mutation which creates all of the given labels.  Each label is created
+ * by an aliased `labelAdd` (`label0`, `label1`, ...) with its value and color passed as
+ * variables (`$value0`, `$color0`, ...) so label values never need to be escaped.
+ * @param {Array} labels - Labels to create
+ * @returns {string} GraphQL mutation
+ */
+const buildCreateLabelsMutation = (labels) => `
+  mutation CreateLabels(
+    ${labels.map((label, index) => `$value${index}: String!, $color${index}: String`).join('\n    ')}
+  ) {
+    ${labels
+      .map(
+        (label, index) => `label${index}: labelAdd(input: {value: $value${index}, color: $color${index}}) {
+      id
+      value
+      color
+    }`
+      )
+      .join('\n    ')}
+  }
+`;
 
 const LINK_INDICATOR_AND_OBSERVABLE_BY_ID_MUTATION = `
   mutation LinkFromIndicatorToObservableById(
@@ -487,6 +835,25 @@ const LINK_INDICATOR_AND_OBSERVABLE_BY_ID_MUTATION = `
   }
 `;
 
+const LINK_INDICATOR_AND_VULNERABILITY_BY_ID_MUTATION = `
+  mutation LinkFromIndicatorToVulnerabilityById(
+    $indicatorId: StixRef!,
+    $vulnerabilityId: StixRef!
+  ) {
+    stixCoreRelationshipAdd(
+      input: {
+        fromId: $indicatorId
+        toId: $vulnerabilityId
+        relationship_type: "related-to"
+      }
+    ) {
+      id
+      toId
+      fromId
+    }
+  }
+`;
+
 const SEARCH_IDENTITIES_QUERY = `
   query IdentitySearchIdentitiesSearchQuery(
     $types: [String]
@@ -511,23 +878,54 @@ const SEARCH_IDENTITIES_QUERY = `
   }
 `;
 
+/**
+ * GraphQL query for the values of the OpenCTI indicator type vocabulary
+ */
+const SEARCH_INDICATOR_TYPES_QUERY = `
+  query SearchIndicatorTypes($first: Int) {
+    vocabularies(category: indicator_type_ov, first: $first, orderBy: name, orderMode: asc) {
+      edges {
+        node {
+          id
+          name
+          description
+        }
+      }
+    }
+  }
+`;
+
 module.exports = {
   SEARCH_INDICATORS_AND_OBSERVABLES,
+  buildSearchIndicatorsAndObservablesQuery,
+  buildSearchVulnerabilitiesQuery,
   GET_OBSERVABLE,
   GET_INDICATOR,
   SEARCH_TAGS_QUERY,
+  GET_EXCLUSION_LISTS,
   DELETE_INDICATOR_MUTATION,
   DELETE_OBSERVABLE_MUTATION,
+  DELETE_VULNERABILITY_MUTATION,
   DELETE_MUTATIONS_BY_TYPE,
   CREATE_INDICATOR_MUTATION,
   CREATE_OBSERVABLE_MUTATION,
+  CREATE_VULNERABILITY_MUTATION,
   CREATE_MUTATIONS_BY_TYPE,
+  buildCreateLabelsMutation,
   LINK_INDICATOR_AND_OBSERVABLE_BY_ID_MUTATION,
+  LINK_INDICATOR_AND_VULNERABILITY_BY_ID_MUTATION,
   GET_MARKINGS,
+  GET_USER_RIGHTS,
   SEARCH_IDENTITIES_QUERY,
+  SEARCH_INDICATOR_TYPES_QUERY,
   EDIT_OBSERVABLE,
   EDIT_INDICATOR_MARKINGS,
   EDIT_INDICATOR_DESCRIPTION,
   EDIT_INDICATOR_SCORE,
-  EDIT_INDICATOR_AUTHOR
+  EDIT_INDICATOR_FIELDS,
+  EDIT_INDICATOR_AUTHOR,
+  EDIT_INDICATOR_ADD_LABEL,
+  EDIT_INDICATOR_REMOVE_LABEL,
+  EDIT_OBSERVABLE_ADD_LABELS,
+  EDIT_OBSERVABLE_REMOVE_LABEL
 };
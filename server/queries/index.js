@@ -4,12 +4,18 @@
  */
 
 // OpenCTI GraphQL Query and Mutation modules
-const { searchIndicatorsAndObservables } = require('./search-indicators-and-observables');
+const {
+  searchIndicatorsAndObservables,
+  searchMoreIndicatorsAndObservables
+} = require('./search-indicators-and-observables');
 const { searchIdentities } = require('./search-identities');
 const { searchTags } = require('./search-tags');
+const { getIndicatorTypes } = require('./get-indicator-types');
 
 module.exports = {
   searchIndicatorsAndObservables,
+  searchMoreIndicatorsAndObservables,
   searchTags,
-  searchIdentities
-};
\ No newline at end of file
+  searchIdentities,
+  getIndicatorTypes
+};
@@ -6,7 +6,8 @@ const {
 const {
   isAuthRequiredError,
   isGraphQLError,
-  parseOpenCTIError
+  parseOpenCTIError,
+  getOpenCTIErrorCode
 } = require('../errorHandling/opencti-errors');
 const { createEnhancedErrorDetail } = require('../errorHandling/error-message-mapping');
 
@@ -51,24 +52,28 @@ async function linkIndicatorAndObservableById(indicatorId, observableId, options
       'OpenCTI link indicator and observable failed'
     );
 
+    // Keep the OpenCTI error code on the errors thrown below
+    const code = getOpenCTIErrorCode(error);
+
     // Handle specific OpenCTI errors
     if (isAuthRequiredError(error)) {
       const enhancedDetail = createEnhancedErrorDetail(error, 'Authentication required');
-      throw new Error(enhancedDetail);
+      throw Object.assign(new Error(enhancedDetail), { code });
     }
 
     // Handle permission errors specifically (before general GraphQL errors)
     if (error.body?.errors?.some((e) => e.extensions?.code === 'FORBIDDEN')) {
-      throw new Error(`Insufficient Permissions`);
+      throw Object.assign(new Error(`Insufficient Permissions`), { code });
     }
 
     if (isGraphQLError(error)) {
       const parsedError = parseOpenCTIError(error);
       const graphqlMessage = error.message || parsedError.message || 'GraphQL error';
       const enhancedDetail = createEnhancedErrorDetail(error, graphqlMessage);
-      throw new Error(enhancedDetail);
+      throw Object.assign(new Error(enhancedDetail), { code });
     }
 
+    if (!error.code) error.code = code;
     throw error;
   }
 }
@@ -0,0 +1,83 @@
+const { makeOpenCTIRequest } = require('../core');
+const { LINK_INDICATOR_AND_VULNERABILITY_BY_ID_MUTATION } = require('./graphql-queries');
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+const {
+  isAuthRequiredError,
+  isGraphQLError,
+  parseOpenCTIError,
+  getOpenCTIErrorCode
+} = require('../errorHandling/opencti-errors');
+const { createEnhancedErrorDetail } = require('../errorHandling/error-message-mapping');
+
+/**
+ * Link an indicator to a vulnerability by their IDs with a `related-to` relationship
+ * @param {string} indicatorId - ID of the indicator
+ * @param {string} vulnerabilityId - ID of the vulnerability
+ * @param {Object} options - Request options with OpenCTI configuration
+ * @returns {Promise<void>}
+ */
+async function linkIndicatorAndVulnerabilityById(indicatorId, vulnerabilityId, options) {
+  const Logger = getLogger();
+  try {
+    Logger.trace(
+      { indicatorId, vulnerabilityId },
+      'Linking indicator and vulnerability by id'
+    );
+
+    const variables = {
+      indicatorId,
+      vulnerabilityId
+    };
+
+    await makeOpenCTIRequest(
+      LINK_INDICATOR_AND_VULNERABILITY_BY_ID_MUTATION,
+      variables,
+      options
+    );
+
+    Logger.debug(
+      {
+        indicatorId,
+        vulnerabilityId
+      },
+      'Linking indicator and vulnerability by id completed'
+    );
+  } catch (error) {
+    Logger.error(
+      {
+        indicatorId,
+        vulnerabilityId,
+        error
+      },
+      'OpenCTI link indicator and vulnerability failed'
+    );
+
+    // Keep the OpenCTI error code on the errors thrown below
+    const code = getOpenCTIErrorCode(error);
+
+    // Handle specific OpenCTI errors
+    if (isAuthRequiredError(error)) {
+      const enhancedDetail = createEnhancedErrorDetail(error, 'Authentication required');
+      throw Object.assign(new Error(enhancedDetail), { code });
+    }
+
+    // Handle permission errors specifically (before general GraphQL errors)
+    if (error.body?.errors?.some((e) => e.extensions?.code === 'FORBIDDEN')) {
+      throw Object.assign(new Error(`Insufficient Permissions`), { code });
+    }
+
+    if (isGraphQLError(error)) {
+      const parsedError = parseOpenCTIError(error);
+      const graphqlMessage = error.message || parsedError.message || 'GraphQL error';
+      const enhancedDetail = createEnhancedErrorDetail(error, graphqlMessage);
+      throw Object.assign(new Error(enhancedDetail), { code });
+    }
+
+    if (!error.code) error.code = code;
+    throw error;
+  }
+}
+
+module.exports = { linkIndicatorAndVulnerabilityById };
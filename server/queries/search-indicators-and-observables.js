@@ -7,58 +7,131 @@ const { logging } = require('polarity-integration-utils');
 const {
   isAuthRequiredError,
   isGraphQLError,
-  parseOpenCTIError
+  parseOpenCTIError,
+  TimeoutError
 } = require('../errorHandling/opencti-errors');
-const { makeOpenCTIRequest } = require('../core');
-const { SEARCH_INDICATORS_AND_OBSERVABLES } = require('./graphql-queries');
+const { chunk, orderBy } = require('lodash/fp');
+const { makeOpenCTIRequest, makeOpenCTIRequestsInParallel } = require('../core');
+const { getLookupTimeout } = require('../core/request');
+const {
+  SEARCH_INDICATORS_AND_OBSERVABLES,
+  buildSearchIndicatorsAndObservablesQuery,
+  buildSearchVulnerabilitiesQuery
+} = require('./graphql-queries');
 const { createEnhancedErrorDetail } = require('../errorHandling/error-message-mapping');
 const {
   createUnifiedItemList,
-  getSpecificPolarityEntityType
+  createVulnerabilityItemList,
+  getSpecificPolarityEntityType,
+  getOpenCtiTypeHuman
 } = require('../core/dataTransformations');
-const { ENTITY_TYPE_TO_OPENCTI_HUMAN_READABLE_TYPE } = require('../core/constants');
+const {
+  ENTITY_TYPE_BY_OBSERVABLE_TYPE,
+  ENTITIES_PER_SEARCH_REQUEST,
+  DEFAULT_MAX_CONCURRENT_REQUESTS,
+  POLARITY_HASH_TYPE_TO_OPENCTI_HASH_ALGORITHM,
+  getAsnNumber
+} = require('../core/constants');
+const {
+  parseExclusionList,
+  getExclusionListMatch,
+  flagExclusionListMatch
+} = require('../core/exclusionList');
+const { getExclusionListRules } = require('./get-exclusion-lists');
+const { getUserRights } = require('./get-user-rights');
+const { getCachedSearchResults, setCachedSearchResults } = require('../core/lookupCache');
+const {
+  isExactMatchSearch,
+  hasSearchBehavior,
+  getSearchReturnTypes,
+  getCustomEntityTypeMappings
+} = require('../userOptions/utils');
 
 const searchIndicatorsAndObservables = async (entities, options) => {
   const Logger = logging.getLogger();
 
-  const unifiedSearchResults = await Promise.all(
-    entities.map(async (entity) => {
-      Logger.trace({ entity: entity.value, type: entity.type }, 'Processing entity');
+  // All of the lookup's requests share one deadline so the lookup finishes within the
+  // Lookup Timeout
+  const deadline = Date.now() + getLookupTimeout(options);
+  const [platformExclusionListRules, userRights] = await Promise.all([
+    getExclusionListRules(options, { deadline }),
+    getUserRights(options, { deadline })
+  ]);
 
-      // Search for both indicators and observables simultaneously
-      const searchResults = await searchIndicatorsAndObservablesForEntity(
-        entity,
-        options
-      );
+  // Only entities without cached results are searched for, in batched requests
+  const cachedSearchResults = entities.map((entity) =>
+    getCachedSearchResults(entity, options)
+  );
+  const entitiesToSearch = entities.filter(
+    (entity, index) => !cachedSearchResults[index]
+  );
 
-      // Extract arrays from edges structure
-      const indicators = (searchResults?.indicators?.edges || []).map(
-        (edge) => edge.node
-      );
-      const observables = (searchResults?.observables?.edges || []).map(
-        (edge) => edge.node
-      );
+  Logger.trace(
+    {
+      cached: entities.length - entitiesToSearch.length,
+      searched: entitiesToSearch.length
+    },
+    'Lookup cache checked'
+  );
 
-      Logger.trace(
-        {
-          indicators: indicators.length,
-          observables: observables.length
-        },
-        'Search results received'
-      );
+  const searchResults = await searchEntities(entitiesToSearch, options, deadline);
 
-      // Create unified data structure with computed properties
-      const unifiedData = createUnifiedDataStructure(
-        entity,
-        indicators,
-        observables,
-        options
-      );
+  // Entities whose search timed out are searched again by the next lookup
+  entitiesToSearch.forEach((entity, index) => {
+    if (!searchResults[index].timedOut) {
+      setCachedSearchResults(entity, searchResults[index], options);
+    }
+  });
 
-      return unifiedData;
-    })
+  let searchResultsIndex = 0;
+  const searchResultsByEntity = cachedSearchResults.map(
+    (cachedResults) => cachedResults || searchResults[searchResultsIndex++]
   );
 
+  const unifiedSearchResults = entities.map((entity, index) => {
+    Logger.trace({ entity: entity.value, type: entity.type }, 'Processing entity');
+
+    const searchResults = searchResultsByEntity[index];
+
+    // Extract arrays from edges structure
+    const indicators = (searchResults?.indicators?.edges || []).map((edge) => edge.node);
+    const observables = (searchResults?.observables?.edges || []).map(
+      (edge) => edge.node
+    );
+    const vulnerabilities = (searchResults?.vulnerabilities?.edges || []).map(
+      (edge) => edge.node
+    );
+
+    Logger.trace(
+      {
+        indicators: indicators.length,
+        observables: observables.length,
+        vulnerabilities: vulnerabilities.length
+      },
+      'Search results received'
+    );
+
+    // Create unified data structure with computed properties
+    const unifiedData = createUnifiedDataStructure(
+      entity,
+      indicators,
+      observables,
+      options,
+      platformExclusionListRules,
+      userRights,
+      vulnerabilities
+    );
+
+    return searchResults?.timedOut
+      ? unifiedData.map((item) => ({ ...item, timedOut: true }))
+      : unifiedData;
+  });
+
+  // Entities with more results than were returned can have them loaded from the block
+  const pagination = entities
+    .map((entity, index) => getSearchPagination(entity, searchResultsByEntity[index]))
+    .filter(Boolean);
+
   // In certain circumstances we can have duplicate results e.g., when searching on a
   // domain and a URL containing that domain both entities can match on the same
   // indicator/observable in OpenCTI.
@@ -72,122 +145,367 @@ const searchIndicatorsAndObservables = async (entities, options) => {
     ).values()
   );
 
-  return uniqueUnifiedResults;
+  return { unifiedSearchResults: uniqueUnifiedResults, pagination };
 };
 
 /**
- * Search for indicators and observables matching the entity value
- * @param {Object} entity - Polarity entity object with value and type
+ * Loads the next page of indicators and observables for an entity whose lookup had
+ * more results than were returned
+ * @param {Object} pagination - Pagination state returned by the lookup or the previous
+ * call to this function (see `getSearchPagination`)
  * @param {Object} options - Configuration options containing OpenCTI API details
- * @param {Object} [logger] - Optional logger instance, defaults to polarity logger
- * @returns {Promise<Object>} - Combined search results
+ * @returns {Promise<Object>} `{ unifiedSearchResults, pagination }` where `pagination`
+ * is null once all results have been loaded
+ */
+const searchMoreIndicatorsAndObservables = async (pagination, options) => {
+  const { entity, indicators, observables } = pagination;
+
+  const deadline = Date.now() + getLookupTimeout(options);
+  const [platformExclusionListRules, userRights] = await Promise.all([
+    getExclusionListRules(options, { deadline }),
+    getUserRights(options, { deadline })
+  ]);
+
+  const searchResults = await searchIndicatorsAndObservablesForEntity(entity, options, {
+    indicatorsAfter: indicators.cursor,
+    observablesAfter: observables.cursor,
+    deadline
+  });
+
+  // The block already has the entity's other results so only found items are returned
+  const unifiedSearchResults = createUnifiedDataStructure(
+    entity,
+    (searchResults.indicators.edges || []).map((edge) => edge.node),
+    (searchResults.observables.edges || []).map((edge) => edge.node),
+    options,
+    platformExclusionListRules,
+    userRights
+  ).filter((item) => item.foundInOpenCTI);
+
+  return {
+    unifiedSearchResults,
+    pagination: getSearchPagination(entity, searchResults, pagination) || null
+  };
+};
+
+/**
+ * Searches for the vulnerabilities of CVE entities and the indicators and observables of
+ * all other entities
+ * @param {Array<Object>} entities - Polarity entity objects with value and type
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @param {number} [deadline] - Time in milliseconds the searches must finish by
+ * @returns {Promise<Array<Object>>} - Search results for each entity, in the same order
+ * as `entities`
+ */
+const searchEntities = async (entities, options, deadline) => {
+  const cveEntities = entities.filter(isCveEntity);
+
+  const [vulnerabilityResults, iocResults] = await Promise.all([
+    cveEntities.length
+      ? searchVulnerabilitiesForEntities(cveEntities, options, deadline)
+      : [],
+    searchIndicatorsAndObservablesForEntities(
+      entities.filter((entity) => !isCveEntity(entity)),
+      options,
+      deadline
+    )
+  ]);
+
+  let vulnerabilityResultsIndex = 0;
+  let iocResultsIndex = 0;
+  return entities.map((entity) =>
+    isCveEntity(entity)
+      ? vulnerabilityResults[vulnerabilityResultsIndex++]
+      : iocResults[iocResultsIndex++]
+  );
+};
+
+const isCveEntity = (entity) => getSpecificPolarityEntityType(entity) === 'cve';
+
+/**
+ * Search for the vulnerabilities matching CVE entity values, in chunks of
+ * `ENTITIES_PER_SEARCH_REQUEST` like `searchIndicatorsAndObservablesForEntities`
+ * @param {Array<Object>} entities - Polarity CVE entity objects
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @param {number} [deadline] - Time in milliseconds the searches must finish by
+ * @returns {Promise<Array<Object>>} - `{ indicators, observables, vulnerabilities }`
+ * search results for each entity, in the same order as `entities`, where only
+ * `vulnerabilities` can have results
+ */
+async function searchVulnerabilitiesForEntities(entities, options, deadline) {
+  const Logger = logging.getLogger();
+
+  const entityChunks = chunk(ENTITIES_PER_SEARCH_REQUEST, entities);
+
+  Logger.trace(
+    { entities: entities.map(({ value }) => value), requestCount: entityChunks.length },
+    'Searching OpenCTI for vulnerabilities'
+  );
+
+  try {
+    const requests = entityChunks.map((entityChunk) => ({
+      query: buildSearchVulnerabilitiesQuery(entityChunk.length),
+      variables: entityChunk.reduce((agg, entity, index) => {
+        const { search, filters } = createSearchVariables(entity, options);
+        return { ...agg, [`search${index}`]: search, [`filters${index}`]: filters };
+      }, {})
+    }));
+
+    const responses = await makeOpenCTIRequestsInParallel(
+      requests,
+      options,
+      options.maxConcurrentRequests || DEFAULT_MAX_CONCURRENT_REQUESTS,
+      { deadline }
+    );
+
+    return entityChunks.flatMap((entityChunk, chunkIndex) =>
+      entityChunk.map((entity, index) => ({
+        indicators: { edges: [] },
+        observables: { edges: [] },
+        ...(responses[chunkIndex] instanceof TimeoutError
+          ? { vulnerabilities: { edges: [] }, timedOut: true }
+          : {
+              vulnerabilities: responses[chunkIndex][`vulnerabilities${index}`] || {
+                edges: []
+              }
+            })
+      }))
+    );
+  } catch (error) {
+    Logger.error(
+      { error, entities: entities.map(({ value }) => value) },
+      'OpenCTI search vulnerabilities failed'
+    );
+
+    throw createSearchError(error);
+  }
+}
+
+/**
+ * Search for indicators and observables matching the entity values.  Entities are
+ * searched in chunks of `ENTITIES_PER_SEARCH_REQUEST` using a single aliased query per
+ * chunk, with at most `maxConcurrentRequests` requests running at the same time.
+ * @param {Array<Object>} entities - Polarity entity objects with value and type
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @param {number} [deadline] - Time in milliseconds the searches must finish by
+ * @returns {Promise<Array<Object>>} - Combined search results for each entity, in the
+ * same order as `entities`.  Entities whose request did not finish within the Lookup
+ * Timeout have no results and `timedOut` set.
  */
-async function searchIndicatorsAndObservablesForEntity(entity, options) {
+async function searchIndicatorsAndObservablesForEntities(entities, options, deadline) {
   const Logger = logging.getLogger();
 
+  const entityChunks = chunk(ENTITIES_PER_SEARCH_REQUEST, entities);
+
   Logger.trace(
     {
-      entity: entity.value,
-      type: entity.type
+      entities: entities.map(({ value }) => value),
+      requestCount: entityChunks.length,
+      options: {
+        url: options.url,
+        hasApiKey: !!options.apiKey,
+        apiKeyLength: options.apiKey ? options.apiKey.length : 0,
+        authorId: options.authorId
+      }
     },
     'Searching OpenCTI for indicators and observables'
   );
 
   try {
-    // Build dynamic query based on enabled search types
+    const requests = entityChunks.map((entityChunk) => ({
+      query: buildSearchIndicatorsAndObservablesQuery(
+        entityChunk.length,
+        getSearchReturnTypes(options)
+      ),
+      variables: entityChunk.reduce((agg, entity, index) => {
+        const { search, filters } = createSearchVariables(entity, options);
+        return { ...agg, [`search${index}`]: search, [`filters${index}`]: filters };
+      }, {})
+    }));
+
+    const responses = await makeOpenCTIRequestsInParallel(
+      requests,
+      options,
+      options.maxConcurrentRequests || DEFAULT_MAX_CONCURRENT_REQUESTS,
+      { deadline }
+    );
+
+    // Split each aliased response back out into the results for each entity
+    const searchResults = entityChunks.flatMap((entityChunk, chunkIndex) =>
+      entityChunk.map((entity, index) =>
+        responses[chunkIndex] instanceof TimeoutError
+          ? { indicators: { edges: [] }, observables: { edges: [] }, timedOut: true }
+          : {
+              indicators: responses[chunkIndex][`indicators${index}`] || { edges: [] },
+              observables: responses[chunkIndex][`observables${index}`] || { edges: [] }
+            }
+      )
+    );
+
+    const timedOutEntities = searchResults.filter(({ timedOut }) => timedOut).length;
+    if (timedOutEntities) {
+      Logger.warn(
+        { timedOutEntities, lookupTimeout: options.lookupTimeout },
+        'OpenCTI search timed out for some entities, returning partial results'
+      );
+    }
+
     Logger.trace(
       {
-        entity: entity.value,
+        indicators: searchResults.reduce(
+          (agg, { indicators }) => agg + (indicators.edges?.length || 0),
+          0
+        ),
+        observables: searchResults.reduce(
+          (agg, { observables }) => agg + (observables.edges?.length || 0),
+          0
+        )
+      },
+      'OpenCTI search completed successfully'
+    );
+
+    return searchResults;
+  } catch (error) {
+    Logger.error(
+      {
+        error,
+        entities: entities.map(({ value }) => value),
         options: {
           url: options.url,
-          hasApiKey: !!options.apiKey,
-          apiKeyLength: options.apiKey ? options.apiKey.length : 0,
-          authorId: options.authorId
+          hasApiKey: !!options.apiKey
         }
       },
-      'Search configuration determined'
+      'OpenCTI search indicators and observables failed'
     );
 
-    const variables = {
-      search: `"${entity.value}"`,
-      filters: {
-        filters: [],
-        filterGroups: [],
-        mode: 'or'
-      }
-    };
+    throw createSearchError(error);
+  }
+}
 
-    if (options.exactMatchSearching) {
-      variables.filters = {
-        mode: 'or',
-        filters: [
-          {
-            key: 'name',
-            operator: 'eq',
-            values: [entity.value],
-            mode: 'or'
-          },
-          {
-            key: 'value',
-            operator: 'eq',
-            values: [entity.value],
-            mode: 'or'
-          }
-        ],
-        filterGroups: []
-      };
+/**
+ * Finds the indicator and observable which already exist in OpenCTI for an IOC being
+ * submitted, using the exact match search filters regardless of the Exact Match Search
+ * option.  Only indicators and observables of the IOC's observable type are returned.
+ * @param {Object} ioc - IOC being submitted with `entityValue` and `entityType`
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @param {Object} types - `{ indicator, observable }` flags of the types to search for
+ * @returns {Promise<Object>} `{ indicator, observable }` unified items of the existing
+ * IOCs, undefined for types which do not exist or were not searched
+ */
+const findExistingIndicatorAndObservable = async (
+  { entityValue, entityType },
+  options,
+  { indicator, observable }
+) => {
+  const entity = {
+    value: entityValue,
+    type: entityType,
+    types: [entityType],
+    isURL: entityType === 'url',
+    isMD5: entityType === 'MD5',
+    isSHA1: entityType === 'SHA1',
+    isSHA256: entityType === 'SHA256'
+  };
 
-      if (entity.isURL) {
-        // many URLs in OpenCTI end with a `/` so when searching URLs we search both with and without a trailing slash
-        variables.filters.filters.push({
-          key: 'name',
-          operator: 'eq',
-          values: [entity.value.endsWith('/') ? entity.value.slice(0, -1) : entity.value + '/'],
-          mode: 'or'
-        });
-        variables.filters.filters.push({
-          key: 'value',
-          operator: 'eq',
-          values: [entity.value.endsWith('/') ? entity.value.slice(0, -1) : entity.value + '/'],
-          mode: 'or'
-        });
-      }
+  const searchResults = await searchIndicatorsAndObservablesForEntity(
+    entity,
+    { ...options, exactMatchSearching: true },
+    { searchIndicators: indicator, searchObservables: observable }
+  );
 
-      if (entity.isSHA1) {
-        variables.filters.filters.push({
-          key: 'hashes.SHA-1',
-          operator: 'eq',
-          values: [entity.value],
-          mode: 'or'
-        });
-      } else if (entity.isMD5) {
-        variables.filters.filters.push({
-          key: 'hashes.MD5',
-          operator: 'eq',
-          values: [entity.value],
-          mode: 'or'
-        });
-      } else if (entity.isSHA256) {
-        variables.filters.filters.push({
-          key: 'hashes.SHA-256',
-          operator: 'eq',
-          values: [entity.value],
-          mode: 'or'
-        });
-      }
-    }
+  // Only IOCs of the submitted type are duplicates, e.g. not the `Hostname` observable
+  // with the same value as a submitted domain
+  const observableType = getObservableTypeOfEntity(entity, options);
+  const existingItems = createUnifiedItemList(
+    (searchResults.indicators.edges || [])
+      .map((edge) => edge.node)
+      .filter((node) => node.x_opencti_main_observable_type === observableType),
+    (searchResults.observables.edges || [])
+      .map((edge) => edge.node)
+      .filter((node) => node.entity_type === observableType),
+    entity,
+    options,
+    await getUserRights(options)
+  );
 
-    const response = await makeOpenCTIRequest(SEARCH_INDICATORS_AND_OBSERVABLES, variables, options);
+  return {
+    indicator: existingItems.find((item) => item.isIndicator),
+    observable: existingItems.find((item) => item.isObservable)
+  };
+};
 
-    Logger.trace(
+/**
+ * Finds the vulnerability which already exists in OpenCTI for a CVE being submitted.
+ * OpenCTI updates the vulnerability with the same name instead of creating another one,
+ * so this tells whether a submission created the vulnerability.
+ * @param {Object} ioc - CVE being submitted with `entityValue` and `entityType`
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @returns {Promise<Object|undefined>} Unified item of the existing vulnerability
+ */
+const findExistingVulnerability = async ({ entityValue, entityType }, options) => {
+  const entity = { value: entityValue, type: entityType, types: [entityType] };
+  const { search, filters } = createSearchVariables(entity, {
+    ...options,
+    exactMatchSearching: true
+  });
+
+  const response = await makeOpenCTIRequest(
+    buildSearchVulnerabilitiesQuery(1),
+    { search0: search, filters0: filters },
+    options
+  );
+
+  const vulnerability = (response?.vulnerabilities0?.edges || [])
+    .map((edge) => edge.node)
+    .find(({ name }) => name && name.toUpperCase() === entityValue.toUpperCase());
+
+  return vulnerability
+    ? createVulnerabilityItemList([vulnerability], entity, options)[0]
+    : undefined;
+};
+
+/**
+ * Search for the next page of indicators and/or observables matching the entity value
+ * @param {Object} entity - Polarity entity object with value and type
+ * @param {Object} options - Configuration options containing OpenCTI API details
+ * @param {Object} cursors - `{ indicatorsAfter, observablesAfter }` cursors to continue
+ * from.  Types without a cursor are not searched unless `searchIndicators` or
+ * `searchObservables` is set, in which case the first page is searched.  `deadline` is
+ * the time in milliseconds the search must finish by.
+ * @returns {Promise<Object>} - Combined search results
+ */
+async function searchIndicatorsAndObservablesForEntity(
+  entity,
+  options,
+  {
+    indicatorsAfter,
+    observablesAfter,
+    searchIndicators = !!indicatorsAfter,
+    searchObservables = !!observablesAfter,
+    deadline
+  }
+) {
+  const Logger = logging.getLogger();
+
+  Logger.trace(
+    { entity: entity.value, type: entity.type, indicatorsAfter, observablesAfter },
+    'Searching OpenCTI for more indicators and observables'
+  );
+
+  try {
+    const response = await makeOpenCTIRequest(
+      SEARCH_INDICATORS_AND_OBSERVABLES,
       {
-        indicators: response.indicators?.edges?.length || 0,
-        observables: response.stixCyberObservables?.edges?.length || 0
+        ...createSearchVariables(entity, options),
+        indicatorsAfter,
+        observablesAfter,
+        searchIndicators,
+        searchObservables
       },
-      'OpenCTI search completed successfully'
+      options,
+      { deadline }
     );
 
-    // Return results with consistent structure, even if some searches were disabled
     return {
       indicators: response.indicators || { edges: [] },
       observables: response.stixCyberObservables || { edges: [] }
@@ -206,43 +524,240 @@ async function searchIndicatorsAndObservablesForEntity(entity, options) {
       'OpenCTI search indicators and observables failed'
     );
 
-    // Handle specific OpenCTI errors
-    if (isAuthRequiredError(error)) {
-      const enhancedDetail = createEnhancedErrorDetail(error, 'Authentication required');
-      throw new Error(enhancedDetail);
+    throw createSearchError(error);
+  }
+}
+
+/**
+ * Maps search errors to the message shown to the user
+ */
+const createSearchError = (error) => {
+  // Handle specific OpenCTI errors
+  if (isAuthRequiredError(error)) {
+    const enhancedDetail = createEnhancedErrorDetail(error, 'Authentication required');
+    return new Error(enhancedDetail);
+  }
+
+  // Handle permission errors specifically (before general GraphQL errors)
+  if (error.body?.errors?.some((e) => e.extensions?.code === 'FORBIDDEN')) {
+    return new Error(`Insufficient Permissions`);
+  }
+
+  if (isGraphQLError(error)) {
+    const parsedError = parseOpenCTIError(error);
+    const graphqlMessage = error.message || parsedError.message || 'GraphQL error';
+    const enhancedDetail = createEnhancedErrorDetail(error, graphqlMessage);
+    return new Error(enhancedDetail);
+  }
+
+  return error;
+};
+
+/**
+ * Whether observables of an entity type are identified by a number, which is the case for
+ * ASNs and custom entity types mapped to the `number` value key
+ * @param {string} entityType - Specific Polarity entity type
+ * @param {Object} options - Configuration options
+ * @returns {boolean}
+ */
+const isNumberEntityType = (entityType, options) =>
+  entityType === 'asn' ||
+  getCustomEntityTypeMappings(options)[entityType]?.valueKey === 'number';
+
+/**
+ * Gets the OpenCTI observable type of an entity, including mapped custom entity types
+ * @param {Object} entity - Polarity entity object
+ * @param {Object} options - Configuration options
+ * @returns {string|undefined}
+ */
+const getObservableTypeOfEntity = (entity, options) => {
+  const entityType = getSpecificPolarityEntityType(entity, options);
+
+  return (
+    getCustomEntityTypeMappings(options)[entityType]?.observableType ||
+    ENTITY_TYPE_BY_OBSERVABLE_TYPE[entityType]
+  );
+};
+
+/**
+ * Builds the `search` and `filters` variables used to search for an entity
+ * @param {Object} entity - Polarity entity object with value and type
+ * @param {Object} options - Configuration options
+ * @returns {Object} `{ search, filters }`
+ */
+function createSearchVariables(entity, options) {
+  // Autonomous systems are stored by number so ASNs are searched without the `AS` prefix
+  const isNumber = isNumberEntityType(
+    getSpecificPolarityEntityType(entity, options),
+    options
+  );
+  const searchValue = isNumber ? String(getAsnNumber(entity.value)) : entity.value;
+
+  const variables = {
+    search: `"${searchValue}"`,
+    filters: {
+      filters: [],
+      filterGroups: [],
+      mode: 'or'
     }
+  };
+
+  if (isExactMatchSearch(options)) {
+    variables.filters = {
+      mode: 'or',
+      filters: [
+        {
+          key: 'name',
+          operator: 'eq',
+          values: [entity.value],
+          mode: 'or'
+        },
+        {
+          key: 'value',
+          operator: 'eq',
+          values: [entity.value],
+          mode: 'or'
+        }
+      ],
+      filterGroups: []
+    };
 
-    // Handle permission errors specifically (before general GraphQL errors)
-    if (error.body?.errors?.some((e) => e.extensions?.code === 'FORBIDDEN')) {
-      throw new Error(`Insufficient Permissions`);
+    if (isNumber) {
+      variables.filters.filters.push({
+        key: 'number',
+        operator: 'eq',
+        values: [searchValue],
+        mode: 'or'
+      });
     }
 
-    if (isGraphQLError(error)) {
-      const parsedError = parseOpenCTIError(error);
-      const graphqlMessage = error.message || parsedError.message || 'GraphQL error';
-      const enhancedDetail = createEnhancedErrorDetail(error, graphqlMessage);
-      throw new Error(enhancedDetail);
+    if (entity.isURL) {
+      // many URLs in OpenCTI end with a `/` so when searching URLs we search both with and without a trailing slash
+      variables.filters.filters.push({
+        key: 'name',
+        operator: 'eq',
+        values: [
+          entity.value.endsWith('/') ? entity.value.slice(0, -1) : entity.value + '/'
+        ],
+        mode: 'or'
+      });
+      variables.filters.filters.push({
+        key: 'value',
+        operator: 'eq',
+        values: [
+          entity.value.endsWith('/') ? entity.value.slice(0, -1) : entity.value + '/'
+        ],
+        mode: 'or'
+      });
     }
 
-    throw error;
+    if (entity.isSHA1) {
+      variables.filters.filters.push({
+        key: 'hashes.SHA-1',
+        operator: 'eq',
+        values: [entity.value],
+        mode: 'or'
+      });
+    } else if (entity.isMD5) {
+      variables.filters.filters.push({
+        key: 'hashes.MD5',
+        operator: 'eq',
+        values: [entity.value],
+        mode: 'or'
+      });
+    } else if (entity.isSHA256) {
+      variables.filters.filters.push({
+        key: 'hashes.SHA-256',
+        operator: 'eq',
+        values: [entity.value],
+        mode: 'or'
+      });
+    }
   }
+
+  return variables;
 }
 
+/**
+ * Gets the pagination state of an entity's search so more results can be loaded
+ * @param {Object} entity - Entity that was searched for
+ * @param {Object} searchResults - `{ indicators, observables }` returned by the search
+ * @param {Object} [previousPagination] - Pagination state the search continued from
+ * @returns {Object|undefined} `{ entity, indicators, observables, remaining }` where
+ * `indicators` and `observables` are `{ cursor, loaded, total }`, or undefined when
+ * there are no more results
+ */
+const getSearchPagination = (entity, searchResults, previousPagination) => {
+  const indicators = getConnectionPagination(
+    searchResults?.indicators,
+    previousPagination?.indicators
+  );
+  const observables = getConnectionPagination(
+    searchResults?.observables,
+    previousPagination?.observables
+  );
+
+  if (!indicators.cursor && !observables.cursor) return;
+
+  return {
+    entity,
+    indicators,
+    observables,
+    remaining: getRemainingCount(indicators) + getRemainingCount(observables)
+  };
+};
+
+// Types which were not searched have no `pageInfo` so keep their previous state
+const getConnectionPagination = (
+  connection,
+  previous = { cursor: null, loaded: 0, total: 0 }
+) => {
+  if (!connection?.pageInfo) return previous;
+
+  const loaded = previous.loaded + (connection.edges || []).length;
+
+  return {
+    cursor: connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null,
+    loaded,
+    total: Math.max(connection.pageInfo.globalCount || 0, loaded)
+  };
+};
+
+const getRemainingCount = ({ cursor, loaded, total }) =>
+  cursor ? Math.max(total - loaded, 0) : 0;
+
 /**
  * Create unified data structure with computed properties for single-list interface
  * @param {Object} entity - Entity being processed
  * @param {Array} indicators - OpenCTI indicators from GraphQL
  * @param {Array} observables - OpenCTI observables from GraphQL
  * @param {Object} options - Request options
+ * @param {Array} [platformExclusionListRules] - Rules from the OpenCTI exclusion lists
+ * @param {Object} [userRights] - OpenCTI rights of the API Key's user
+ * @param {Array} [vulnerabilities] - OpenCTI vulnerabilities found for a CVE entity
  * @returns {Object} Unified data structure with computed properties
  */
-function createUnifiedDataStructure(entity, indicators, observables, options) {
+function createUnifiedDataStructure(
+  entity,
+  indicators,
+  observables,
+  options,
+  platformExclusionListRules = [],
+  userRights,
+  vulnerabilities = []
+) {
   const Logger = logging.getLogger();
 
-  let unifiedItems = createUnifiedItemList(indicators, observables, entity, options);
+  let unifiedItems = applySearchOptions(
+    createUnifiedItemList(indicators, observables, entity, options, userRights).concat(
+      createVulnerabilityItemList(vulnerabilities, entity, options)
+    ),
+    entity,
+    options
+  );
 
   if (unifiedItems.length === 0) {
-    const specificEntityType = getSpecificPolarityEntityType(entity);
+    const specificEntityType = getSpecificPolarityEntityType(entity, options);
     unifiedItems = [
       {
         foundInOpenCTI: false,
@@ -250,21 +765,72 @@ function createUnifiedDataStructure(entity, indicators, observables, options) {
         isObservable: false,
         entityValue: entity.value,
         entityType: specificEntityType,
-        openCtiTypeHuman:
-          ENTITY_TYPE_TO_OPENCTI_HUMAN_READABLE_TYPE[specificEntityType] || 'unknown type'
+        openCtiTypeHuman: getOpenCtiTypeHuman(specificEntityType, options)
       }
     ];
   }
 
+  const exclusionListMatch =
+    getExclusionListMatch(
+      entity.value,
+      parseExclusionList(options.exclusionList).rules
+    ) ||
+    getExclusionListMatch(
+      entity.value,
+      platformExclusionListRules,
+      getObservableTypeOfEntity(entity, options)
+    );
+
+  unifiedItems = unifiedItems.map((item) =>
+    flagExclusionListMatch(item, exclusionListMatch)
+  );
+
   Logger.trace(
-    { entity: entity.value, unified: unifiedItems.length },
+    { entity: entity.value, unified: unifiedItems.length, exclusionListMatch },
     'Created unified data structure'
   );
 
   return unifiedItems;
 }
 
+/**
+ * Applies the Search Behavior option to the items found for an entity.  Case sensitive
+ * searches drop items which only match the entity value with different casing, except
+ * for hashes and ASNs which are not case sensitive.  Items are sorted by score or last
+ * update when a sort is selected, otherwise OpenCTI's order (newest first) is kept.
+ * @param {Array<Object>} items - Unified items found for the entity
+ * @param {Object} entity - Entity that was searched for
+ * @param {Object} options - Configuration options
+ * @returns {Array<Object>} Items to return
+ */
+const applySearchOptions = (items, entity, options) => {
+  const entityType = getSpecificPolarityEntityType(entity, options);
+  const caseSensitive =
+    hasSearchBehavior(options, 'case_sensitive') &&
+    !POLARITY_HASH_TYPE_TO_OPENCTI_HASH_ALGORITHM[entityType] &&
+    !isNumberEntityType(entityType, options);
+
+  const filteredItems = items.filter(
+    (item) =>
+      !caseSensitive ||
+      [item.name, item.pattern, item.observableValue].some(
+        (value) => typeof value === 'string' && value.includes(entity.value)
+      )
+  );
+
+  const sortField = hasSearchBehavior(options, 'sort_by_score')
+    ? 'score'
+    : hasSearchBehavior(options, 'sort_by_date')
+    ? 'updatedAt'
+    : undefined;
+
+  return sortField ? orderBy([sortField], ['desc'], filteredItems) : filteredItems;
+};
+
 module.exports = {
   searchIndicatorsAndObservables,
+  searchMoreIndicatorsAndObservables,
+  findExistingIndicatorAndObservable,
+  findExistingVulnerability,
   createUnifiedDataStructure
 };
@@ -3,8 +3,18 @@
  * Following blink-ops patterns with polarity-integration-utils
  */
 
+const fs = require('fs');
 const fp = require('lodash/fp');
 const reduce = require('lodash/fp/reduce').convert({ cap: false });
+const {
+  SUPPORTED_ENTITY_TYPES,
+  MAPPABLE_OBSERVABLE_TYPES,
+  MAPPABLE_OBSERVABLE_VALUE_KEYS,
+  OPENCTI_CAPABILITIES,
+  ON_DUPLICATE_POLICIES,
+  DEFAULT_ON_DUPLICATE_POLICY
+} = require('../core/constants');
+const { parseExclusionList } = require('../core/exclusionList');
 
 /**
  * Validates string options according to OpenCTI requirements
@@ -277,6 +287,468 @@ const validateSearchBehavior = (searchBehavior) => {
   return errors;
 };
 
+/**
+ * Parses the Default Indicator Lifetimes option.  The option is a comma delimited list
+ * of `<entity type>:<days>` pairs (e.g. `IPv4:30, domain:90, MD5:never`).  A lifetime of
+ * `never` (or `0`) means indicators of that type do not expire.  Custom entity types
+ * mapped by the Custom Entity Type Mappings option are supported too.
+ * @param {string} indicatorLifetimes - Raw option value
+ * @param {string} [customEntityTypeMappings] - Raw Custom Entity Type Mappings option
+ * value
+ * @returns {Object} `{ lifetimes, errors }` where `lifetimes` maps each entity type to
+ * its lifetime in days, or `null` if it never expires
+ */
+const parseIndicatorLifetimes = (indicatorLifetimes, customEntityTypeMappings) => {
+  const supportedEntityTypes = [...SUPPORTED_ENTITY_TYPES].concat(
+    Object.keys(getCustomEntityTypeMappings({ customEntityTypeMappings }))
+  );
+
+  return (indicatorLifetimes || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .reduce(
+      (agg, pair) => {
+        const [entityType, lifetime, ...rest] = pair.split(':').map((part) => part.trim());
+        const days = /^never$/i.test(lifetime) ? 0 : Number(lifetime);
+
+        if (!supportedEntityTypes.includes(entityType)) {
+          return {
+            ...agg,
+            errors: agg.errors.concat(
+              `"${entityType}" is not a supported entity type (${supportedEntityTypes.join(
+                ', '
+              )})`
+            )
+          };
+        }
+
+        if (rest.length || !Number.isInteger(days) || days < 0) {
+          return {
+            ...agg,
+            errors: agg.errors.concat(
+              `"${pair}" must be in the format <entity type>:<number of days or never>`
+            )
+          };
+        }
+
+        return {
+          ...agg,
+          lifetimes: { ...agg.lifetimes, [entityType]: days || null }
+        };
+      },
+      { lifetimes: {}, errors: [] }
+    );
+};
+
+/**
+ * Validates the Default Indicator Lifetimes option
+ * @param {string} indicatorLifetimes - Raw option value
+ * @param {string} [customEntityTypeMappings] - Raw Custom Entity Type Mappings option
+ * value
+ * @returns {Array} - Array of validation errors
+ */
+const validateIndicatorLifetimes = (indicatorLifetimes, customEntityTypeMappings) => {
+  if (indicatorLifetimes === undefined || indicatorLifetimes === null) return [];
+
+  if (typeof indicatorLifetimes !== 'string') {
+    return [
+      {
+        key: 'indicatorLifetimes',
+        message: 'Default Indicator Lifetimes must be a string'
+      }
+    ];
+  }
+
+  const { errors } = parseIndicatorLifetimes(
+    indicatorLifetimes,
+    customEntityTypeMappings
+  );
+
+  return errors.length
+    ? [
+        {
+          key: 'indicatorLifetimes',
+          message: `Invalid Default Indicator Lifetimes: ${errors.join('; ')}`
+        }
+      ]
+    : [];
+};
+
+/**
+ * Validates the Exclusion List option
+ * @param {string} exclusionList - Raw option value
+ * @returns {Array} - Array of validation errors
+ */
+const validateExclusionList = (exclusionList) => {
+  if (exclusionList === undefined || exclusionList === null) return [];
+
+  if (typeof exclusionList !== 'string') {
+    return [{ key: 'exclusionList', message: 'Exclusion List must be a string' }];
+  }
+
+  const { errors } = parseExclusionList(exclusionList);
+
+  return errors.length
+    ? [{ key: 'exclusionList', message: `Invalid Exclusion List: ${errors.join('; ')}` }]
+    : [];
+};
+
+/**
+ * Parses the Custom Entity Type Mappings option.  The option is a JSON object mapping the
+ * key of each custom Polarity entity type to the OpenCTI observable type, value key and
+ * STIX pattern template it is searched and submitted as, e.g.
+ * `{"ticket": {"observableType": "Text", "stixPattern": "[text:value = '{value}']"}}`
+ * @param {string} customEntityTypeMappings - Raw option value
+ * @returns {Object} `{ mappings, errors }` where `mappings` maps each custom entity type
+ * to its `{ observableType, submissionKey, valueKey, stixPattern }`
+ */
+const parseCustomEntityTypeMappings = (customEntityTypeMappings) => {
+  if (!(customEntityTypeMappings || '').trim()) return { mappings: {}, errors: [] };
+
+  let rawMappings;
+  try {
+    rawMappings = JSON.parse(customEntityTypeMappings);
+  } catch (error) {
+    return { mappings: {}, errors: [`must be valid JSON (${error.message})`] };
+  }
+
+  if (!fp.isPlainObject(rawMappings)) {
+    return {
+      mappings: {},
+      errors: ['must be a JSON object keyed by custom entity type']
+    };
+  }
+
+  return Object.entries(rawMappings).reduce(
+    (agg, [entityType, mapping]) => {
+      const { observableType, valueKey = 'value', stixPattern } = mapping || {};
+      const error = !/^[A-Za-z0-9_-]+$/.test(entityType)
+        ? `"${entityType}" is not a valid custom entity type key`
+        : !MAPPABLE_OBSERVABLE_TYPES[observableType]
+        ? `"${entityType}" observable type must be one of ${Object.keys(
+            MAPPABLE_OBSERVABLE_TYPES
+          ).join(', ')}`
+        : !MAPPABLE_OBSERVABLE_VALUE_KEYS.includes(valueKey)
+        ? `"${entityType}" value key must be one of ${MAPPABLE_OBSERVABLE_VALUE_KEYS.join(
+            ', '
+          )}`
+        : typeof stixPattern !== 'string' || !stixPattern.includes('{value}')
+        ? `"${entityType}" STIX pattern must contain the {value} placeholder`
+        : undefined;
+
+      return error
+        ? { ...agg, errors: agg.errors.concat(error) }
+        : {
+            ...agg,
+            mappings: {
+              ...agg.mappings,
+              [entityType]: {
+                observableType,
+                submissionKey: MAPPABLE_OBSERVABLE_TYPES[observableType],
+                valueKey,
+                stixPattern
+              }
+            }
+          };
+    },
+    { mappings: {}, errors: [] }
+  );
+};
+
+/**
+ * Validates the Custom Entity Type Mappings option
+ * @param {string} customEntityTypeMappings - Raw option value
+ * @returns {Array} - Array of validation errors
+ */
+const validateCustomEntityTypeMappings = (customEntityTypeMappings) => {
+  if (customEntityTypeMappings === undefined || customEntityTypeMappings === null)
+    return [];
+
+  if (typeof customEntityTypeMappings !== 'string') {
+    return [
+      {
+        key: 'customEntityTypeMappings',
+        message: 'Custom Entity Type Mappings must be a string'
+      }
+    ];
+  }
+
+  const { errors } = parseCustomEntityTypeMappings(customEntityTypeMappings);
+
+  return errors.length
+    ? [
+        {
+          key: 'customEntityTypeMappings',
+          message: `Invalid Custom Entity Type Mappings: ${errors.join('; ')}`
+        }
+      ]
+    : [];
+};
+
+// Valid mappings by raw Custom Entity Type Mappings option value, so the option is only
+// parsed once for each value rather than for every entity
+const customEntityTypeMappingsByOption = new Map();
+
+/**
+ * Gets the valid mappings of the Custom Entity Type Mappings option
+ * @param {Object} options - User configuration options
+ * @returns {Object} Mappings by custom entity type, see `parseCustomEntityTypeMappings`
+ */
+const getCustomEntityTypeMappings = (options) => {
+  const customEntityTypeMappings = options?.customEntityTypeMappings || '';
+
+  if (!customEntityTypeMappingsByOption.has(customEntityTypeMappings)) {
+    customEntityTypeMappingsByOption.set(
+      customEntityTypeMappings,
+      parseCustomEntityTypeMappings(customEntityTypeMappings).mappings
+    );
+  }
+
+  return customEntityTypeMappingsByOption.get(customEntityTypeMappings);
+};
+
+/**
+ * Validates a whole number option is within a range
+ * @param {string} key - Option key
+ * @param {string} name - Option name shown in the error message
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @returns {Function} Validator which takes the raw option value and returns an array
+ * of validation errors
+ */
+const createIntegerRangeValidator = (key, name, min, max) => (value) => {
+  if (value === undefined || value === null) return [];
+
+  return !Number.isInteger(value) || value < min || value > max
+    ? [{ key, message: `${name} must be a whole number between ${min} and ${max}` }]
+    : [];
+};
+
+const validateMaxConcurrentRequests = createIntegerRangeValidator(
+  'maxConcurrentRequests',
+  'Max Concurrent Requests',
+  1,
+  50
+);
+
+const validateLookupCacheTtl = createIntegerRangeValidator(
+  'lookupCacheTtl',
+  'Lookup Cache TTL',
+  0,
+  86400
+);
+
+const validateLookupCacheMaxSize = createIntegerRangeValidator(
+  'lookupCacheMaxSize',
+  'Lookup Cache Max Size',
+  1,
+  100000
+);
+
+const validateLookupTimeout = createIntegerRangeValidator(
+  'lookupTimeout',
+  'Lookup Timeout',
+  1,
+  300
+);
+
+const validateMutationTimeout = createIntegerRangeValidator(
+  'mutationTimeout',
+  'Mutation Timeout',
+  1,
+  600
+);
+
+/**
+ * Validates a file path option points to a file the integration can read
+ * @param {string} key - Option key
+ * @param {string} name - Option name shown in the error message
+ * @returns {Function} Validator which takes the raw option value and returns an array
+ * of validation errors
+ */
+const createReadableFileValidator = (key, name) => (value) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  if (typeof value !== 'string') {
+    return [{ key, message: `${name} must be a file path` }];
+  }
+
+  try {
+    if (!fs.statSync(value.trim()).isFile()) throw new Error('Not a file');
+    fs.accessSync(value.trim(), fs.constants.R_OK);
+    return [];
+  } catch (_) {
+    return [
+      { key, message: `${name} must be the path of a file the integration can read` }
+    ];
+  }
+};
+
+const validateCaBundlePath = createReadableFileValidator(
+  'caBundlePath',
+  'CA Bundle Path'
+);
+
+const validateClientCertPath = createReadableFileValidator(
+  'clientCertPath',
+  'Client Certificate Path'
+);
+
+const validateClientKeyPath = createReadableFileValidator(
+  'clientKeyPath',
+  'Client Private Key Path'
+);
+
+/**
+ * Validates a client certificate is only used together with its private key
+ * @param {string} clientCertPath - Raw Client Certificate Path option value
+ * @param {string} clientKeyPath - Raw Client Private Key Path option value
+ * @returns {Array} - Array of validation errors
+ */
+const validateClientCertificate = (clientCertPath, clientKeyPath) => {
+  if (clientCertPath && !clientKeyPath) {
+    return [
+      {
+        key: 'clientKeyPath',
+        message:
+          'Client Private Key Path is required when a Client Certificate Path is set'
+      }
+    ];
+  }
+
+  if (clientKeyPath && !clientCertPath) {
+    return [
+      {
+        key: 'clientCertPath',
+        message:
+          'Client Certificate Path is required when a Client Private Key Path is set'
+      }
+    ];
+  }
+
+  return [];
+};
+
+/**
+ * Validates the Proxy URL option
+ * @param {string} proxyUrl - Raw option value
+ * @returns {Array} - Array of validation errors
+ */
+const validateProxyUrl = (proxyUrl) => {
+  if (proxyUrl === undefined || proxyUrl === null || proxyUrl === '') return [];
+
+  try {
+    if (!['http:', 'https:'].includes(new URL(proxyUrl.trim()).protocol)) {
+      throw new Error('Unsupported protocol');
+    }
+    return [];
+  } catch (_) {
+    return [
+      {
+        key: 'proxyUrl',
+        message:
+          'Proxy URL must be an http:// or https:// URL, e.g. http://proxy.example.com:8080'
+      }
+    ];
+  }
+};
+
+/**
+ * Validates the On Duplicate option
+ * @param {string} onDuplicate - Option value
+ * @returns {Array} - Array of validation errors
+ */
+const validateOnDuplicate = (onDuplicate) => {
+  if (onDuplicate === undefined || onDuplicate === null) return [];
+
+  return ON_DUPLICATE_POLICIES.includes(onDuplicate)
+    ? []
+    : [
+        {
+          key: 'onDuplicate',
+          message: `On Duplicate must be one of: ${ON_DUPLICATE_POLICIES.join(', ')}`
+        }
+      ];
+};
+
+/**
+ * Gets what happens when a submitted IOC already exists in OpenCTI
+ * @param {Object} options - User configuration options
+ * @returns {string} One of `ON_DUPLICATE_POLICIES`
+ */
+const getOnDuplicatePolicy = (options) => {
+  const onDuplicate = options?.onDuplicate?.value || options?.onDuplicate;
+
+  return ON_DUPLICATE_POLICIES.includes(onDuplicate)
+    ? onDuplicate
+    : DEFAULT_ON_DUPLICATE_POLICY;
+};
+
+/**
+ * Gets the values selected in a multi-select option
+ * @param {Array} option - Option value, either `{ value, display }` objects or values
+ * @returns {Array<string>}
+ */
+const getSelectedOptionValues = (option) =>
+  Array.isArray(option) ? option.map((selected) => selected.value || selected) : [];
+
+/**
+ * Gets the submission fields which the Submission Field Restrictions option makes
+ * required or disabled
+ * @param {Object} options - User configuration options
+ * @returns {Object} `{ score, description, labels }` each 'required', 'disabled' or
+ * undefined
+ */
+const getSubmissionFieldRestrictions = (options) => {
+  const restrictions = getSelectedOptionValues(options?.submissionFieldRestrictions);
+
+  return ['score', 'description', 'labels'].reduce(
+    (agg, field) => ({
+      ...agg,
+      [field]: restrictions.includes(`${field}_required`)
+        ? 'required'
+        : restrictions.includes(`${field}_disabled`)
+        ? 'disabled'
+        : undefined
+    }),
+    {}
+  );
+};
+
+/**
+ * Whether a behavior is selected in the Search Behavior option
+ * @param {Object} options - User configuration options
+ * @param {string} behavior - e.g. 'case_sensitive' or 'sort_by_score'
+ * @returns {boolean}
+ */
+const hasSearchBehavior = (options, behavior) =>
+  getSelectedOptionValues(options?.searchBehavior).includes(behavior);
+
+/**
+ * Whether lookups only return items whose value exactly matches the entity, set by
+ * either the Exact Match Search option or the `exact_match_only` Search Behavior
+ * @param {Object} options - User configuration options
+ * @returns {boolean}
+ */
+const isExactMatchSearch = (options) =>
+  !!options?.exactMatchSearching || hasSearchBehavior(options, 'exact_match_only');
+
+/**
+ * Gets the types of items returned by lookups.  Both types are returned when the Search
+ * Return Types option is empty.
+ * @param {Object} options - User configuration options
+ * @returns {Object} `{ indicators, observables }` flags
+ */
+const getSearchReturnTypes = (options) => {
+  const returnTypes = getSelectedOptionValues(options?.searchReturnTypes);
+
+  return {
+    indicators: !returnTypes.length || returnTypes.includes('indicators'),
+    observables: !returnTypes.length || returnTypes.includes('observables')
+  };
+};
+
 /**
  * Check if deletion is allowed for a specific item type based on user permissions
  * @param {Object} options - User configuration options containing deletionPermissions
@@ -303,19 +775,51 @@ const isDeletionAllowed = (options, itemType) => {
 };
 
 /**
- * Get user permissions for a specific item type
+ * Get user permissions for a specific item type.  When the OpenCTI rights of the API
+ * Key's user are known, items can only be edited with the KNOWLEDGE_KNUPDATE capability
+ * and deleted with the KNOWLEDGE_KNUPDATE_KNDELETE capability, and items restricted to
+ * organizations can only be changed by members of those organizations.  Users without
+ * their own API Key cannot make changes when Per-User API Keys are required.
  * @param {Object} options - User configuration options
  * @param {string} itemType - Type of item ('indicator' or 'observable')
+ * @param {Object} [userRights] - `{ capabilities, organizationIds }` of the API Key's user
+ * @param {Array<Object>} [itemOrganizations] - Organizations the item is restricted to
  * @returns {Object} - Permission object with boolean flags for each permission type
  */
-const getPermissionsForItemType = (options, itemType) => {
+const getPermissionsForItemType = (options, itemType, userRights, itemOrganizations) => {
+  const canChange =
+    canMakeChanges(options) && canChangeItem(userRights, itemOrganizations);
+
   return {
-    canDelete: isDeletionAllowed(options, itemType),
-    canEdit: true, // Always allowed for now
+    canDelete:
+      isDeletionAllowed(options, itemType) &&
+      canChange &&
+      hasCapability(userRights, OPENCTI_CAPABILITIES.DELETE),
+    canEdit: canChange && hasCapability(userRights, OPENCTI_CAPABILITIES.UPDATE),
     canView: true  // Always allowed for now
   };
 };
 
+/**
+ * Get whether the user can submit, edit or delete IOCs, which requires their own API Key
+ * when Per-User API Keys are required
+ * @param {Object} options - User configuration options
+ * @returns {boolean}
+ */
+const canMakeChanges = (options) => !options.perUserApiKeys || !!options.userApiKey;
+
+const hasCapability = (userRights, capability) =>
+  !userRights ||
+  userRights.capabilities.includes(OPENCTI_CAPABILITIES.BYPASS) ||
+  userRights.capabilities.includes(capability);
+
+const canChangeItem = (userRights, itemOrganizations) =>
+  !userRights ||
+  !Array.isArray(itemOrganizations) ||
+  !itemOrganizations.length ||
+  userRights.capabilities.includes(OPENCTI_CAPABILITIES.BYPASS) ||
+  itemOrganizations.some(({ id }) => userRights.organizationIds.includes(id));
+
 /**
  * Check if user has any deletion permissions (indicators OR observables)
  * @param {Object} options - User options containing deletionPermissions
@@ -333,8 +837,32 @@ module.exports = {
   validateFieldRestrictions,
   validateDefaultValues,
   validateSearchBehavior,
+  validateIndicatorLifetimes,
+  parseIndicatorLifetimes,
+  validateExclusionList,
+  parseCustomEntityTypeMappings,
+  validateCustomEntityTypeMappings,
+  getCustomEntityTypeMappings,
+  validateMaxConcurrentRequests,
+  validateLookupCacheTtl,
+  validateLookupCacheMaxSize,
+  validateLookupTimeout,
+  validateMutationTimeout,
+  validateCaBundlePath,
+  validateClientCertPath,
+  validateClientKeyPath,
+  validateClientCertificate,
+  validateProxyUrl,
+  validateOnDuplicate,
+  getOnDuplicatePolicy,
+  getSelectedOptionValues,
+  getSubmissionFieldRestrictions,
+  hasSearchBehavior,
+  isExactMatchSearch,
+  getSearchReturnTypes,
   // Permission utility functions
   isDeletionAllowed,
   getPermissionsForItemType,
+  canMakeChanges,
   hasAnyDeletionPermissions
 }; 
\ No newline at end of file
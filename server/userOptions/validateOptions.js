@@ -10,8 +10,40 @@ const {
   validateDeletionPermissions,
   validateFieldRestrictions,
   validateDefaultValues,
-  validateSearchBehavior
+  validateSearchBehavior,
+  validateIndicatorLifetimes,
+  validateExclusionList,
+  validateCustomEntityTypeMappings,
+  validateMaxConcurrentRequests,
+  validateLookupCacheTtl,
+  validateLookupCacheMaxSize,
+  validateLookupTimeout,
+  validateMutationTimeout,
+  validateCaBundlePath,
+  validateClientCertPath,
+  validateClientKeyPath,
+  validateClientCertificate,
+  validateProxyUrl,
+  validateOnDuplicate
 } = require('./utils');
+const { logging } = require('polarity-integration-utils');
+const {
+  tryAuthentication,
+  getMissingCapabilities
+} = require('../core/tryAuthentication');
+const { makeOpenCTIRequest } = require('../core');
+const { CONNECTION_TEST_TIMEOUT_MS } = require('../core/constants');
+
+/**
+ * Makes the connection test request with a single attempt which is not recorded with the
+ * circuit breaker, so saving the options is not held up by retries and the options being
+ * tested do not affect lookups
+ */
+const makeConnectionTestRequest = (query, variables, options) =>
+  makeOpenCTIRequest(query, variables, options, {
+    singleAttempt: true,
+    timeout: CONNECTION_TEST_TIMEOUT_MS
+  });
 
 /**
  * Validates user configuration options for OpenCTI integration
@@ -52,6 +84,72 @@ const validateOptions = async (options, callback) => {
     const searchBehaviorErrors = validateSearchBehavior(
       getOptionValue(options.searchBehavior)
     );
+    const indicatorLifetimesErrors = validateIndicatorLifetimes(
+      getOptionValue(options.indicatorLifetimes, null),
+      getOptionValue(options.customEntityTypeMappings, null)
+    );
+    const exclusionListErrors = validateExclusionList(
+      getOptionValue(options.exclusionList, null)
+    );
+    const customEntityTypeMappingsErrors = validateCustomEntityTypeMappings(
+      getOptionValue(options.customEntityTypeMappings, null)
+    );
+    const tlsOptions = {
+      caBundlePath: getOptionValue(options.caBundlePath, ''),
+      clientCertPath: getOptionValue(options.clientCertPath, ''),
+      clientKeyPath: getOptionValue(options.clientKeyPath, ''),
+      clientKeyPassphrase: getOptionValue(options.clientKeyPassphrase, ''),
+      proxyUrl: getOptionValue(options.proxyUrl, ''),
+      allowInsecureConnections: getOptionValue(options.allowInsecureConnections, false)
+    };
+    const tlsErrors = validateCaBundlePath(tlsOptions.caBundlePath)
+      .concat(validateClientCertPath(tlsOptions.clientCertPath))
+      .concat(validateClientKeyPath(tlsOptions.clientKeyPath))
+      .concat(
+        validateClientCertificate(tlsOptions.clientCertPath, tlsOptions.clientKeyPath)
+      )
+      .concat(validateProxyUrl(tlsOptions.proxyUrl));
+    // Only test the connection once the URL, API Key and TLS options are valid
+    const canTestConnection =
+      !stringValidationErrors.length && !urlValidationError.length && !tlsErrors.length;
+    const connectionTest = {
+      ...tlsOptions,
+      url: getOptionValue(options.url, ''),
+      deletion: getOptionValue(options.deletionPermissions).length > 0
+    };
+    const connectionErrors = canTestConnection
+      ? await validateConnection({
+          ...connectionTest,
+          apiKey: getOptionValue(options.apiKey, ''),
+          key: 'apiKey'
+        })
+      : [];
+    const userApiKeyErrors =
+      canTestConnection && !connectionErrors.length
+        ? await validateConnection({
+            ...connectionTest,
+            apiKey: getOptionValue(options.userApiKey, ''),
+            key: 'userApiKey'
+          })
+        : [];
+    const maxConcurrentRequestsErrors = validateMaxConcurrentRequests(
+      getOptionValue(options.maxConcurrentRequests, null)
+    );
+    const lookupCacheTtlErrors = validateLookupCacheTtl(
+      getOptionValue(options.lookupCacheTtl, null)
+    );
+    const lookupCacheMaxSizeErrors = validateLookupCacheMaxSize(
+      getOptionValue(options.lookupCacheMaxSize, null)
+    );
+    const lookupTimeoutErrors = validateLookupTimeout(
+      getOptionValue(options.lookupTimeout, null)
+    );
+    const mutationTimeoutErrors = validateMutationTimeout(
+      getOptionValue(options.mutationTimeout, null)
+    );
+    const onDuplicateErrors = validateOnDuplicate(
+      getOptionValue(options.onDuplicate, null)
+    );
 
     // Validate boolean options
     const booleanValidationErrors = [];
@@ -67,12 +165,74 @@ const validateOptions = async (options, callback) => {
       }
     }
 
+    if (options.allowLabelCreation !== undefined) {
+      const allowLabelCreationValue = getOptionValue(options.allowLabelCreation, undefined);
+      if (typeof allowLabelCreationValue !== 'boolean') {
+        booleanValidationErrors.push({
+          key: 'allowLabelCreation',
+          message: 'Allow Label Creation must be a boolean value'
+        });
+      }
+    }
+
+    if (options.atomicSubmission !== undefined) {
+      if (typeof getOptionValue(options.atomicSubmission, undefined) !== 'boolean') {
+        booleanValidationErrors.push({
+          key: 'atomicSubmission',
+          message: 'Atomic Submission must be a boolean value'
+        });
+      }
+    }
+
+    if (options.perUserApiKeys !== undefined) {
+      if (typeof getOptionValue(options.perUserApiKeys, undefined) !== 'boolean') {
+        booleanValidationErrors.push({
+          key: 'perUserApiKeys',
+          message: 'Require Per-User API Keys must be a boolean value'
+        });
+      }
+    }
+
+    if (options.allowInsecureConnections !== undefined) {
+      if (
+        typeof getOptionValue(options.allowInsecureConnections, undefined) !== 'boolean'
+      ) {
+        booleanValidationErrors.push({
+          key: 'allowInsecureConnections',
+          message: 'Allow Insecure TLS/SSL Connections must be a boolean value'
+        });
+      }
+    }
+
+    if (options.allowSharedApiKeyLookups !== undefined) {
+      if (
+        typeof getOptionValue(options.allowSharedApiKeyLookups, undefined) !== 'boolean'
+      ) {
+        booleanValidationErrors.push({
+          key: 'allowSharedApiKeyLookups',
+          message: 'Allow Shared API Key for Lookups must be a boolean value'
+        });
+      }
+    }
+
     const errors = stringValidationErrors
       .concat(urlValidationError)
       .concat(deletionPermissionsErrors)
       .concat(fieldRestrictionsErrors)
       .concat(defaultValuesErrors)
       .concat(searchBehaviorErrors)
+      .concat(indicatorLifetimesErrors)
+      .concat(exclusionListErrors)
+      .concat(customEntityTypeMappingsErrors)
+      .concat(tlsErrors)
+      .concat(connectionErrors)
+      .concat(userApiKeyErrors)
+      .concat(maxConcurrentRequestsErrors)
+      .concat(lookupCacheTtlErrors)
+      .concat(lookupCacheMaxSizeErrors)
+      .concat(lookupTimeoutErrors)
+      .concat(mutationTimeoutErrors)
+      .concat(onDuplicateErrors)
       .concat(booleanValidationErrors);
 
     callback(null, errors);
@@ -81,4 +241,61 @@ const validateOptions = async (options, callback) => {
   }
 };
 
+/**
+ * Tests the connection to OpenCTI by querying the API Key's user.  Invalid API Keys are
+ * reported on the API Key option, SSL certificate errors on the TLS option most likely
+ * to fix them, and network and GraphQL failures on the URL option.  Missing
+ * capabilities are only logged as a warning as the API Key can still be used for
+ * lookups.
+ * @param {Object} connection
+ * @param {string} connection.url - OpenCTI API URL option value
+ * @param {string} connection.apiKey - API Key option value
+ * @param {string} connection.key - Option key of the API Key
+ * @param {boolean} connection.deletion - Whether deletion permissions are enabled
+ * @param {...*} connection.tlsOptions - TLS and proxy option values
+ * @returns {Promise<Array>} Array of validation errors
+ */
+const validateConnection = async ({ url, apiKey, key, deletion, ...tlsOptions }) => {
+  if (!apiKey || typeof apiKey !== 'string' || !url || typeof url !== 'string') {
+    return [];
+  }
+
+  const Logger = logging.getLogger();
+
+  const authenticationResult = await tryAuthentication(
+    { ...tlsOptions, url: url.endsWith('/') ? url.slice(0, -1) : url, apiKey },
+    makeConnectionTestRequest,
+    Logger
+  );
+
+  if (!authenticationResult.success) {
+    return [
+      {
+        key: getConnectionErrorKey(authenticationResult, key),
+        message: authenticationResult.help
+          ? `${authenticationResult.message} ${authenticationResult.help}`
+          : authenticationResult.message
+      }
+    ];
+  }
+
+  const missingCapabilities = getMissingCapabilities(authenticationResult.capabilities, {
+    deletion
+  });
+  if (missingCapabilities.length) {
+    Logger.warn(
+      { key, user: authenticationResult.user.name, missingCapabilities },
+      'OpenCTI API Key user is missing capabilities required to create, edit or delete IOCs'
+    );
+  }
+
+  return [];
+};
+
+const getConnectionErrorKey = ({ error, optionKey }, apiKeyOptionKey) => {
+  if (error === 'AUTH_REQUIRED') return apiKeyOptionKey;
+  if (error === 'SSL_ERROR' && optionKey) return optionKey;
+  return 'url';
+};
+
 module.exports = validateOptions;
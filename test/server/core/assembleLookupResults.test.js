@@ -167,6 +167,22 @@ describe('OpenCTI Assembly Lookup Results - Complete Coverage', () => {
       expect(result[0].data.summary).toEqual(['Items Found', 'New Items']);
     });
 
+    it('should summarize entities whose search timed out separately from new items', async () => {
+      const entities = [{ value: 'slow.com', type: 'domain' }];
+      const timedOutResult = {
+        foundInOpenCTI: false,
+        isIndicator: false,
+        isObservable: false,
+        entityValue: 'slow.com',
+        timedOut: true
+      };
+
+      const result = await assembleLookupResults([timedOutResult], [], {}, entities);
+
+      expect(result[0].data.summary).toEqual(['Search Timed Out']);
+      expect(result[0].data.details.unifiedResults).toEqual([timedOutResult]);
+    });
+
     it('should handle search errors gracefully', async () => {
       const entities = [{ value: 'error.com', type: 'domain' }];
       const options = {};
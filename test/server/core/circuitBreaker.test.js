@@ -0,0 +1,47 @@
+/**
+ * Test Suite: OpenCTI Circuit Breaker
+ */
+
+const {
+  getCircuitBreakerState,
+  recordRequestFailure,
+  recordRequestSuccess,
+  resetCircuitBreakers
+} = require('../../../server/core/circuitBreaker');
+
+describe('OpenCTI Circuit Breaker', () => {
+  const options = { url: 'https://demo.opencti.io/' };
+
+  beforeEach(() => {
+    resetCircuitBreakers();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should close after the cool-down and reopen on the next failure', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    for (let i = 0; i < 5; i++) recordRequestFailure(options);
+    expect(getCircuitBreakerState(options)).toEqual({
+      open: true,
+      retryAt: new Date(now + 60 * 1000).toISOString()
+    });
+
+    Date.now.mockReturnValue(now + 60 * 1000);
+    expect(getCircuitBreakerState(options)).toEqual({ open: false });
+
+    recordRequestFailure(options);
+    expect(getCircuitBreakerState(options).open).toBe(true);
+  });
+
+  test('should reset the failures after a successful request', () => {
+    for (let i = 0; i < 4; i++) recordRequestFailure(options);
+    recordRequestSuccess(options);
+    recordRequestFailure(options);
+
+    expect(getCircuitBreakerState(options)).toEqual({ open: false });
+  });
+});
@@ -41,6 +41,26 @@ describe('Server Constants', () => {
     });
   });
 
+  describe('Custom entity types', () => {
+    test('should generate STIX patterns for custom entity types', () => {
+      expect(constants.STIX_PATTERNS.hostname('mail.example.com')).toBe("[hostname:value = 'mail.example.com']");
+      expect(constants.STIX_PATTERNS.asn('AS15169')).toBe('[autonomous-system:number = 15169]');
+      expect(constants.STIX_PATTERNS.phoneNumber('+14155552671')).toBe("[phone-number:value = '+14155552671']");
+      expect(constants.STIX_PATTERNS.userAgent("Mozilla/5.0 (it's)")).toBe("[user-agent:value = 'Mozilla/5.0 (it\\'s)']");
+    });
+
+    test('should strip the AS prefix from autonomous system numbers', () => {
+      expect(constants.getAsnNumber('AS15169')).toBe(15169);
+      expect(constants.getAsnNumber('as64512')).toBe(64512);
+    });
+
+    test('should support custom entity types', () => {
+      constants.CUSTOM_ENTITY_TYPES.forEach((entityType) => {
+        expect(constants.SUPPORTED_ENTITY_TYPES.has(entityType)).toBe(true);
+      });
+    });
+  });
+
   describe('DEFAULT_CONFIG', () => {
     test('should contain expected default configuration values', () => {
       expect(constants.DEFAULT_CONFIG.confidence).toBe(50);
@@ -165,6 +165,44 @@ describe('Server Data Transformations', () => {
     });
   });
 
+  describe('getSpecificPolarityEntityType', () => {
+    test('should return the key of custom entity types', () => {
+      const entity = { value: 'AS15169', type: 'custom', types: ['custom.asn'] };
+
+      expect(dataTransformations.getSpecificPolarityEntityType(entity)).toBe('asn');
+    });
+
+    test('should return the key of custom entity types mapped by the options', () => {
+      const entity = { value: 'TICKET-123', type: 'custom', types: ['custom.ticket'] };
+      const options = {
+        customEntityTypeMappings: JSON.stringify({
+          ticket: { observableType: 'Text', stixPattern: "[x-ticket:value = '{value}']" }
+        })
+      };
+
+      expect(dataTransformations.getSpecificPolarityEntityType(entity, options)).toBe(
+        'ticket'
+      );
+      expect(dataTransformations.getOpenCtiTypeHuman('ticket', options)).toBe('Text');
+    });
+
+    test('should prefer built-in types over custom types matching the same value', () => {
+      const entity = {
+        value: 'www.example.com',
+        type: 'domain',
+        types: ['domain', 'custom.hostname']
+      };
+
+      expect(dataTransformations.getSpecificPolarityEntityType(entity)).toBe('domain');
+    });
+
+    test('should return the entity type of other entities', () => {
+      const entity = { value: 'example.com', type: 'domain', types: ['domain'] };
+
+      expect(dataTransformations.getSpecificPolarityEntityType(entity)).toBe('domain');
+    });
+  });
+
   describe('Module Exports', () => {
     test('should export all required functions', () => {
       expect(dataTransformations).toHaveProperty('getKeys');
@@ -0,0 +1,73 @@
+const {
+  parseExclusionList,
+  getExclusionListMatch,
+  flagExclusionListMatch,
+  INTEGRATION_EXCLUSION_LIST_NAME
+} = require('../../../server/core/exclusionList');
+
+describe('Exclusion List', () => {
+  const { rules, errors } = parseExclusionList(
+    'Example.com, *.google.com 10.0.0.0/8,2001:db8::/32, /^test-\\d{1,3}$/i'
+  );
+
+  const getMatchingEntry = (value) => (getExclusionListMatch(value, rules) || {}).entry;
+
+  test('should parse each type of entry', () => {
+    expect(errors).toEqual([]);
+    expect(rules.map(({ type }) => type)).toEqual([
+      'exact',
+      'domainSuffix',
+      'cidr',
+      'cidr',
+      'regex'
+    ]);
+  });
+
+  test('should report invalid regexes and CIDR ranges', () => {
+    expect(parseExclusionList('/bad(/, 10.0.0.0/33').errors).toEqual([
+      '"/bad(/" is not a valid regex',
+      '"10.0.0.0/33" is not a valid CIDR range'
+    ]);
+  });
+
+  test.each([
+    ['example.com', 'Example.com'],
+    ['google.com', '*.google.com'],
+    ['mail.google.com', '*.google.com'],
+    ['https://mail.google.com/inbox', '*.google.com'],
+    ['user@google.com', '*.google.com'],
+    ['10.20.30.40', '10.0.0.0/8'],
+    ['2001:db8:1::5', '2001:db8::/32'],
+    ['TEST-123', '/^test-\\d{1,3}$/i'],
+    ['notgoogle.com', undefined],
+    ['11.0.0.1', undefined],
+    ['2001:db9::1', undefined],
+    ['test-1234', undefined]
+  ])('should match %s against %s', (value, entry) => {
+    expect(getMatchingEntry(value)).toBe(entry);
+  });
+
+  test('should only match exact values for the entity types of their list', () => {
+    const listRules = parseExclusionList('8.8.8.8, 1.1.1.1').rules.map((rule) => ({
+      ...rule,
+      entityTypes: ['IPv4-Addr']
+    }));
+
+    expect(getExclusionListMatch('1.1.1.1', listRules, 'IPv4-Addr')).toMatchObject({
+      entry: '1.1.1.1'
+    });
+    expect(getExclusionListMatch('1.1.1.1', listRules, 'Domain-Name')).toBeUndefined();
+  });
+
+  test('should flag matching results with the list name and entry', () => {
+    const result = { entityValue: 'example.com' };
+
+    expect(flagExclusionListMatch(result, undefined)).toBe(result);
+    expect(flagExclusionListMatch(result, rules[0])).toEqual({
+      entityValue: 'example.com',
+      __isOnExclusionList: true,
+      __exclusionListName: INTEGRATION_EXCLUSION_LIST_NAME,
+      __exclusionListEntry: 'Example.com'
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Test Suite: Lookup Cache
+ */
+
+const {
+  getCachedSearchResults,
+  setCachedSearchResults,
+  invalidateLookupCache,
+  clearLookupCache
+} = require('../../../server/core/lookupCache');
+
+describe('Lookup Cache', () => {
+  const options = {
+    url: 'https://demo.opencti.io',
+    apiKey: 'test-api-key',
+    exactMatchSearching: true
+  };
+  const entity = { value: 'Example.com', type: 'domain', types: ['domain'] };
+  const searchResults = {
+    indicators: { edges: [{ node: { id: 'indicator-1' } }] },
+    observables: { edges: [{ node: { id: 'observable-1' } }] }
+  };
+
+  beforeEach(() => {
+    clearLookupCache();
+  });
+
+  test('should return cached results for the same instance, API key and search mode', () => {
+    setCachedSearchResults(entity, searchResults, options);
+
+    expect(getCachedSearchResults(entity, options)).toEqual(searchResults);
+    expect(
+      getCachedSearchResults(entity, { ...options, apiKey: 'other-api-key' })
+    ).toBeUndefined();
+    expect(
+      getCachedSearchResults(entity, { ...options, url: 'https://other.opencti.io' })
+    ).toBeUndefined();
+    expect(
+      getCachedSearchResults(entity, { ...options, exactMatchSearching: false })
+    ).toBeUndefined();
+  });
+
+  test('should cache results per entity type and custom entity type mapping', () => {
+    const customEntity = { value: '64512', type: 'custom', types: ['custom.ticket'] };
+    const getMappedOptions = (observableType) => ({
+      ...options,
+      customEntityTypeMappings: JSON.stringify({
+        ticket: { observableType, stixPattern: "[x-ticket:value = '{value}']" }
+      })
+    });
+    const mappedOptions = getMappedOptions('Text');
+    setCachedSearchResults(customEntity, searchResults, mappedOptions);
+
+    expect(getCachedSearchResults(customEntity, mappedOptions)).toEqual(searchResults);
+    expect(
+      getCachedSearchResults({ ...customEntity, types: ['custom.asn'] }, mappedOptions)
+    ).toBeUndefined();
+    expect(
+      getCachedSearchResults(customEntity, getMappedOptions('Autonomous-System'))
+    ).toBeUndefined();
+  });
+
+  test('should not cache results when the TTL is 0', () => {
+    setCachedSearchResults(entity, searchResults, { ...options, lookupCacheTtl: 0 });
+
+    expect(getCachedSearchResults(entity, options)).toBeUndefined();
+  });
+
+  test('should not cache new entities once the max size is reached', () => {
+    const limitedOptions = { ...options, lookupCacheMaxSize: 1 };
+    const otherEntity = { value: 'other.com', type: 'domain', types: ['domain'] };
+
+    setCachedSearchResults(entity, searchResults, limitedOptions);
+    setCachedSearchResults(otherEntity, searchResults, limitedOptions);
+
+    expect(getCachedSearchResults(entity, limitedOptions)).toEqual(searchResults);
+    expect(getCachedSearchResults(otherEntity, limitedOptions)).toBeUndefined();
+  });
+
+  test('should invalidate cached results by entity value', () => {
+    setCachedSearchResults(entity, searchResults, options);
+    setCachedSearchResults(entity, searchResults, {
+      ...options,
+      apiKey: 'other-api-key'
+    });
+
+    invalidateLookupCache({ entityValues: ['example.com'] });
+
+    expect(getCachedSearchResults(entity, options)).toBeUndefined();
+    expect(
+      getCachedSearchResults(entity, { ...options, apiKey: 'other-api-key' })
+    ).toBeUndefined();
+  });
+
+  test('should invalidate cached results containing a deleted vulnerability', () => {
+    const cveEntity = { value: 'CVE-2021-44228', type: 'cve', types: ['cve'] };
+    const cveResults = {
+      vulnerabilities: { edges: [{ node: { id: 'vulnerability-1' } }] }
+    };
+    setCachedSearchResults(cveEntity, cveResults, options);
+
+    invalidateLookupCache({ ids: ['vulnerability-1'] });
+
+    expect(getCachedSearchResults(cveEntity, options)).toBeUndefined();
+  });
+
+  test('should invalidate cached results containing an edited or deleted item', () => {
+    const otherEntity = { value: 'sub.example.com', type: 'domain', types: ['domain'] };
+    setCachedSearchResults(entity, searchResults, options);
+    setCachedSearchResults(otherEntity, { indicators: { edges: [] } }, options);
+
+    invalidateLookupCache({ ids: ['observable-1'] });
+
+    expect(getCachedSearchResults(entity, options)).toBeUndefined();
+    expect(getCachedSearchResults(otherEntity, options)).toEqual({
+      indicators: { edges: [] }
+    });
+  });
+});
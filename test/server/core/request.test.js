@@ -0,0 +1,278 @@
+/**
+ * Test Suite: OpenCTI Request API Key Selection, TLS Options and Timeouts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockRequestDefaults = jest.fn();
+const mockRequest = jest.fn();
+
+jest.mock('postman-request', () => ({
+  defaults: (defaults) => {
+    mockRequestDefaults(defaults);
+    return (requestOptions, callback) => mockRequest(requestOptions, callback);
+  }
+}));
+
+// Requests are run in parallel with the real async library
+jest.mock('async', () => jest.requireActual('async'));
+
+const {
+  getRequestApiKey,
+  getRequestConfig,
+  makeOpenCTIRequest,
+  makeOpenCTIRequestsInParallel,
+  requestWithDefaults
+} = require('../../../server/core/request');
+const { TimeoutError } = require('../../../server/errorHandling/opencti-errors');
+const {
+  getCircuitBreakerState,
+  resetCircuitBreakers
+} = require('../../../server/core/circuitBreaker');
+const { CIRCUIT_BREAKER_FAILURE_THRESHOLD } = require('../../../server/core/constants');
+
+describe('getRequestApiKey', () => {
+  const options = { url: 'https://demo.opencti.io', apiKey: 'shared-api-key' };
+
+  test('should use the shared API key when per-user API keys are not required', () => {
+    expect(getRequestApiKey(options, { isMutation: true })).toBe('shared-api-key');
+  });
+
+  test("should use the user's own API key whenever it is set", () => {
+    const userOptions = { ...options, perUserApiKeys: true, userApiKey: 'analyst-key' };
+
+    expect(getRequestApiKey(userOptions)).toBe('analyst-key');
+    expect(getRequestApiKey(userOptions, { isMutation: true })).toBe('analyst-key');
+  });
+
+  test('should only allow lookups with the shared API key when per-user API keys are required', () => {
+    const perUserOptions = { ...options, perUserApiKeys: true };
+
+    expect(getRequestApiKey(perUserOptions)).toBe('shared-api-key');
+    expect(() => getRequestApiKey(perUserOptions, { isMutation: true })).toThrow(
+      expect.objectContaining({
+        name: 'PermissionError',
+        meta: { code: 'USER_API_KEY_REQUIRED' }
+      })
+    );
+    expect(() =>
+      getRequestApiKey({ ...perUserOptions, allowSharedApiKeyLookups: false })
+    ).toThrow(expect.objectContaining({ name: 'PermissionError' }));
+  });
+});
+
+describe('TLS and proxy options', () => {
+  const options = { url: 'https://opencti.internal', apiKey: 'shared-api-key' };
+  let tempDirectory;
+  let caBundlePath;
+
+  beforeAll(() => {
+    tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'opencti-tls-'));
+    caBundlePath = path.join(tempDirectory, 'ca.pem');
+    fs.writeFileSync(caBundlePath, 'internal-ca-certificate');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mockRequestDefaults.mockClear();
+    mockRequest.mockReset();
+    mockRequest.mockImplementation((requestOptions, callback) =>
+      callback(null, { statusCode: 200, body: { data: { me: { id: 'user-1' } } } })
+    );
+    resetCircuitBreakers();
+  });
+
+  test('should map the integration options to request settings', () => {
+    expect(
+      getRequestConfig({
+        caBundlePath: ' /etc/ssl/internal-ca.pem ',
+        clientCertPath: '/etc/ssl/client.pem',
+        clientKeyPath: '/etc/ssl/client.key',
+        clientKeyPassphrase: 'secret',
+        proxyUrl: 'http://proxy.internal:8080',
+        allowInsecureConnections: true
+      })
+    ).toEqual({
+      ca: '/etc/ssl/internal-ca.pem',
+      cert: '/etc/ssl/client.pem',
+      key: '/etc/ssl/client.key',
+      passphrase: 'secret',
+      proxy: 'http://proxy.internal:8080',
+      rejectUnauthorized: false
+    });
+
+    expect(getRequestConfig({})).toEqual({
+      ca: '',
+      cert: '',
+      key: '',
+      passphrase: '',
+      proxy: '',
+      rejectUnauthorized: true
+    });
+  });
+
+  test('should make requests with the CA bundle and proxy from the options', async () => {
+    const tlsOptions = {
+      ...options,
+      caBundlePath,
+      proxyUrl: 'http://proxy.internal:8080'
+    };
+
+    await makeOpenCTIRequest('query { me { id } }', {}, tlsOptions);
+    await makeOpenCTIRequest('query { me { id } }', {}, tlsOptions);
+
+    // Certificate files are only read once for the same options
+    expect(mockRequestDefaults).toHaveBeenCalledTimes(1);
+    expect(mockRequestDefaults).toHaveBeenCalledWith(
+      expect.objectContaining({
+        proxy: 'http://proxy.internal:8080',
+        rejectUnauthorized: true
+      })
+    );
+    expect(mockRequestDefaults.mock.calls[0][0].ca.toString()).toBe(
+      'internal-ca-certificate'
+    );
+  });
+
+  test('should read the certificate files again when they are renewed', async () => {
+    const renewedCaBundlePath = path.join(tempDirectory, 'renewed-ca.pem');
+    fs.writeFileSync(renewedCaBundlePath, 'expiring-ca-certificate');
+    const tlsOptions = { ...options, caBundlePath: renewedCaBundlePath };
+
+    await makeOpenCTIRequest('query { me { id } }', {}, tlsOptions);
+    fs.writeFileSync(renewedCaBundlePath, 'renewed-ca-certificate');
+    const renewedTime = new Date(Date.now() + 60 * 1000);
+    fs.utimesSync(renewedCaBundlePath, renewedTime, renewedTime);
+    await makeOpenCTIRequest('query { me { id } }', {}, tlsOptions);
+
+    expect(mockRequestDefaults).toHaveBeenCalledTimes(2);
+    expect(mockRequestDefaults.mock.calls[1][0].ca.toString()).toBe(
+      'renewed-ca-certificate'
+    );
+  });
+
+  test('should explain how to fix SSL certificate errors', async () => {
+    mockRequest.mockImplementation((requestOptions, callback) =>
+      callback(
+        Object.assign(new Error('self-signed certificate in certificate chain'), {
+          code: 'SELF_SIGNED_CERT_IN_CHAIN'
+        })
+      )
+    );
+
+    await expect(makeOpenCTIRequest('query { me { id } }', {}, options)).rejects.toThrow(
+      'CA Bundle Path'
+    );
+  });
+
+  test('should reject requests when a certificate file cannot be read', async () => {
+    await expect(
+      requestWithDefaults(
+        { uri: `${options.url}/graphql` },
+        { ...options, caBundlePath: path.join(tempDirectory, 'missing.pem') }
+      )
+    ).rejects.toThrow('Unable to read the TLS certificate files');
+    expect(mockRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('Request timeouts', () => {
+  const options = { url: 'https://demo.opencti.io', apiKey: 'shared-api-key' };
+
+  // Responds to requests for the given ids, leaving other requests pending
+  const respondTo = (...ids) =>
+    mockRequest.mockImplementation((requestOptions, callback) => {
+      const id = requestOptions.body.variables?.id;
+      if (!id || ids.includes(id)) {
+        callback(null, { statusCode: 200, body: { data: { result: id || 'me' } } });
+      }
+    });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockRequest.mockReset();
+    resetCircuitBreakers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should use the lookup timeout for queries and the mutation timeout for mutations', async () => {
+    respondTo();
+    const timeoutOptions = { ...options, lookupTimeout: 10, mutationTimeout: 120 };
+
+    await makeOpenCTIRequest('query { me { id } }', {}, timeoutOptions);
+    await makeOpenCTIRequest('mutation { labelAdd { id } }', {}, timeoutOptions);
+    await makeOpenCTIRequest('query { me { id } }', {}, options);
+    await makeOpenCTIRequest('mutation { labelAdd { id } }', {}, options);
+
+    expect(mockRequest.mock.calls.map(([{ timeout }]) => timeout)).toEqual([
+      10000, 120000, 30000, 60000
+    ]);
+  });
+
+  test('should reject with a TimeoutError once the timeout has passed', async () => {
+    respondTo('other-request');
+
+    const request = makeOpenCTIRequest(
+      'query Search($id: String) { result }',
+      { id: 'slow-request' },
+      { ...options, lookupTimeout: 5 }
+    );
+    const assertion = expect(request).rejects.toThrow(
+      'OpenCTI did not respond within 5 seconds'
+    );
+
+    await jest.advanceTimersByTimeAsync(5000);
+    await assertion;
+  });
+
+  test('should make a single attempt when testing the connection', async () => {
+    mockRequest.mockImplementation((requestOptions, callback) =>
+      callback(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+    );
+
+    for (let attempt = 0; attempt < CIRCUIT_BREAKER_FAILURE_THRESHOLD; attempt++) {
+      await expect(
+        makeOpenCTIRequest('query { me { id } }', {}, options, {
+          singleAttempt: true,
+          timeout: 10000
+        })
+      ).rejects.toThrow();
+    }
+
+    expect(mockRequest).toHaveBeenCalledTimes(CIRCUIT_BREAKER_FAILURE_THRESHOLD);
+    expect(mockRequest.mock.calls[0][0].timeout).toBe(10000);
+    expect(getCircuitBreakerState(options).open).toBe(false);
+  });
+
+  test('should return the responses of the requests that finished in time', async () => {
+    respondTo('fast-request');
+
+    const responses = makeOpenCTIRequestsInParallel(
+      [
+        {
+          query: 'query Search($id: String) { result }',
+          variables: { id: 'fast-request' }
+        },
+        {
+          query: 'query Search($id: String) { result }',
+          variables: { id: 'slow-request' }
+        }
+      ],
+      { ...options, lookupTimeout: 5 }
+    );
+
+    await jest.advanceTimersByTimeAsync(5000);
+    const [fastResponse, slowResponse] = await responses;
+
+    expect(fastResponse).toEqual({ result: 'fast-request' });
+    expect(slowResponse).toBeInstanceOf(TimeoutError);
+  });
+});
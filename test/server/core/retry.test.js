@@ -0,0 +1,153 @@
+/**
+ * Test Suite: OpenCTI Request Retry
+ */
+
+const mockRequest = jest.fn();
+
+jest.mock('postman-request', () => ({
+  defaults: () => (requestOptions, callback) => mockRequest(requestOptions, callback)
+}));
+
+const { withRetry, getRetryDelay } = require('../../../server/core/retry');
+const { makeOpenCTIRequest } = require('../../../server/core/request');
+const {
+  getCircuitBreakerState,
+  resetCircuitBreakers
+} = require('../../../server/core/circuitBreaker');
+const {
+  CREATE_INDICATOR_MUTATION,
+  EDIT_INDICATOR_SCORE,
+  GET_MARKINGS
+} = require('../../../server/queries/graphql-queries');
+
+const createError = (properties) =>
+  Object.assign(new Error('Request failed'), properties);
+
+// Responds to each request in turn with the given status codes or error codes
+const respondWith = (...responses) =>
+  responses.forEach((response) =>
+    mockRequest.mockImplementationOnce((requestOptions, callback) =>
+      typeof response === 'number'
+        ? callback(null, {
+            statusCode: response,
+            body: { data: { me: { id: 'user-1' } } }
+          })
+        : callback(createError({ code: response }))
+    )
+  );
+
+describe('OpenCTI Request Retry', () => {
+  const options = { url: 'https://demo.opencti.io', apiKey: 'test-api-key' };
+
+  beforeEach(() => {
+    mockRequest.mockReset();
+    resetCircuitBreakers();
+    // No delay between retries
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should retry retryable errors until the request succeeds', async () => {
+    const requestFunction = jest
+      .fn()
+      .mockRejectedValueOnce(createError({ status: 503 }))
+      .mockRejectedValueOnce(createError({ code: 'ECONNRESET' }))
+      .mockResolvedValue('response');
+
+    await expect(withRetry(requestFunction, 3)).resolves.toBe('response');
+    expect(requestFunction).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not retry other errors', async () => {
+    const requestFunction = jest.fn().mockRejectedValue(createError({ status: 400 }));
+
+    await expect(withRetry(requestFunction, 3)).rejects.toMatchObject({ status: 400 });
+    expect(requestFunction).toHaveBeenCalledTimes(1);
+  });
+
+  test('should give up after the max retries', async () => {
+    const requestFunction = jest.fn().mockRejectedValue(createError({ status: 504 }));
+
+    await expect(withRetry(requestFunction, 2)).rejects.toMatchObject({ status: 504 });
+    expect(requestFunction).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not make another attempt after the deadline', async () => {
+    const requestFunction = jest.fn().mockRejectedValue(createError({ status: 503 }));
+
+    await expect(withRetry(requestFunction, 3, Date.now())).rejects.toMatchObject({
+      status: 503
+    });
+    expect(requestFunction).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stop retrying requests once the caller has timed out', async () => {
+    jest.useFakeTimers();
+    mockRequest.mockImplementation((requestOptions, callback) =>
+      setTimeout(() => callback(createError({ code: 'ECONNRESET' })), 6000)
+    );
+
+    const request = makeOpenCTIRequest(GET_MARKINGS, {}, { ...options, lookupTimeout: 5 });
+    const assertion = expect(request).rejects.toThrow(
+      'OpenCTI did not respond within 5 seconds'
+    );
+
+    await jest.advanceTimersByTimeAsync(30000);
+    await assertion;
+
+    expect(mockRequest).toHaveBeenCalledTimes(1);
+    expect(mockRequest.mock.calls[0][0].timeout).toBe(5000);
+  });
+
+  test('should back off exponentially up to the max delay', () => {
+    Math.random.mockReturnValue(0.5);
+
+    expect([1, 2, 3, 4, 5, 6].map(getRetryDelay)).toEqual([
+      250, 500, 1000, 2000, 4000, 4000
+    ]);
+  });
+
+  test('should retry queries and idempotent mutations', async () => {
+    respondWith(503, 'ETIMEDOUT', 200, 502, 200);
+
+    await makeOpenCTIRequest(GET_MARKINGS, {}, options);
+    await makeOpenCTIRequest(EDIT_INDICATOR_SCORE, { id: 'indicator-1' }, options);
+
+    expect(mockRequest).toHaveBeenCalledTimes(5);
+  });
+
+  test('should not retry mutations which are not idempotent', async () => {
+    respondWith(503, 200);
+
+    await expect(
+      makeOpenCTIRequest(CREATE_INDICATOR_MUTATION, {}, options)
+    ).rejects.toThrow();
+    expect(mockRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should open the circuit breaker after repeated failures', async () => {
+    mockRequest.mockImplementation((requestOptions, callback) =>
+      callback(createError({ code: 'ECONNREFUSED' }))
+    );
+
+    for (let i = 0; i < 4; i++) {
+      await expect(makeOpenCTIRequest(GET_MARKINGS, {}, options)).rejects.toThrow();
+    }
+    expect(getCircuitBreakerState(options)).toEqual({ open: false });
+
+    await expect(makeOpenCTIRequest(GET_MARKINGS, {}, options)).rejects.toThrow();
+    expect(getCircuitBreakerState(options)).toEqual({
+      open: true,
+      retryAt: expect.any(String)
+    });
+    expect(
+      getCircuitBreakerState({ ...options, url: 'https://other.opencti.io' })
+    ).toEqual({
+      open: false
+    });
+  });
+});
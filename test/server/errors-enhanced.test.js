@@ -13,7 +13,8 @@ const {
   ApiRequestError,
   AuthRequestError,
   RetryRequestError,
-  parseErrorToReadableJSON
+  parseErrorToReadableJSON,
+  getSslErrorHelp
 } = require('../../server/errorHandling/opencti-errors');
 
 // Mock the logger to avoid actual logging during tests
@@ -777,6 +778,36 @@ describe('Enhanced OpenCTI Error Handling', () => {
     });
   });
 
+  describe('getSslErrorHelp Function', () => {
+    it('should point untrusted certificates at the CA Bundle Path option', () => {
+      const result = getSslErrorHelp({ code: 'SELF_SIGNED_CERT_IN_CHAIN' });
+
+      expect(result.key).toBe('caBundlePath');
+      expect(result.help).toContain('CA Bundle Path');
+      expect(result.help).toContain('SELF_SIGNED_CERT_IN_CHAIN');
+    });
+
+    it('should point expired certificates at the Allow Insecure TLS/SSL Connections option', () => {
+      const result = getSslErrorHelp({ code: 'CERT_HAS_EXPIRED' });
+
+      expect(result.key).toBe('allowInsecureConnections');
+      expect(result.help).toContain('Allow Insecure TLS/SSL Connections');
+    });
+
+    it('should read the code of wrapped request errors', () => {
+      const error = new Error('Request failed');
+      error.originalError = { code: 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' };
+
+      expect(getSslErrorHelp(error).key).toBe('caBundlePath');
+    });
+
+    it('should return undefined for errors that are not SSL errors', () => {
+      expect(getSslErrorHelp({ code: 'ECONNREFUSED' })).toBeUndefined();
+      expect(getSslErrorHelp(new Error('Request failed'))).toBeUndefined();
+      expect(getSslErrorHelp(undefined)).toBeUndefined();
+    });
+  });
+
   describe('Integration with Existing Error Handling', () => {
     it('should work alongside existing error types', () => {
       // Test that new functions don't interfere with existing error handling
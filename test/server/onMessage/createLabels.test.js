@@ -0,0 +1,121 @@
+/**
+ * Tests for createLabels Action Function - OpenCTI Implementation
+ */
+
+const mockMakeOpenCTIRequest = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  makeOpenCTIRequest: (...args) => mockMakeOpenCTIRequest(...args)
+}));
+
+const createLabels = require('../../../server/onMessage/createLabels');
+const searchTags = require('../../../server/onMessage/searchTags');
+const { SEARCH_TAGS_QUERY } = require('../../../server/queries/graphql-queries');
+const { getDefaultLabelColor } = require('../../../server/core/dataTransformations');
+
+describe('createLabels Action Function', () => {
+  const options = { url: 'https://test-opencti.com', apiKey: 'test-api-key' };
+
+  const labelSearchResponse = (labels) => ({
+    labels: { edges: labels.map((label) => ({ node: label })) }
+  });
+
+  beforeEach(() => {
+    mockMakeOpenCTIRequest.mockReset();
+  });
+
+  test('should create labels that do not exist yet with an automatic color', async () => {
+    mockMakeOpenCTIRequest.mockImplementation(async (query, variables) => {
+      if (query === SEARCH_TAGS_QUERY) return labelSearchResponse([]);
+      return {
+        label0: { id: 'label-1', value: variables.value0, color: variables.color0 }
+      };
+    });
+
+    const result = await createLabels({ labels: [{ value: '  apt-99 ' }] }, options);
+
+    const [, createVariables] = mockMakeOpenCTIRequest.mock.calls[1];
+    expect(createVariables).toEqual({
+      value0: 'apt-99',
+      color0: getDefaultLabelColor('apt-99')
+    });
+    expect(result.labels).toEqual([
+      { id: 'label-1', value: 'apt-99', color: getDefaultLabelColor('apt-99') }
+    ]);
+  });
+
+  test('should reuse existing labels and dedupe values case-insensitively', async () => {
+    mockMakeOpenCTIRequest.mockImplementation(async (query, variables) => {
+      if (query === SEARCH_TAGS_QUERY) {
+        return variables.search === 'Phishing'
+          ? labelSearchResponse([{ id: 'label-2', value: 'phishing', color: '#fff' }])
+          : labelSearchResponse([]);
+      }
+      return { label0: { id: 'label-3', value: 'apt-99', color: '#000' } };
+    });
+
+    const result = await createLabels(
+      {
+        labels: [
+          { value: 'Phishing' },
+          { value: 'apt-99', color: '#000' },
+          { value: 'APT-99' }
+        ]
+      },
+      options
+    );
+
+    // Two searches plus a single create for the only missing label
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(3);
+    expect(mockMakeOpenCTIRequest.mock.calls[2][1]).toEqual({
+      value0: 'apt-99',
+      color0: '#000'
+    });
+    expect(result.labels.map(({ id }) => id)).toEqual(['label-2', 'label-3', 'label-3']);
+  });
+
+  test('should reject when label creation is disabled', async () => {
+    await expect(
+      createLabels(
+        { labels: [{ value: 'apt-99' }] },
+        { ...options, allowLabelCreation: false }
+      )
+    ).rejects.toMatchObject({
+      name: 'PermissionError',
+      meta: { code: 'LABEL_CREATION_NOT_PERMITTED' }
+    });
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+  });
+
+  describe('searchTags new label suggestions', () => {
+    test('should offer the search term as a new label when there is no exact match', async () => {
+      mockMakeOpenCTIRequest.mockResolvedValue(
+        labelSearchResponse([{ id: 'label-4', value: 'apt-990', color: '#fff' }])
+      );
+
+      const { tags } = await searchTags({ term: 'APT-99 ', selectedTags: [] }, options);
+
+      expect(tags[0]).toEqual({
+        value: 'APT-99',
+        color: getDefaultLabelColor('APT-99'),
+        isNew: true
+      });
+      expect(tags[1].id).toBe('label-4');
+    });
+
+    test('should not offer a new label when creation is disabled or the label exists', async () => {
+      mockMakeOpenCTIRequest.mockResolvedValue(
+        labelSearchResponse([{ id: 'label-4', value: 'apt-99', color: '#fff' }])
+      );
+
+      const exactMatch = await searchTags({ term: 'APT-99', selectedTags: [] }, options);
+      const disabled = await searchTags(
+        { term: 'apt', selectedTags: [] },
+        { ...options, allowLabelCreation: false }
+      );
+
+      expect(exactMatch.tags.some((tag) => tag.isNew)).toBe(false);
+      expect(disabled.tags.some((tag) => tag.isNew)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for deleteIOCByType Action Function - OpenCTI Implementation
+ * Verifies the Deletion Permissions option is enforced server-side
+ */
+
+const mockMakeOpenCTIRequest = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  makeOpenCTIRequest: (...args) => mockMakeOpenCTIRequest(...args)
+}));
+
+const deleteIOCByType = require('../../../server/onMessage/deleteIOCByType');
+const {
+  DELETE_INDICATOR_MUTATION,
+  DELETE_OBSERVABLE_MUTATION,
+  GET_INDICATOR,
+  GET_OBSERVABLE
+} = require('../../../server/queries/graphql-queries');
+
+describe('deleteIOCByType Action Function', () => {
+  const allowAllOptions = {
+    url: 'https://test-opencti.com',
+    apiKey: 'test-api-key',
+    deletionPermissions: [
+      { value: 'indicators', display: 'Allow Indicator Deletion' },
+      { value: 'observables', display: 'Allow Observable Deletion' }
+    ]
+  };
+
+  beforeEach(() => {
+    mockMakeOpenCTIRequest.mockReset();
+  });
+
+  test('should delete an indicator that exists when indicator deletion is allowed', async () => {
+    mockMakeOpenCTIRequest
+      .mockResolvedValueOnce({ indicators: { edges: [{ node: { id: 'indicator-1' } }] } })
+      .mockResolvedValueOnce({ indicatorDelete: 'indicator-1' });
+
+    const result = await deleteIOCByType(
+      { idToDelete: 'indicator-1', type: 'indicator', openCtiTypeHuman: 'Domain name' },
+      allowAllOptions
+    );
+
+    expect(result).toEqual({ deletedIocId: 'indicator-1', openCtiTypeHuman: 'Domain name' });
+    expect(mockMakeOpenCTIRequest).toHaveBeenNthCalledWith(
+      1,
+      GET_INDICATOR,
+      expect.any(Object),
+      allowAllOptions
+    );
+    expect(mockMakeOpenCTIRequest).toHaveBeenNthCalledWith(
+      2,
+      DELETE_INDICATOR_MUTATION,
+      { id: 'indicator-1' },
+      allowAllOptions
+    );
+  });
+
+  test('should delete an observable that exists when observable deletion is allowed', async () => {
+    mockMakeOpenCTIRequest
+      .mockResolvedValueOnce({
+        stixCyberObservables: { edges: [{ node: { id: 'observable-1' } }] }
+      })
+      .mockResolvedValueOnce({ stixCyberObservableEdit: { delete: 'observable-1' } });
+
+    const result = await deleteIOCByType(
+      { idToDelete: 'observable-1', type: 'observable' },
+      allowAllOptions
+    );
+
+    expect(result.deletedIocId).toBe('observable-1');
+    expect(mockMakeOpenCTIRequest).toHaveBeenNthCalledWith(
+      1,
+      GET_OBSERVABLE,
+      expect.any(Object),
+      allowAllOptions
+    );
+    expect(mockMakeOpenCTIRequest).toHaveBeenNthCalledWith(
+      2,
+      DELETE_OBSERVABLE_MUTATION,
+      { id: 'observable-1' },
+      allowAllOptions
+    );
+  });
+
+  test('should reject deletion when the type is not allowed by deletionPermissions', async () => {
+    const options = {
+      ...allowAllOptions,
+      deletionPermissions: [{ value: 'observables', display: 'Allow Observable Deletion' }]
+    };
+
+    await expect(
+      deleteIOCByType({ idToDelete: 'indicator-1', type: 'indicator' }, options)
+    ).rejects.toMatchObject({
+      name: 'PermissionError',
+      meta: expect.objectContaining({ code: 'DELETION_NOT_PERMITTED', type: 'indicator' })
+    });
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+  });
+
+  test('should reject deletion when no deletion permissions are configured', async () => {
+    await expect(
+      deleteIOCByType(
+        { idToDelete: 'observable-1', type: 'observable' },
+        { ...allowAllOptions, deletionPermissions: [] }
+      )
+    ).rejects.toMatchObject({ meta: expect.objectContaining({ code: 'DELETION_NOT_PERMITTED' }) });
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown types', async () => {
+    await expect(
+      deleteIOCByType({ idToDelete: 'report-1', type: 'report' }, allowAllOptions)
+    ).rejects.toMatchObject({ meta: expect.objectContaining({ code: 'UNKNOWN_TYPE' }) });
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+  });
+
+  test('should reject vulnerabilities as they cannot be deleted', async () => {
+    await expect(
+      deleteIOCByType(
+        { idToDelete: 'vulnerability-1', type: 'vulnerability' },
+        allowAllOptions
+      )
+    ).rejects.toMatchObject({
+      name: 'PermissionError',
+      meta: expect.objectContaining({ code: 'UNSUPPORTED_TYPE', type: 'vulnerability' })
+    });
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+  });
+
+  test('should reject ids that are not an item of the given type', async () => {
+    mockMakeOpenCTIRequest.mockResolvedValueOnce({ indicators: { edges: [] } });
+
+    await expect(
+      deleteIOCByType({ idToDelete: 'observable-1', type: 'indicator' }, allowAllOptions)
+    ).rejects.toMatchObject({ meta: expect.objectContaining({ code: 'TYPE_MISMATCH' }) });
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(1);
+  });
+});
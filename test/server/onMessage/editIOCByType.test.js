@@ -0,0 +1,158 @@
+/**
+ * Tests for editIOCByType Action Function - OpenCTI Implementation
+ * Focused on label add/remove diffing when editing existing IOCs
+ */
+
+const mockMakeOpenCTIRequest = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  makeOpenCTIRequest: (...args) => mockMakeOpenCTIRequest(...args)
+}));
+
+jest.mock('../../../server/queries/get-user-rights', () => ({
+  getUserRights: jest.fn().mockResolvedValue(undefined)
+}));
+
+const editIOCByType = require('../../../server/onMessage/editIOCByType');
+const {
+  EDIT_OBSERVABLE,
+  EDIT_INDICATOR_SCORE,
+  EDIT_INDICATOR_ADD_LABEL,
+  EDIT_INDICATOR_REMOVE_LABEL,
+  EDIT_OBSERVABLE_ADD_LABELS,
+  EDIT_OBSERVABLE_REMOVE_LABEL,
+  GET_INDICATOR
+} = require('../../../server/queries/graphql-queries');
+
+describe('editIOCByType Action Function', () => {
+  const options = { url: 'https://test-opencti.com', apiKey: 'test-api-key' };
+  const entity = { value: 'example.com', type: 'domain', types: ['domain'] };
+
+  const indicatorResponse = (labels) => ({
+    indicators: {
+      edges: [
+        {
+          node: {
+            id: 'indicator-1',
+            entity_type: 'Indicator',
+            pattern: "[domain-name:value = 'example.com']",
+            objectLabel: labels
+          }
+        }
+      ]
+    }
+  });
+
+  const observableResponse = (labels) => ({
+    stixCyberObservables: {
+      edges: [
+        {
+          node: {
+            id: 'observable-1',
+            entity_type: 'Domain-Name',
+            observable_value: 'example.com',
+            objectLabel: labels
+          }
+        }
+      ]
+    }
+  });
+
+  const editParams = {
+    score: null,
+    description: null,
+    authorId: null,
+    markings: null,
+    entity
+  };
+
+  beforeEach(() => {
+    mockMakeOpenCTIRequest.mockReset();
+  });
+
+  test('should add and remove indicator labels based on the current labels', async () => {
+    const currentLabels = [
+      { id: 'label-keep', value: 'keep' },
+      { id: 'label-remove', value: 'remove' }
+    ];
+    mockMakeOpenCTIRequest.mockImplementation(async (query) =>
+      query === GET_INDICATOR ? indicatorResponse(currentLabels) : {}
+    );
+
+    const result = await editIOCByType(
+      {
+        ...editParams,
+        idToEdit: 'indicator-1',
+        type: 'indicator',
+        labels: ['label-keep', 'label-add']
+      },
+      options
+    );
+
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledWith(
+      EDIT_INDICATOR_ADD_LABEL,
+      { id: 'indicator-1', labelId: 'label-add' },
+      options
+    );
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledWith(
+      EDIT_INDICATOR_REMOVE_LABEL,
+      { id: 'indicator-1', labelId: 'label-remove' },
+      options
+    );
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalledWith(
+      EDIT_INDICATOR_ADD_LABEL,
+      { id: 'indicator-1', labelId: 'label-keep' },
+      options
+    );
+    expect(result.id).toBe('indicator-1');
+  });
+
+  test('should add and remove observable labels without patching unchanged fields', async () => {
+    mockMakeOpenCTIRequest.mockImplementation(async (query) =>
+      query.includes('GetObservable')
+        ? observableResponse([{ id: 'label-remove', value: 'remove' }])
+        : {}
+    );
+
+    const result = await editIOCByType(
+      {
+        ...editParams,
+        idToEdit: 'observable-1',
+        type: 'observable',
+        labels: ['label-add-1', 'label-add-2']
+      },
+      options
+    );
+
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalledWith(
+      EDIT_OBSERVABLE,
+      expect.anything(),
+      options
+    );
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledWith(
+      EDIT_OBSERVABLE_ADD_LABELS,
+      { id: 'observable-1', labelIds: ['label-add-1', 'label-add-2'] },
+      options
+    );
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledWith(
+      EDIT_OBSERVABLE_REMOVE_LABEL,
+      { id: 'observable-1', labelId: 'label-remove' },
+      options
+    );
+    expect(result.id).toBe('observable-1');
+  });
+
+  test('should not touch labels when labels is null', async () => {
+    mockMakeOpenCTIRequest.mockImplementation(async (query) =>
+      query === GET_INDICATOR ? indicatorResponse([{ id: 'label-1', value: 'one' }]) : {}
+    );
+
+    await editIOCByType(
+      { ...editParams, score: 80, idToEdit: 'indicator-1', type: 'indicator', labels: null },
+      options
+    );
+
+    const queriesRun = mockMakeOpenCTIRequest.mock.calls.map(([query]) => query);
+    expect(queriesRun).toEqual([EDIT_INDICATOR_SCORE, GET_INDICATOR]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for loadMoreResults Action Function - OpenCTI Implementation
+ */
+
+const mockMakeOpenCTIRequest = jest.fn();
+const mockMakeOpenCTIRequestsInParallel = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  makeOpenCTIRequest: (...args) => mockMakeOpenCTIRequest(...args),
+  makeOpenCTIRequestsInParallel: (...args) => mockMakeOpenCTIRequestsInParallel(...args)
+}));
+
+jest.mock('../../../server/queries/get-exclusion-lists', () => ({
+  getExclusionListRules: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../../server/queries/get-user-rights', () => ({
+  getUserRights: jest.fn().mockResolvedValue(undefined)
+}));
+
+const loadMoreResults = require('../../../server/onMessage/loadMoreResults');
+const {
+  searchIndicatorsAndObservables
+} = require('../../../server/queries/search-indicators-and-observables');
+const {
+  SEARCH_INDICATORS_AND_OBSERVABLES
+} = require('../../../server/queries/graphql-queries');
+const { clearLookupCache } = require('../../../server/core/lookupCache');
+
+describe('loadMoreResults Action Function', () => {
+  const options = { url: 'https://test-opencti.com', apiKey: 'test-api-key' };
+  const entity = { value: 'example.com', type: 'domain', types: ['domain'] };
+
+  const createIndicators = (start, count) =>
+    [...Array(count).keys()].map((index) => ({
+      node: {
+        id: `indicator-${start + index}`,
+        entity_type: 'Indicator',
+        name: 'example.com',
+        objectLabel: [],
+        objectMarking: []
+      }
+    }));
+
+  beforeEach(() => {
+    clearLookupCache();
+    mockMakeOpenCTIRequest.mockReset();
+    mockMakeOpenCTIRequestsInParallel.mockReset();
+  });
+
+  test('should return the pagination of entities with more results from the lookup', async () => {
+    mockMakeOpenCTIRequestsInParallel.mockResolvedValue([
+      {
+        indicators0: {
+          edges: createIndicators(0, 50),
+          pageInfo: { endCursor: 'cursor-50', hasNextPage: true, globalCount: 75 }
+        },
+        observables0: {
+          edges: [],
+          pageInfo: { endCursor: null, hasNextPage: false, globalCount: 0 }
+        }
+      }
+    ]);
+
+    const { pagination } = await searchIndicatorsAndObservables([entity], options);
+
+    expect(pagination).toEqual([
+      {
+        entity,
+        indicators: { cursor: 'cursor-50', loaded: 50, total: 75 },
+        observables: { cursor: null, loaded: 0, total: 0 },
+        remaining: 25
+      }
+    ]);
+  });
+
+  test('should load the next page of results for the types with more results', async () => {
+    mockMakeOpenCTIRequest.mockResolvedValue({
+      indicators: {
+        edges: createIndicators(50, 25),
+        pageInfo: { endCursor: 'cursor-75', hasNextPage: false, globalCount: 75 }
+      }
+    });
+
+    const result = await loadMoreResults(
+      {
+        pagination: {
+          entity,
+          indicators: { cursor: 'cursor-50', loaded: 50, total: 75 },
+          observables: { cursor: null, loaded: 0, total: 0 },
+          remaining: 25
+        }
+      },
+      options
+    );
+
+    const [query, variables] = mockMakeOpenCTIRequest.mock.calls[0];
+    expect(query).toBe(SEARCH_INDICATORS_AND_OBSERVABLES);
+    expect(variables).toMatchObject({
+      search: '"example.com"',
+      indicatorsAfter: 'cursor-50',
+      observablesAfter: null,
+      searchIndicators: true,
+      searchObservables: false
+    });
+    expect(result.unifiedSearchResults).toHaveLength(25);
+    expect(result.unifiedSearchResults[0]).toMatchObject({
+      id: 'indicator-50',
+      foundInOpenCTI: true
+    });
+    expect(result.pagination).toBeNull();
+  });
+
+  test('should reject pagination without a cursor', async () => {
+    await expect(
+      loadMoreResults(
+        {
+          pagination: {
+            entity,
+            indicators: { cursor: null, loaded: 50, total: 50 },
+            observables: { cursor: null, loaded: 0, total: 0 }
+          }
+        },
+        options
+      )
+    ).rejects.toMatchObject({
+      name: 'ValidationError',
+      meta: { code: 'INVALID_PAGINATION' }
+    });
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+  });
+});
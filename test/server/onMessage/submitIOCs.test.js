@@ -0,0 +1,815 @@
+/**
+ * Tests for submitIOCs Action Function - OpenCTI Implementation
+ * Focused on the indicator only submission fields
+ */
+
+const mockMakeOpenCTIRequest = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  makeOpenCTIRequest: (...args) => mockMakeOpenCTIRequest(...args)
+}));
+
+jest.mock('../../../server/queries/get-user-rights', () => ({
+  getUserRights: jest.fn().mockResolvedValue(undefined)
+}));
+
+const submitIOCs = require('../../../server/onMessage/submitIOCs');
+const {
+  CREATE_INDICATOR_MUTATION,
+  CREATE_OBSERVABLE_MUTATION,
+  CREATE_VULNERABILITY_MUTATION,
+  LINK_INDICATOR_AND_VULNERABILITY_BY_ID_MUTATION,
+  SEARCH_INDICATORS_AND_OBSERVABLES,
+  EDIT_INDICATOR_SCORE,
+  EDIT_INDICATOR_FIELDS,
+  EDIT_INDICATOR_ADD_LABEL,
+  DELETE_INDICATOR_MUTATION,
+  DELETE_OBSERVABLE_MUTATION,
+  DELETE_VULNERABILITY_MUTATION,
+  buildSearchVulnerabilitiesQuery
+} = require('../../../server/queries/graphql-queries');
+
+describe('submitIOCs Action Function', () => {
+  const options = {
+    url: 'https://test-opencti.com',
+    apiKey: 'test-api-key',
+    automaticLinking: false
+  };
+
+  const ioc = {
+    entityValue: 'example.com',
+    entityType: 'domain',
+    __submitAsIndicator: true,
+    __submitAsObservable: true
+  };
+
+  const submitParams = {
+    iocsToEditAndCreate: [ioc],
+    description: 'test',
+    score: 50,
+    labels: [],
+    markings: [],
+    authorId: null
+  };
+
+  beforeEach(() => {
+    mockMakeOpenCTIRequest.mockReset();
+    mockMakeOpenCTIRequest.mockImplementation(async (query) =>
+      query === CREATE_INDICATOR_MUTATION
+        ? {
+            indicatorAdd: {
+              id: 'indicator-1',
+              entity_type: 'Indicator',
+              pattern: "[domain-name:value = 'example.com']"
+            }
+          }
+        : {
+            stixCyberObservableAdd: {
+              id: 'observable-1',
+              entity_type: 'Domain-Name',
+              observable_value: 'example.com'
+            }
+          }
+    );
+  });
+
+  const getVariables = (query) =>
+    mockMakeOpenCTIRequest.mock.calls.find(([calledQuery]) => calledQuery === query)?.[1];
+
+  test('should send the indicator fields only when creating indicators', async () => {
+    await submitIOCs(
+      {
+        ...submitParams,
+        confidence: '80',
+        validFrom: '2030-01-01',
+        validUntil: '2030-06-01',
+        indicatorTypes: ['malicious-activity'],
+        detection: true
+      },
+      options
+    );
+
+    expect(getVariables(CREATE_INDICATOR_MUTATION)).toMatchObject({
+      confidence: 80,
+      valid_from: '2030-01-01T00:00:00.000Z',
+      valid_until: '2030-06-01T00:00:00.000Z',
+      indicator_types: ['malicious-activity'],
+      x_opencti_detection: true
+    });
+    expect(getVariables(CREATE_OBSERVABLE_MUTATION)).not.toHaveProperty('confidence');
+  });
+
+  test('should leave unset indicator fields to the OpenCTI defaults', async () => {
+    await submitIOCs(
+      {
+        ...submitParams,
+        confidence: '',
+        validFrom: '',
+        validUntil: '',
+        indicatorTypes: []
+      },
+      options
+    );
+
+    const variables = getVariables(CREATE_INDICATOR_MUTATION);
+    expect(variables.confidence).toBeUndefined();
+    expect(variables.valid_from).toBeUndefined();
+    expect(variables.valid_until).toBeUndefined();
+    expect(variables.indicator_types).toBeUndefined();
+    expect(variables.x_opencti_detection).toBeUndefined();
+  });
+
+  test('should apply the default indicator lifetime when Valid Until is not set', async () => {
+    await submitIOCs(
+      { ...submitParams, validFrom: '2030-01-01' },
+      { ...options, indicatorLifetimes: 'IPv4:30, domain:90, MD5:never' }
+    );
+
+    expect(getVariables(CREATE_INDICATOR_MUTATION).valid_until).toBe(
+      '2030-04-01T00:00:00.000Z'
+    );
+  });
+
+  test('should not set Valid Until for types which never expire', async () => {
+    await submitIOCs(submitParams, { ...options, indicatorLifetimes: 'domain:never' });
+
+    expect(getVariables(CREATE_INDICATOR_MUTATION).valid_until).toBeUndefined();
+  });
+
+  test('should reject IOCs on the Exclusion List before creating anything', async () => {
+    await expect(
+      submitIOCs(submitParams, { ...options, exclusionList: '*.example.com' })
+    ).rejects.toMatchObject({
+      name: 'ValidationError',
+      meta: { code: 'EXCLUDED_IOC', excludedIocs: ['example.com'] }
+    });
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+  });
+
+  test('should submit ASNs as autonomous systems identified by their number', async () => {
+    await submitIOCs(
+      {
+        ...submitParams,
+        iocsToEditAndCreate: [{ ...ioc, entityValue: 'AS15169', entityType: 'asn' }]
+      },
+      options
+    );
+
+    expect(getVariables(CREATE_INDICATOR_MUTATION).pattern).toBe(
+      '[autonomous-system:number = 15169]'
+    );
+    expect(getVariables(CREATE_OBSERVABLE_MUTATION)).toMatchObject({
+      type: 'Autonomous-System',
+      AutonomousSystem: { number: 15169 }
+    });
+  });
+
+  test('should submit custom entity types as their mapped observable type', async () => {
+    await submitIOCs(
+      {
+        ...submitParams,
+        iocsToEditAndCreate: [{ ...ioc, entityValue: "TICKET-'1'", entityType: 'ticket' }]
+      },
+      {
+        ...options,
+        customEntityTypeMappings: JSON.stringify({
+          ticket: { observableType: 'Text', stixPattern: "[x-ticket:value = '{value}']" }
+        })
+      }
+    );
+
+    expect(getVariables(CREATE_INDICATOR_MUTATION)).toMatchObject({
+      pattern: "[x-ticket:value = 'TICKET-\\'1\\'']",
+      observableType: 'Text'
+    });
+    expect(getVariables(CREATE_OBSERVABLE_MUTATION)).toMatchObject({
+      type: 'Text',
+      Text: { value: "TICKET-'1'" }
+    });
+  });
+
+  describe('Submission Field Restrictions', () => {
+    test('should reject submissions missing required fields', async () => {
+      await expect(
+        submitIOCs(
+          { ...submitParams, description: ' ', labels: [] },
+          {
+            ...options,
+            submissionFieldRestrictions: [
+              { value: 'description_required' },
+              { value: 'labels_required' }
+            ]
+          }
+        )
+      ).rejects.toMatchObject({
+        name: 'ValidationError',
+        meta: {
+          code: 'MISSING_REQUIRED_FIELDS',
+          missingFields: ['description', 'labels']
+        }
+      });
+      expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+    });
+
+    test('should not send disabled fields to OpenCTI', async () => {
+      await submitIOCs(
+        { ...submitParams, labels: ['label-1'] },
+        {
+          ...options,
+          submissionFieldRestrictions: ['score_disabled', 'labels_disabled']
+        }
+      );
+
+      const variables = getVariables(CREATE_INDICATOR_MUTATION);
+      expect(variables.score).toBeUndefined();
+      expect(variables.labels).toBeUndefined();
+      expect(variables.description).toBe('test');
+    });
+  });
+
+  describe('Partial failures', () => {
+    const secondIoc = {
+      entityValue: '8.8.8.8',
+      entityType: 'IPv4',
+      __submitAsIndicator: true,
+      __submitAsObservable: false
+    };
+
+    const timeoutError = Object.assign(new Error('OpenCTI did not respond'), {
+      code: 'TIMEOUT'
+    });
+
+    test('should return the results of the other IOCs when one IOC fails', async () => {
+      mockMakeOpenCTIRequest.mockImplementation(async (query, variables) => {
+        if (JSON.stringify(variables).includes('8.8.8.8')) throw timeoutError;
+        return query === CREATE_INDICATOR_MUTATION
+          ? { indicatorAdd: { id: 'indicator-1', entity_type: 'Indicator' } }
+          : {
+              stixCyberObservableAdd: { id: 'observable-1', entity_type: 'Domain-Name' }
+            };
+      });
+
+      const { createdIocs, results } = await submitIOCs(
+        { ...submitParams, iocsToEditAndCreate: [ioc, secondIoc] },
+        options
+      );
+
+      expect(createdIocs.map(({ id }) => id)).toEqual(['indicator-1', 'observable-1']);
+      expect(results).toEqual([
+        expect.objectContaining({
+          entityValue: 'example.com',
+          success: true,
+          createdIndicator: expect.objectContaining({ id: 'indicator-1' }),
+          createdObservable: expect.objectContaining({ id: 'observable-1' }),
+          linkStatus: 'not_linked'
+        }),
+        expect.objectContaining({
+          entityValue: '8.8.8.8',
+          success: false,
+          createdIndicator: null,
+          createdObservable: null,
+          error: { message: 'OpenCTI did not respond', code: 'TIMEOUT' }
+        })
+      ]);
+    });
+
+    test('should return the created observable when only the indicator fails', async () => {
+      mockMakeOpenCTIRequest.mockImplementation(async (query) => {
+        if (query === CREATE_INDICATOR_MUTATION) throw new Error('Invalid pattern');
+        return {
+          stixCyberObservableAdd: { id: 'observable-1', entity_type: 'Domain-Name' }
+        };
+      });
+
+      const {
+        results: [result]
+      } = await submitIOCs(submitParams, options);
+
+      expect(result).toMatchObject({
+        success: false,
+        createdIndicator: null,
+        createdObservable: { id: 'observable-1' },
+        error: { code: 'SUBMISSION_FAILED' }
+      });
+    });
+
+    test('should keep the OpenCTI error code of a failed IOC', async () => {
+      const graphqlError = Object.assign(new Error('Invalid pattern'), {
+        body: {
+          errors: [
+            { message: 'Invalid pattern', extensions: { code: 'VALIDATION_ERROR' } }
+          ]
+        }
+      });
+      mockMakeOpenCTIRequest.mockImplementation(async (query) => {
+        if (query === CREATE_INDICATOR_MUTATION) {
+          throw Object.assign(new Error('Request failed'), {
+            originalError: graphqlError
+          });
+        }
+        return {
+          stixCyberObservableAdd: { id: 'observable-1', entity_type: 'Domain-Name' }
+        };
+      });
+
+      const {
+        results: [result]
+      } = await submitIOCs(submitParams, options);
+
+      expect(result).toMatchObject({
+        success: false,
+        error: { code: 'VALIDATION_ERROR' }
+      });
+    });
+
+    test('should report a failed link without failing the IOC', async () => {
+      mockMakeOpenCTIRequest.mockImplementation(async (query) => {
+        if (query === CREATE_INDICATOR_MUTATION) {
+          return { indicatorAdd: { id: 'indicator-1', entity_type: 'Indicator' } };
+        }
+        if (query === CREATE_OBSERVABLE_MUTATION) {
+          return {
+            stixCyberObservableAdd: { id: 'observable-1', entity_type: 'Domain-Name' }
+          };
+        }
+        if (query === SEARCH_INDICATORS_AND_OBSERVABLES) return {};
+        throw new Error('Link failed');
+      });
+
+      const {
+        results: [result]
+      } = await submitIOCs(submitParams, { ...options, automaticLinking: true });
+
+      expect(result).toMatchObject({
+        success: true,
+        linkStatus: 'failed',
+        linkError: { code: 'SUBMISSION_FAILED' }
+      });
+      expect(result).not.toHaveProperty('error');
+    });
+  });
+
+  describe('Atomic Submission', () => {
+    const atomicOptions = { ...options, atomicSubmission: true, automaticLinking: true };
+
+    const mockRequests = ({
+      failObservable = false,
+      failLink = false,
+      failDelete = false
+    }) =>
+      mockMakeOpenCTIRequest.mockImplementation(async (query) => {
+        if (query === CREATE_INDICATOR_MUTATION) {
+          return { indicatorAdd: { id: 'indicator-1', entity_type: 'Indicator' } };
+        }
+        if (query === CREATE_OBSERVABLE_MUTATION) {
+          if (failObservable) throw new Error('Invalid observable');
+          return {
+            stixCyberObservableAdd: { id: 'observable-1', entity_type: 'Domain-Name' }
+          };
+        }
+        if (query === DELETE_INDICATOR_MUTATION) {
+          if (failDelete) throw new Error('Delete failed');
+          return { indicatorDelete: 'indicator-1' };
+        }
+        if (query === DELETE_OBSERVABLE_MUTATION) {
+          return { stixCyberObservableEdit: { delete: 'observable-1' } };
+        }
+        if (query === SEARCH_INDICATORS_AND_OBSERVABLES) return {};
+        if (failLink) throw new Error('Link failed');
+        return {};
+      });
+
+    test('should roll back the indicator when the observable fails', async () => {
+      mockRequests({ failObservable: true });
+
+      const {
+        createdIocs,
+        results: [result]
+      } = await submitIOCs(submitParams, atomicOptions);
+
+      expect(createdIocs).toEqual([]);
+      expect(result).toMatchObject({
+        success: false,
+        createdIndicator: null,
+        createdObservable: null,
+        error: { message: 'Invalid observable' },
+        rollback: {
+          rolledBack: [{ type: 'indicator', id: 'indicator-1' }],
+          notRolledBack: []
+        }
+      });
+    });
+
+    test('should roll back both IOCs when linking fails', async () => {
+      mockRequests({ failLink: true });
+
+      const {
+        results: [result]
+      } = await submitIOCs(submitParams, atomicOptions);
+
+      expect(result).toMatchObject({
+        success: false,
+        linkStatus: 'failed',
+        error: { message: 'Link failed' },
+        rollback: {
+          rolledBack: [
+            { type: 'indicator', id: 'indicator-1' },
+            { type: 'observable', id: 'observable-1' }
+          ]
+        }
+      });
+    });
+
+    test('should report the IOCs which could not be rolled back', async () => {
+      mockRequests({ failObservable: true, failDelete: true });
+
+      const {
+        createdIocs,
+        results: [result]
+      } = await submitIOCs(submitParams, atomicOptions);
+
+      expect(createdIocs.map(({ id }) => id)).toEqual(['indicator-1']);
+      expect(result.rollback).toEqual({
+        rolledBack: [],
+        notRolledBack: [
+          {
+            type: 'indicator',
+            id: 'indicator-1',
+            error: { message: 'Delete failed', code: 'SUBMISSION_FAILED' }
+          }
+        ]
+      });
+    });
+
+    test('should not roll back when Atomic Submission is disabled', async () => {
+      mockRequests({ failLink: true });
+
+      const {
+        results: [result]
+      } = await submitIOCs(submitParams, { ...atomicOptions, atomicSubmission: false });
+
+      expect(result).toMatchObject({ success: true, linkStatus: 'failed' });
+      expect(result).not.toHaveProperty('rollback');
+      expect(getVariables(DELETE_INDICATOR_MUTATION)).toBeUndefined();
+    });
+  });
+
+  describe('Duplicate IOCs', () => {
+    const existingIndicator = {
+      id: 'existing-indicator',
+      entity_type: 'Indicator',
+      name: 'example.com',
+      x_opencti_main_observable_type: 'Domain-Name',
+      objectLabel: [{ id: 'label-1', value: 'existing' }],
+      objectMarking: []
+    };
+
+    beforeEach(() => {
+      mockMakeOpenCTIRequest.mockImplementation(async (query) => {
+        if (query === CREATE_OBSERVABLE_MUTATION) {
+          return {
+            stixCyberObservableAdd: { id: 'observable-1', entity_type: 'Domain-Name' }
+          };
+        }
+        if (query === CREATE_INDICATOR_MUTATION) {
+          return { indicatorAdd: { id: 'indicator-1', entity_type: 'Indicator' } };
+        }
+        // Searches and the edits' refresh of the existing indicator
+        return { indicators: { edges: [{ node: existingIndicator }] } };
+      });
+    });
+
+    test('should search for existing IOCs with the exact match filters', async () => {
+      await submitIOCs(submitParams, options);
+
+      expect(getVariables(SEARCH_INDICATORS_AND_OBSERVABLES)).toMatchObject({
+        searchIndicators: true,
+        searchObservables: true,
+        filters: {
+          filters: expect.arrayContaining([
+            expect.objectContaining({ key: 'value', values: ['example.com'] })
+          ])
+        }
+      });
+    });
+
+    test('should skip existing IOCs by default', async () => {
+      const {
+        results: [result]
+      } = await submitIOCs(submitParams, options);
+
+      expect(result).toMatchObject({
+        success: true,
+        createdIndicator: { id: 'existing-indicator' },
+        createdObservable: { id: 'observable-1' },
+        duplicates: [
+          {
+            type: 'indicator',
+            id: 'existing-indicator',
+            webLink:
+              'https://test-opencti.com/dashboard/observations/indicators/existing-indicator',
+            action: 'skipped'
+          }
+        ]
+      });
+      expect(getVariables(CREATE_INDICATOR_MUTATION)).toBeUndefined();
+    });
+
+    test('should not treat IOCs of another type with the same value as duplicates', async () => {
+      mockMakeOpenCTIRequest.mockImplementation(async (query) =>
+        query === SEARCH_INDICATORS_AND_OBSERVABLES
+          ? {
+              indicators: {
+                edges: [
+                  {
+                    node: {
+                      ...existingIndicator,
+                      x_opencti_main_observable_type: 'Hostname'
+                    }
+                  }
+                ]
+              },
+              observables: {
+                edges: [{ node: { id: 'hostname-1', entity_type: 'Hostname' } }]
+              }
+            }
+          : query === CREATE_INDICATOR_MUTATION
+          ? { indicatorAdd: { id: 'indicator-1', entity_type: 'Indicator' } }
+          : {
+              stixCyberObservableAdd: { id: 'observable-1', entity_type: 'Domain-Name' }
+            }
+      );
+
+      const {
+        results: [result]
+      } = await submitIOCs(submitParams, options);
+
+      expect(result).toMatchObject({
+        createdIndicator: { id: 'indicator-1' },
+        createdObservable: { id: 'observable-1' },
+        duplicates: []
+      });
+    });
+
+    test('should not link skipped indicators to the submitted vulnerabilities', async () => {
+      const {
+        results: [result]
+      } = await submitIOCs(
+        {
+          ...submitParams,
+          iocsToEditAndCreate: [
+            { ...ioc, __submitAsObservable: false },
+            {
+              id: 'vulnerability-1',
+              entityValue: 'CVE-2021-44228',
+              entityType: 'cve',
+              isVulnerability: true
+            }
+          ]
+        },
+        options
+      );
+
+      expect(result).toMatchObject({
+        duplicates: [expect.objectContaining({ action: 'skipped' })],
+        linkStatus: 'not_linked'
+      });
+      expect(
+        getVariables(LINK_INDICATOR_AND_VULNERABILITY_BY_ID_MUTATION)
+      ).toBeUndefined();
+    });
+
+    test('should update existing IOCs when On Duplicate is update', async () => {
+      const {
+        results: [result]
+      } = await submitIOCs(
+        { ...submitParams, labels: ['label-2'] },
+        { ...options, onDuplicate: { value: 'update', display: 'Update' } }
+      );
+
+      expect(result.duplicates).toEqual([
+        expect.objectContaining({ id: 'existing-indicator', action: 'updated' })
+      ]);
+      expect(getVariables(EDIT_INDICATOR_SCORE)).toEqual({
+        id: 'existing-indicator',
+        score: 50
+      });
+      // Only the new label is added so the existing label is kept
+      expect(getVariables(EDIT_INDICATOR_ADD_LABEL)).toEqual({
+        id: 'existing-indicator',
+        labelId: 'label-2'
+      });
+      expect(getVariables(CREATE_INDICATOR_MUTATION)).toBeUndefined();
+    });
+
+    test('should apply the indicator fields to existing indicators', async () => {
+      await submitIOCs(
+        { ...submitParams, confidence: '80', indicatorTypes: ['malicious-activity'] },
+        { ...options, onDuplicate: 'update' }
+      );
+
+      expect(getVariables(EDIT_INDICATOR_FIELDS)).toEqual({
+        id: 'existing-indicator',
+        input: [
+          { key: 'confidence', value: [80] },
+          { key: 'indicator_types', value: ['malicious-activity'] }
+        ]
+      });
+    });
+
+    test('should create IOCs without searching when On Duplicate is create', async () => {
+      const {
+        results: [result]
+      } = await submitIOCs(submitParams, { ...options, onDuplicate: 'create' });
+
+      expect(result).toMatchObject({
+        createdIndicator: { id: 'indicator-1' },
+        duplicates: []
+      });
+      expect(getVariables(SEARCH_INDICATORS_AND_OBSERVABLES)).toBeUndefined();
+    });
+  });
+
+  describe('Vulnerabilities', () => {
+    const indicatorIoc = { ...ioc, __submitAsObservable: false };
+    const cveIoc = {
+      entityValue: 'cve-2021-44228',
+      entityType: 'cve',
+      __submitAsVulnerability: true
+    };
+
+    const mockRequests = ({ failLink = false, existingVulnerability = false } = {}) =>
+      mockMakeOpenCTIRequest.mockImplementation(async (query) => {
+        if (query === buildSearchVulnerabilitiesQuery(1) && existingVulnerability) {
+          return {
+            vulnerabilities0: {
+              edges: [
+                {
+                  node: {
+                    id: 'vulnerability-1',
+                    entity_type: 'Vulnerability',
+                    name: 'CVE-2021-44228'
+                  }
+                }
+              ]
+            }
+          };
+        }
+        if (query === CREATE_INDICATOR_MUTATION) {
+          return { indicatorAdd: { id: 'indicator-1', entity_type: 'Indicator' } };
+        }
+        if (query === CREATE_VULNERABILITY_MUTATION) {
+          return {
+            vulnerabilityAdd: {
+              id: 'vulnerability-1',
+              entity_type: 'Vulnerability',
+              name: 'CVE-2021-44228'
+            }
+          };
+        }
+        if (query === LINK_INDICATOR_AND_VULNERABILITY_BY_ID_MUTATION && failLink) {
+          throw new Error('Link failed');
+        }
+        return {};
+      });
+
+    test('should create a vulnerability and link the submitted indicators to it', async () => {
+      mockRequests();
+
+      const { createdIocs, results } = await submitIOCs(
+        { ...submitParams, iocsToEditAndCreate: [indicatorIoc, cveIoc] },
+        options
+      );
+
+      expect(getVariables(CREATE_VULNERABILITY_MUTATION)).toMatchObject({
+        name: 'CVE-2021-44228',
+        description: 'test'
+      });
+      expect(getVariables(LINK_INDICATOR_AND_VULNERABILITY_BY_ID_MUTATION)).toEqual({
+        indicatorId: 'indicator-1',
+        vulnerabilityId: 'vulnerability-1'
+      });
+      expect(createdIocs.map(({ id }) => id)).toEqual(['indicator-1', 'vulnerability-1']);
+      expect(results).toEqual([
+        expect.objectContaining({ success: true, linkStatus: 'linked' }),
+        expect.objectContaining({
+          success: true,
+          createdVulnerability: expect.objectContaining({
+            id: 'vulnerability-1',
+            isVulnerability: true
+          })
+        })
+      ]);
+    });
+
+    test('should link the submitted indicators to vulnerabilities found in OpenCTI', async () => {
+      mockRequests();
+
+      const { results } = await submitIOCs(
+        {
+          ...submitParams,
+          iocsToEditAndCreate: [
+            indicatorIoc,
+            {
+              id: 'vulnerability-2',
+              entityValue: 'CVE-2021-44228',
+              entityType: 'cve',
+              foundInOpenCTI: true,
+              isVulnerability: true
+            }
+          ]
+        },
+        options
+      );
+
+      expect(getVariables(CREATE_VULNERABILITY_MUTATION)).toBeUndefined();
+      expect(getVariables(LINK_INDICATOR_AND_VULNERABILITY_BY_ID_MUTATION)).toEqual({
+        indicatorId: 'indicator-1',
+        vulnerabilityId: 'vulnerability-2'
+      });
+      expect(results).toEqual([expect.objectContaining({ linkStatus: 'linked' })]);
+    });
+
+    test('should report a failed vulnerability link without failing the IOC', async () => {
+      mockRequests({ failLink: true });
+
+      const {
+        results: [result]
+      } = await submitIOCs(
+        { ...submitParams, iocsToEditAndCreate: [indicatorIoc, cveIoc] },
+        options
+      );
+
+      expect(result).toMatchObject({
+        success: true,
+        linkStatus: 'failed',
+        linkError: { message: 'Link failed', code: 'SUBMISSION_FAILED' }
+      });
+    });
+
+    test('should roll back an indicator which could not be linked under Atomic Submission', async () => {
+      mockRequests({ failLink: true });
+
+      const { createdIocs, results } = await submitIOCs(
+        { ...submitParams, iocsToEditAndCreate: [indicatorIoc, cveIoc] },
+        { ...options, atomicSubmission: true }
+      );
+
+      expect(getVariables(DELETE_INDICATOR_MUTATION)).toEqual({ id: 'indicator-1' });
+      expect(createdIocs.map(({ id }) => id)).toEqual(['vulnerability-1']);
+      expect(results).toEqual([
+        expect.objectContaining({
+          success: false,
+          createdIndicator: null,
+          linkStatus: 'failed',
+          error: { message: 'Link failed', code: 'SUBMISSION_FAILED' },
+          rollback: {
+            rolledBack: [{ type: 'indicator', id: 'indicator-1' }],
+            notRolledBack: []
+          }
+        }),
+        expect.objectContaining({ success: true })
+      ]);
+    });
+
+    test('should not roll back a vulnerability which already existed in OpenCTI', async () => {
+      mockRequests({ failLink: true, existingVulnerability: true });
+
+      const { createdIocs, results } = await submitIOCs(
+        { ...submitParams, iocsToEditAndCreate: [indicatorIoc, cveIoc] },
+        { ...options, atomicSubmission: true }
+      );
+
+      expect(getVariables(buildSearchVulnerabilitiesQuery(1))).toMatchObject({
+        search0: '"cve-2021-44228"'
+      });
+      expect(getVariables(DELETE_VULNERABILITY_MUTATION)).toBeUndefined();
+      expect(createdIocs.map(({ id }) => id)).toEqual(['vulnerability-1']);
+      expect(results[1]).toMatchObject({
+        success: true,
+        createdVulnerability: { id: 'vulnerability-1' },
+        duplicates: [
+          {
+            type: 'vulnerability',
+            id: 'vulnerability-1',
+            webLink: expect.any(String),
+            action: 'updated'
+          }
+        ]
+      });
+    });
+  });
+
+  test.each([
+    [{ validFrom: '2030-06-01', validUntil: '2030-01-01' }, 'INVALID_DATE_RANGE'],
+    [{ validUntil: '2000-01-01' }, 'INVALID_DATE_RANGE'],
+    [{ validFrom: 'not a date' }, 'INVALID_DATE'],
+    [{ confidence: 101 }, 'INVALID_CONFIDENCE'],
+    [{ indicatorTypes: 'malicious-activity' }, 'INVALID_INDICATOR_TYPES']
+  ])('should reject invalid indicator fields %o', async (fields, code) => {
+    await expect(
+      submitIOCs({ ...submitParams, ...fields }, options)
+    ).rejects.toMatchObject({ name: 'ValidationError', meta: { code } });
+    expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+  });
+});
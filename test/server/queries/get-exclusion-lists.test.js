@@ -0,0 +1,132 @@
+/**
+ * Test Suite: OpenCTI Exclusion Lists Query
+ */
+
+const mockMakeOpenCTIRequest = jest.fn();
+const mockRequestWithDefaults = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  makeOpenCTIRequest: (...args) => mockMakeOpenCTIRequest(...args)
+}));
+
+jest.mock('../../../server/core/request', () => ({
+  ...jest.requireActual('../../../server/core/request'),
+  requestWithDefaults: (...args) => mockRequestWithDefaults(...args)
+}));
+
+const { getExclusionListMatch } = require('../../../server/core/exclusionList');
+
+describe('OpenCTI Exclusion Lists Query', () => {
+  const options = { url: 'https://demo.opencti.io', apiKey: 'test-api-key-123' };
+  let getExclusionListRules;
+
+  beforeEach(() => {
+    mockMakeOpenCTIRequest.mockReset();
+    mockRequestWithDefaults.mockReset();
+
+    // Each test starts with an empty exclusion list cache
+    jest.isolateModules(() => {
+      ({
+        getExclusionListRules
+      } = require('../../../server/queries/get-exclusion-lists'));
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should build rules from the enabled exclusion list files', async () => {
+    mockMakeOpenCTIRequest.mockResolvedValue({
+      exclusionLists: {
+        edges: [
+          {
+            node: {
+              name: 'Cloud IPs',
+              enabled: true,
+              exclusion_list_entity_types: ['IPv4-Addr'],
+              file_id: 'exclusionLists/cloud.txt'
+            }
+          },
+          {
+            node: {
+              name: 'Disabled',
+              enabled: false,
+              exclusion_list_entity_types: [],
+              file_id: 'exclusionLists/disabled.txt'
+            }
+          }
+        ]
+      }
+    });
+    mockRequestWithDefaults.mockResolvedValue({ body: '52.0.0.0/8\n3.5.0.0/16\n' });
+
+    const rules = await getExclusionListRules(options);
+
+    expect(mockRequestWithDefaults).toHaveBeenCalledTimes(1);
+    expect(mockRequestWithDefaults.mock.calls[0][0].uri).toBe(
+      'https://demo.opencti.io/storage/get/exclusionLists%2Fcloud.txt'
+    );
+    expect(getExclusionListMatch('52.1.2.3', rules, 'IPv4-Addr')).toMatchObject({
+      entry: '52.0.0.0/8',
+      listName: 'Cloud IPs'
+    });
+    expect(getExclusionListMatch('52.1.2.3', rules, 'IPv6-Addr')).toBeUndefined();
+
+    // Subsequent lookups use the cached rules
+    await getExclusionListRules(options);
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should cache the exclusion lists of each API Key separately', async () => {
+    mockMakeOpenCTIRequest.mockResolvedValue({ exclusionLists: { edges: [] } });
+
+    await getExclusionListRules(options);
+    await getExclusionListRules({ ...options, userApiKey: 'user-api-key' });
+
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test('should stop waiting for exclusion list files at the lookup deadline', async () => {
+    jest.useFakeTimers();
+    mockMakeOpenCTIRequest.mockResolvedValue({
+      exclusionLists: {
+        edges: [
+          {
+            node: {
+              name: 'Cloud IPs',
+              enabled: true,
+              exclusion_list_entity_types: [],
+              file_id: 'exclusionLists/cloud.txt'
+            }
+          }
+        ]
+      }
+    });
+    mockRequestWithDefaults.mockReturnValue(new Promise(() => {}));
+
+    const rules = getExclusionListRules({ ...options, lookupTimeout: 5 });
+    await jest.advanceTimersByTimeAsync(5000);
+
+    await expect(rules).resolves.toEqual([]);
+    expect(mockRequestWithDefaults.mock.calls[0][0].timeout).toBe(5000);
+  });
+
+  test('should not check exclusion lists when OpenCTI does not support them', async () => {
+    const error = new Error('Cannot query field "exclusionLists" on type "Query"');
+    error.originalError = { body: { errors: [{ message: error.message }] } };
+    mockMakeOpenCTIRequest.mockRejectedValue(error);
+
+    await expect(getExclusionListRules(options)).resolves.toEqual([]);
+    await expect(getExclusionListRules(options)).resolves.toEqual([]);
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry on the next lookup after a network error', async () => {
+    mockMakeOpenCTIRequest.mockRejectedValue(new Error('ECONNRESET'));
+
+    await expect(getExclusionListRules(options)).resolves.toEqual([]);
+    await expect(getExclusionListRules(options)).resolves.toEqual([]);
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Test Suite: OpenCTI Markings Query
+ */
+
+const mockMakeOpenCTIRequest = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  makeOpenCTIRequest: (...args) => mockMakeOpenCTIRequest(...args)
+}));
+
+const {
+  getMarkings,
+  clearMarkingsCache
+} = require('../../../server/queries/get-markings');
+const refreshMarkings = require('../../../server/onMessage/refreshMarkings');
+
+describe('OpenCTI Markings Query', () => {
+  const options = { url: 'https://demo.opencti.io', apiKey: 'test-api-key-123' };
+
+  const markingsResponse = (definitions) => ({
+    me: {
+      allowed_marking: definitions.map((definition) => ({
+        id: `marking-${definition}`,
+        definition
+      }))
+    }
+  });
+
+  beforeEach(() => {
+    clearMarkingsCache();
+    mockMakeOpenCTIRequest.mockReset();
+  });
+
+  test('should cache markings per instance and API key', async () => {
+    mockMakeOpenCTIRequest
+      .mockResolvedValueOnce(markingsResponse(['TLP:CLEAR']))
+      .mockResolvedValueOnce(markingsResponse(['TLP:CLEAR', 'TLP:RED']))
+      .mockResolvedValueOnce(markingsResponse(['TLP:GREEN']));
+
+    const clearanceMarkings = await getMarkings(options);
+    const otherUserMarkings = await getMarkings({ ...options, apiKey: 'other-key' });
+    const otherInstanceMarkings = await getMarkings({
+      ...options,
+      url: 'https://other.opencti.io'
+    });
+
+    expect(clearanceMarkings.map(({ definition }) => definition)).toEqual(['TLP:CLEAR']);
+    expect(otherUserMarkings.map(({ definition }) => definition)).toEqual([
+      'TLP:CLEAR',
+      'TLP:RED'
+    ]);
+    expect(otherInstanceMarkings.map(({ definition }) => definition)).toEqual([
+      'TLP:GREEN'
+    ]);
+
+    await expect(getMarkings(options)).resolves.toEqual(clearanceMarkings);
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not cache markings that could not be retrieved', async () => {
+    mockMakeOpenCTIRequest
+      .mockResolvedValueOnce({ me: null })
+      .mockResolvedValueOnce(markingsResponse(['TLP:CLEAR']));
+
+    await expect(getMarkings(options)).resolves.toBeUndefined();
+    await expect(getMarkings(options)).resolves.toHaveLength(1);
+  });
+
+  test('should reload the markings from OpenCTI when refreshed', async () => {
+    mockMakeOpenCTIRequest
+      .mockResolvedValueOnce(markingsResponse(['TLP:CLEAR']))
+      .mockResolvedValueOnce(markingsResponse(['TLP:CLEAR', 'TLP:AMBER']));
+
+    await getMarkings(options);
+    const { markings } = await refreshMarkings({}, options);
+
+    expect(markings.map(({ definition }) => definition)).toEqual([
+      'TLP:CLEAR',
+      'TLP:AMBER'
+    ]);
+    await expect(getMarkings(options)).resolves.toEqual(markings);
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(2);
+  });
+});
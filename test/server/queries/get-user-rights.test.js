@@ -0,0 +1,70 @@
+/**
+ * Test Suite: OpenCTI User Rights Query
+ */
+
+const mockMakeOpenCTIRequest = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  makeOpenCTIRequest: (...args) => mockMakeOpenCTIRequest(...args)
+}));
+
+const {
+  getUserRights,
+  clearUserRightsCache
+} = require('../../../server/queries/get-user-rights');
+
+describe('OpenCTI User Rights Query', () => {
+  const options = { url: 'https://demo.opencti.io', apiKey: 'test-api-key-123' };
+
+  const userRightsResponse = (capabilities, organizationIds = []) => ({
+    me: {
+      id: 'user-1',
+      capabilities: capabilities.map((name) => ({ name })),
+      objectOrganization: {
+        edges: organizationIds.map((id) => ({ node: { id, name: id } }))
+      }
+    }
+  });
+
+  beforeEach(() => {
+    clearUserRightsCache();
+    mockMakeOpenCTIRequest.mockReset();
+  });
+
+  test('should return the capabilities and organizations of the user', async () => {
+    mockMakeOpenCTIRequest.mockResolvedValue(
+      userRightsResponse(['KNOWLEDGE', 'KNOWLEDGE_KNUPDATE'], ['org-1'])
+    );
+
+    await expect(getUserRights(options)).resolves.toEqual({
+      capabilities: ['KNOWLEDGE', 'KNOWLEDGE_KNUPDATE'],
+      organizationIds: ['org-1']
+    });
+  });
+
+  test('should cache the rights per instance and API key', async () => {
+    mockMakeOpenCTIRequest
+      .mockResolvedValueOnce(userRightsResponse(['KNOWLEDGE']))
+      .mockResolvedValueOnce(userRightsResponse(['BYPASS']));
+
+    const userRights = await getUserRights(options);
+    const otherUserRights = await getUserRights({ ...options, apiKey: 'other-key' });
+
+    expect(userRights.capabilities).toEqual(['KNOWLEDGE']);
+    expect(otherUserRights.capabilities).toEqual(['BYPASS']);
+    await expect(getUserRights(options)).resolves.toEqual(userRights);
+    expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not fail or cache when the rights cannot be retrieved', async () => {
+    mockMakeOpenCTIRequest
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce(userRightsResponse(['KNOWLEDGE']));
+
+    await expect(getUserRights(options)).resolves.toBeUndefined();
+    await expect(getUserRights(options)).resolves.toEqual({
+      capabilities: ['KNOWLEDGE'],
+      organizationIds: []
+    });
+  });
+});
@@ -0,0 +1,390 @@
+/**
+ * Test Suite: Batched OpenCTI Indicators and Observables Search
+ */
+
+const mockMakeOpenCTIRequestsInParallel = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  makeOpenCTIRequestsInParallel: (...args) => mockMakeOpenCTIRequestsInParallel(...args)
+}));
+
+jest.mock('../../../server/queries/get-exclusion-lists', () => ({
+  getExclusionListRules: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../../server/queries/get-user-rights', () => ({
+  getUserRights: jest.fn().mockResolvedValue(undefined)
+}));
+
+const {
+  searchIndicatorsAndObservables
+} = require('../../../server/queries/search-indicators-and-observables');
+const { clearLookupCache } = require('../../../server/core/lookupCache');
+const { getUserRights } = require('../../../server/queries/get-user-rights');
+const { getExclusionListRules } = require('../../../server/queries/get-exclusion-lists');
+const { TimeoutError } = require('../../../server/errorHandling/opencti-errors');
+
+const createEntity = (index) => ({
+  value: `host${index}.example.com`,
+  type: 'domain',
+  types: ['domain'],
+  isDomain: true
+});
+
+const createIndicator = (entity) => ({
+  id: `indicator--${entity.value}`,
+  entity_type: 'Indicator',
+  name: entity.value,
+  pattern: `[domain-name:value = '${entity.value}']`,
+  objectLabel: [],
+  objectMarking: []
+});
+
+// Responds to each aliased request with an indicator for every entity searched
+const respondWithIndicators = (requests) =>
+  Promise.resolve(
+    requests.map(({ variables }) =>
+      Object.keys(variables)
+        .filter((key) => key.startsWith('search'))
+        .reduce((agg, key) => {
+          const index = key.replace('search', '');
+          const value = variables[key].replace(/"/g, '');
+          return {
+            ...agg,
+            [`indicators${index}`]: { edges: [{ node: createIndicator({ value }) }] },
+            [`observables${index}`]: { edges: [] }
+          };
+        }, {})
+    )
+  );
+
+describe('Batched OpenCTI Indicators and Observables Search', () => {
+  const options = {
+    url: 'https://demo.opencti.io',
+    apiKey: 'test-api-key',
+    exactMatchSearching: true
+  };
+
+  beforeEach(() => {
+    clearLookupCache();
+    mockMakeOpenCTIRequestsInParallel.mockReset();
+    mockMakeOpenCTIRequestsInParallel.mockImplementation(respondWithIndicators);
+  });
+
+  test('should search for entities in chunks of aliased queries', async () => {
+    const entities = [...Array(23).keys()].map(createEntity);
+
+    await searchIndicatorsAndObservables(entities, {
+      ...options,
+      maxConcurrentRequests: 2
+    });
+
+    expect(mockMakeOpenCTIRequestsInParallel).toHaveBeenCalledTimes(1);
+
+    const [requests, , limit] = mockMakeOpenCTIRequestsInParallel.mock.calls[0];
+    expect(limit).toBe(2);
+    expect(requests.map(({ variables }) => Object.keys(variables).length)).toEqual([
+      20, 20, 6
+    ]);
+    expect(requests[2].query).toContain('indicators2: indicators(');
+    expect(requests[2].query).toContain('observables2: stixCyberObservables(');
+    expect(requests[2].query).not.toContain('indicators3:');
+    expect(requests[2].variables).toMatchObject({
+      search0: '"host20.example.com"',
+      filters0: {
+        mode: 'or',
+        filters: expect.arrayContaining([
+          expect.objectContaining({ key: 'value', values: ['host20.example.com'] })
+        ])
+      }
+    });
+  });
+
+  test('should split the aliased results back out to each entity', async () => {
+    const entities = [...Array(12).keys()].map(createEntity);
+
+    const { unifiedSearchResults: results } = await searchIndicatorsAndObservables(
+      entities,
+      options
+    );
+
+    expect(results).toHaveLength(12);
+    results.forEach((result, index) => {
+      expect(result).toMatchObject({
+        id: `indicator--host${index}.example.com`,
+        entityValue: `host${index}.example.com`,
+        foundInOpenCTI: true
+      });
+    });
+  });
+
+  test('should only search for entities without cached results', async () => {
+    await searchIndicatorsAndObservables([createEntity(0), createEntity(1)], options);
+
+    const { unifiedSearchResults: results } = await searchIndicatorsAndObservables(
+      [createEntity(0), createEntity(1), createEntity(2)],
+      options
+    );
+
+    expect(mockMakeOpenCTIRequestsInParallel).toHaveBeenCalledTimes(2);
+    const [requests] = mockMakeOpenCTIRequestsInParallel.mock.calls[1];
+    expect(requests).toHaveLength(1);
+    expect(requests[0].variables).toEqual({
+      search0: '"host2.example.com"',
+      filters0: expect.any(Object)
+    });
+    expect(results.map(({ id }) => id)).toEqual([
+      'indicator--host0.example.com',
+      'indicator--host1.example.com',
+      'indicator--host2.example.com'
+    ]);
+  });
+
+  test('should return a not found result for entities missing from the response', async () => {
+    mockMakeOpenCTIRequestsInParallel.mockResolvedValue([{}]);
+
+    const { unifiedSearchResults: results } = await searchIndicatorsAndObservables(
+      [createEntity(0)],
+      options
+    );
+
+    expect(results).toEqual([
+      expect.objectContaining({ foundInOpenCTI: false, entityValue: 'host0.example.com' })
+    ]);
+  });
+
+  test('should mark entities whose request timed out and not cache them', async () => {
+    const entities = [...Array(11).keys()].map(createEntity);
+    mockMakeOpenCTIRequestsInParallel.mockImplementationOnce(async (requests) => {
+      const [firstResponse] = await respondWithIndicators(requests);
+      return [
+        firstResponse,
+        new TimeoutError('OpenCTI did not respond within 30 seconds')
+      ];
+    });
+
+    const { unifiedSearchResults: results } = await searchIndicatorsAndObservables(
+      entities,
+      options
+    );
+
+    expect(results).toHaveLength(11);
+    expect(results.slice(0, 10).every((result) => result.foundInOpenCTI)).toBe(true);
+    expect(results[10]).toMatchObject({
+      foundInOpenCTI: false,
+      entityValue: 'host10.example.com',
+      timedOut: true
+    });
+
+    await searchIndicatorsAndObservables(entities, options);
+
+    const [requests] = mockMakeOpenCTIRequestsInParallel.mock.calls[1];
+    expect(requests).toHaveLength(1);
+    expect(requests[0].variables.search0).toBe('"host10.example.com"');
+  });
+
+  test('should share one lookup deadline between all of its requests', async () => {
+    const lookupStartedAt = Date.now();
+
+    await searchIndicatorsAndObservables([createEntity(0)], {
+      ...options,
+      lookupTimeout: 5
+    });
+
+    const [, { deadline }] = getExclusionListRules.mock.lastCall;
+    expect(deadline).toBeGreaterThanOrEqual(lookupStartedAt + 5000);
+    expect(getUserRights.mock.lastCall[1]).toEqual({ deadline });
+    expect(mockMakeOpenCTIRequestsInParallel.mock.lastCall[3]).toEqual({ deadline });
+  });
+
+  test('should only allow changes the OpenCTI user has the rights for', async () => {
+    getUserRights.mockResolvedValueOnce({
+      capabilities: ['KNOWLEDGE', 'KNOWLEDGE_KNUPDATE'],
+      organizationIds: []
+    });
+
+    const { unifiedSearchResults: results } = await searchIndicatorsAndObservables(
+      [createEntity(0)],
+      { ...options, deletionPermissions: ['indicators'] }
+    );
+
+    expect(results[0]).toMatchObject({ canEdit: true, canDelete: false });
+  });
+
+  describe('Search Return Types and Search Behavior', () => {
+    const entity = createEntity(0);
+
+    beforeEach(() => {
+      mockMakeOpenCTIRequestsInParallel.mockResolvedValue([
+        {
+          indicators0: {
+            edges: [
+              { node: { ...createIndicator(entity), x_opencti_score: 20 } },
+              {
+                node: {
+                  ...createIndicator({ value: 'HOST0.example.com' }),
+                  id: 'indicator--uppercase',
+                  x_opencti_score: 90
+                }
+              }
+            ]
+          },
+          observables0: {
+            edges: [
+              {
+                node: {
+                  id: 'observable--host0',
+                  entity_type: 'Domain-Name',
+                  observable_value: entity.value,
+                  x_opencti_score: 60,
+                  objectLabel: [],
+                  objectMarking: []
+                }
+              }
+            ]
+          }
+        }
+      ]);
+    });
+
+    const search = async (searchOptions) =>
+      (await searchIndicatorsAndObservables([entity], { ...options, ...searchOptions }))
+        .unifiedSearchResults;
+
+    test('should only search the selected types', async () => {
+      const [searchResults] = await mockMakeOpenCTIRequestsInParallel();
+      mockMakeOpenCTIRequestsInParallel.mockResolvedValueOnce([
+        { observables0: searchResults.observables0 }
+      ]);
+
+      const results = await search({ searchReturnTypes: [{ value: 'observables' }] });
+
+      const [[request]] = mockMakeOpenCTIRequestsInParallel.mock.calls[1];
+      expect(request.query).toContain('observables0:');
+      expect(request.query).not.toContain('indicators0:');
+      expect(results.map(({ id }) => id)).toEqual(['observable--host0']);
+    });
+
+    test('should drop results with different casing when case sensitive', async () => {
+      const results = await search({ searchBehavior: [{ value: 'case_sensitive' }] });
+
+      expect(results.map(({ id }) => id)).not.toContain('indicator--uppercase');
+      expect(results).toHaveLength(2);
+    });
+
+    test('should sort results by score', async () => {
+      const results = await search({ searchBehavior: [{ value: 'sort_by_score' }] });
+
+      expect(results.map(({ score }) => score)).toEqual([90, 60, 20]);
+    });
+
+    test('should search with the exact match filters when exact match only', async () => {
+      await search({
+        exactMatchSearching: false,
+        searchBehavior: [{ value: 'exact_match_only' }]
+      });
+
+      const [[request]] = mockMakeOpenCTIRequestsInParallel.mock.calls[0];
+      expect(request.variables.filters0.filters).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ key: 'value', operator: 'eq' })
+        ])
+      );
+    });
+  });
+
+  describe('Custom Entity Types', () => {
+    test('should search for autonomous systems by number', async () => {
+      const asnEntity = { value: 'AS15169', type: 'custom', types: ['custom.asn'] };
+
+      await searchIndicatorsAndObservables([asnEntity], options);
+
+      const [[request]] = mockMakeOpenCTIRequestsInParallel.mock.calls[0];
+      expect(request.variables.search0).toBe('"15169"');
+      expect(request.variables.filters0.filters).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ key: 'number', operator: 'eq', values: ['15169'] })
+        ])
+      );
+    });
+  });
+
+  describe('CVE Entities', () => {
+    const cveEntity = { value: 'CVE-2021-44228', type: 'cve', types: ['cve'] };
+
+    test('should search for the vulnerabilities of CVE entities', async () => {
+      mockMakeOpenCTIRequestsInParallel.mockImplementation((requests) =>
+        requests[0].query.includes('vulnerabilities0:')
+          ? Promise.resolve([
+              {
+                vulnerabilities0: {
+                  edges: [
+                    {
+                      node: {
+                        id: 'vulnerability--log4shell',
+                        entity_type: 'Vulnerability',
+                        name: 'CVE-2021-44228',
+                        description: 'Log4Shell',
+                        x_opencti_cvss_base_score: 10,
+                        x_opencti_cvss_base_severity: 'CRITICAL',
+                        linkedIndicators: { pageInfo: { globalCount: 3 } },
+                        objectLabel: [],
+                        objectMarking: []
+                      }
+                    }
+                  ]
+                }
+              }
+            ])
+          : respondWithIndicators(requests)
+      );
+
+      const { unifiedSearchResults: results } = await searchIndicatorsAndObservables(
+        [createEntity(0), cveEntity],
+        options
+      );
+
+      const queries = mockMakeOpenCTIRequestsInParallel.mock.calls.map(
+        ([[request]]) => request
+      );
+      const vulnerabilityRequest = queries.find(({ query }) =>
+        query.includes('vulnerabilities0:')
+      );
+      expect(queries).toHaveLength(2);
+      expect(vulnerabilityRequest.query).not.toContain('indicators0:');
+      expect(vulnerabilityRequest.variables.search0).toBe('"CVE-2021-44228"');
+
+      expect(results).toEqual([
+        expect.objectContaining({ isIndicator: true, entityValue: 'host0.example.com' }),
+        expect.objectContaining({
+          id: 'vulnerability--log4shell',
+          isVulnerability: true,
+          foundInOpenCTI: true,
+          entityType: 'cve',
+          cvssScore: 10,
+          cvssSeverity: 'CRITICAL',
+          linkedIndicatorsCount: 3,
+          webLink:
+            'https://demo.opencti.io/dashboard/arsenal/vulnerabilities/vulnerability--log4shell'
+        })
+      ]);
+    });
+
+    test('should return CVEs without a vulnerability as new vulnerabilities', async () => {
+      mockMakeOpenCTIRequestsInParallel.mockResolvedValue([{}]);
+
+      const { unifiedSearchResults: results } = await searchIndicatorsAndObservables(
+        [cveEntity],
+        options
+      );
+
+      expect(results).toEqual([
+        expect.objectContaining({
+          foundInOpenCTI: false,
+          entityType: 'cve',
+          openCtiTypeHuman: 'Vulnerability'
+        })
+      ]);
+    });
+  });
+});
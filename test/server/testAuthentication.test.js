@@ -3,7 +3,12 @@
  * Ensures Phase 1 coverage requirements are met
  */
 
-const { tryAuthentication, validateAuthConfig, TEST_AUTH_QUERY } = require('../../server/core/tryAuthentication');
+const {
+  tryAuthentication,
+  getMissingCapabilities,
+  validateAuthConfig,
+  TEST_AUTH_QUERY
+} = require('../../server/core/tryAuthentication');
 
 describe('OpenCTI Authentication Testing Module', () => {
   describe('tryAuthentication Function', () => {
@@ -151,6 +156,62 @@ describe('OpenCTI Authentication Testing Module', () => {
           help: 'Check that OpenCTI is running and accessible on the specified port. Contact your administrator if needed.'
         });
       });
+
+      it('should check the original error of wrapped request errors', async () => {
+        const requestError = new Error('Request failed');
+        requestError.originalError = new Error('getaddrinfo ENOTFOUND opencti.example.com');
+
+        const mockRequestFunction = jest.fn().mockRejectedValue(requestError);
+
+        const result = await tryAuthentication(mockOptions, mockRequestFunction, mockLogger);
+
+        expect(result.error).toBe('NETWORK_ERROR');
+        expect(result.detail).toBe('getaddrinfo ENOTFOUND opencti.example.com');
+        expect(result.message).toContain('Cannot find the OpenCTI server');
+      });
+
+      it('should point SSL certificate errors at the TLS options', async () => {
+        const requestError = new Error('Request failed');
+        requestError.originalError = Object.assign(
+          new Error('unable to get local issuer certificate'),
+          { code: 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY' }
+        );
+
+        const mockRequestFunction = jest.fn().mockRejectedValue(requestError);
+
+        const result = await tryAuthentication(mockOptions, mockRequestFunction, mockLogger);
+
+        expect(result.error).toBe('SSL_ERROR');
+        expect(result.optionKey).toBe('caBundlePath');
+        expect(result.help).toContain('CA Bundle Path');
+      });
+    });
+
+    describe('Capabilities', () => {
+      it('should return the capability names of the user', async () => {
+        const mockRequestFunction = jest.fn().mockResolvedValue({
+          me: {
+            id: 'user-123',
+            capabilities: [{ name: 'KNOWLEDGE' }, { name: 'KNOWLEDGE_KNUPDATE' }]
+          }
+        });
+
+        const result = await tryAuthentication(mockOptions, mockRequestFunction, mockLogger);
+
+        expect(result.capabilities).toEqual(['KNOWLEDGE', 'KNOWLEDGE_KNUPDATE']);
+      });
+
+      it('should get the capabilities missing for creating and editing', () => {
+        expect(getMissingCapabilities(['KNOWLEDGE'])).toEqual(['KNOWLEDGE_KNUPDATE']);
+        expect(getMissingCapabilities(['KNOWLEDGE_KNUPDATE'])).toEqual([]);
+      });
+
+      it('should require the delete capability when deletion is enabled', () => {
+        expect(getMissingCapabilities(['KNOWLEDGE_KNUPDATE'], { deletion: true })).toEqual([
+          'KNOWLEDGE_KNUPDATE_KNDELETE'
+        ]);
+        expect(getMissingCapabilities(['BYPASS'], { deletion: true })).toEqual([]);
+      });
     });
 
     describe('Invalid Responses', () => {
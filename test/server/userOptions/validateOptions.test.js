@@ -6,6 +6,13 @@
 
 const { describe, test, expect, beforeEach } = require('@jest/globals');
 
+const mockMakeOpenCTIRequest = jest.fn();
+
+jest.mock('../../../server/core', () => ({
+  ...jest.requireActual('../../../server/core'),
+  makeOpenCTIRequest: (...args) => mockMakeOpenCTIRequest(...args)
+}));
+
 const { validateOptions } = require('../../../server/userOptions');
 
 // Helper to promisify the callback-based function
@@ -19,6 +26,20 @@ const validateOptionsAsync = (options) => {
 };
 
 describe('validateOptions - OpenCTI IOC Submission Configuration', () => {
+  beforeEach(() => {
+    mockMakeOpenCTIRequest.mockReset();
+    mockMakeOpenCTIRequest.mockResolvedValue({
+      me: {
+        id: 'user-1',
+        name: 'Analyst',
+        capabilities: [
+          { name: 'KNOWLEDGE_KNUPDATE' },
+          { name: 'KNOWLEDGE_KNUPDATE_KNDELETE' }
+        ]
+      }
+    });
+  });
+
   describe('URL Validation - OpenCTI Instance', () => {
     test('should require URL for OpenCTI connection', async () => {
       const options = {
@@ -862,6 +883,321 @@ describe('validateOptions - OpenCTI IOC Submission Configuration', () => {
     });
   });
 
+  describe('Default Indicator Lifetimes Validation', () => {
+    test('should accept valid indicator lifetimes', async () => {
+      const options = {
+        url: { value: 'https://tc.example.com' },
+        apiKey: { value: 'test-api-key' },
+        indicatorLifetimes: { value: 'IPv4:30, domain:90, MD5:never' }
+      };
+
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([]);
+    });
+
+    test('should reject unsupported entity types and invalid lifetimes', async () => {
+      const options = {
+        url: { value: 'https://tc.example.com' },
+        apiKey: { value: 'test-api-key' },
+        indicatorLifetimes: { value: 'IPv4:thirty, cve:30' }
+      };
+
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([
+        {
+          key: 'indicatorLifetimes',
+          message: expect.stringMatching(/"IPv4:thirty".*"cve"/)
+        }
+      ]);
+    });
+
+    test('should accept lifetimes for custom and mapped entity types', async () => {
+      const options = {
+        url: { value: 'https://tc.example.com' },
+        apiKey: { value: 'test-api-key' },
+        indicatorLifetimes: { value: 'hostname:30, userAgent:never, ticket:7' },
+        customEntityTypeMappings: {
+          value: JSON.stringify({
+            ticket: { observableType: 'Text', stixPattern: "[x-ticket:value = '{value}']" }
+          })
+        }
+      };
+
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([]);
+    });
+  });
+
+  describe('Custom Entity Type Mappings Validation', () => {
+    test('should reject mappings to unsupported observable types', async () => {
+      const options = {
+        url: { value: 'https://tc.example.com' },
+        apiKey: { value: 'test-api-key' },
+        customEntityTypeMappings: {
+          value: '{"ticket": {"observableType": "Ticket", "stixPattern": "[x:value = \'{value}\']"}}'
+        }
+      };
+
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([
+        {
+          key: 'customEntityTypeMappings',
+          message: expect.stringMatching(/"ticket" observable type must be one of/)
+        }
+      ]);
+    });
+  });
+
+  describe('Max Concurrent Requests Validation', () => {
+    test('should accept a concurrency limit between 1 and 50', async () => {
+      const options = {
+        url: { value: 'https://tc.example.com' },
+        apiKey: { value: 'test-api-key' },
+        maxConcurrentRequests: { value: 10 }
+      };
+
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([]);
+    });
+
+    test('should reject concurrency limits outside of 1 to 50', async () => {
+      for (const maxConcurrentRequests of [0, 51, 2.5]) {
+        const options = {
+          url: { value: 'https://tc.example.com' },
+          apiKey: { value: 'test-api-key' },
+          maxConcurrentRequests: { value: maxConcurrentRequests }
+        };
+
+        const errors = await validateOptionsAsync(options);
+
+        expect(errors).toEqual([
+          { key: 'maxConcurrentRequests', message: expect.any(String) }
+        ]);
+      }
+    });
+  });
+
+  describe('Timeout Validation', () => {
+    test('should accept lookup and mutation timeouts within range', async () => {
+      const errors = await validateOptionsAsync({
+        url: { value: 'https://tc.example.com' },
+        apiKey: { value: 'test-api-key' },
+        lookupTimeout: { value: 300 },
+        mutationTimeout: { value: 1 }
+      });
+
+      expect(errors).toEqual([]);
+    });
+
+    test('should reject timeouts outside of their range', async () => {
+      const errors = await validateOptionsAsync({
+        url: { value: 'https://tc.example.com' },
+        apiKey: { value: 'test-api-key' },
+        lookupTimeout: { value: 0 },
+        mutationTimeout: { value: 601 }
+      });
+
+      expect(errors).toEqual([
+        { key: 'lookupTimeout', message: expect.stringContaining('between 1 and 300') },
+        { key: 'mutationTimeout', message: expect.stringContaining('between 1 and 600') }
+      ]);
+    });
+  });
+
+  describe('User API Key Validation', () => {
+    test('should verify the user API key with OpenCTI', async () => {
+      mockMakeOpenCTIRequest.mockResolvedValueOnce({
+        me: { id: 'user-1', name: 'Analyst', capabilities: [{ name: 'BYPASS' }] }
+      });
+
+      const options = {
+        url: { value: 'https://tc.example.com/' },
+        apiKey: { value: 'test-api-key' },
+        userApiKey: { value: 'analyst-api-key' }
+      };
+
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([]);
+      expect(mockMakeOpenCTIRequest).toHaveBeenCalledWith(
+        expect.stringContaining('me {'),
+        {},
+        expect.objectContaining({
+          url: 'https://tc.example.com',
+          apiKey: 'analyst-api-key'
+        }),
+        expect.anything()
+      );
+    });
+
+    test('should reject a user API key which cannot authenticate', async () => {
+      mockMakeOpenCTIRequest.mockImplementation(async (query, variables, { apiKey }) => {
+        if (apiKey === 'expired-api-key') throw new Error('Authentication required');
+        return { me: { id: 'user-1', name: 'Analyst', capabilities: [{ name: 'BYPASS' }] } };
+      });
+
+      const options = {
+        url: { value: 'https://tc.example.com' },
+        apiKey: { value: 'test-api-key' },
+        userApiKey: { value: 'expired-api-key' }
+      };
+
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([{ key: 'userApiKey', message: expect.any(String) }]);
+    });
+  });
+
+  describe('Connection Test', () => {
+    const options = {
+      url: { value: 'https://tc.example.com' },
+      apiKey: { value: 'test-api-key' }
+    };
+
+    test('should test the connection with the shared API key', async () => {
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([]);
+      expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(1);
+      expect(mockMakeOpenCTIRequest).toHaveBeenCalledWith(
+        expect.stringContaining('capabilities'),
+        {},
+        expect.objectContaining({
+          url: 'https://tc.example.com',
+          apiKey: 'test-api-key'
+        }),
+        expect.anything()
+      );
+    });
+
+    test('should report an invalid API key on the apiKey option', async () => {
+      const error = new Error('You must be logged in to do this.');
+      error.originalError = {
+        message: 'You must be logged in to do this.',
+        body: {
+          errors: [
+            {
+              message: 'You must be logged in to do this.',
+              extensions: { code: 'AUTH_REQUIRED' }
+            }
+          ]
+        }
+      };
+      mockMakeOpenCTIRequest.mockRejectedValue(error);
+
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([
+        { key: 'apiKey', message: expect.stringContaining('invalid or expired') }
+      ]);
+    });
+
+    test('should report network and SSL failures on the url option', async () => {
+      const error = new Error('Request failed');
+      error.originalError = new Error('unable to verify the first certificate');
+      mockMakeOpenCTIRequest.mockRejectedValue(error);
+
+      const errors = await validateOptionsAsync({
+        ...options,
+        userApiKey: { value: 'analyst-api-key' }
+      });
+
+      expect(errors).toEqual([
+        { key: 'url', message: expect.stringContaining('SSL certificate') }
+      ]);
+      expect(mockMakeOpenCTIRequest).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report SSL certificate errors on the TLS option that can fix them', async () => {
+      const error = new Error('Request failed');
+      error.originalError = Object.assign(new Error('self-signed certificate'), {
+        code: 'DEPTH_ZERO_SELF_SIGNED_CERT'
+      });
+      mockMakeOpenCTIRequest.mockRejectedValue(error);
+
+      const errors = await validateOptionsAsync(options);
+
+      expect(errors).toEqual([
+        { key: 'caBundlePath', message: expect.stringContaining('CA Bundle Path') }
+      ]);
+    });
+
+    test('should test the connection with the TLS and proxy options', async () => {
+      const errors = await validateOptionsAsync({
+        ...options,
+        proxyUrl: { value: 'http://proxy.example.com:8080' },
+        allowInsecureConnections: { value: true }
+      });
+
+      expect(errors).toEqual([]);
+      expect(mockMakeOpenCTIRequest).toHaveBeenCalledWith(
+        expect.any(String),
+        {},
+        expect.objectContaining({
+          proxyUrl: 'http://proxy.example.com:8080',
+          allowInsecureConnections: true
+        }),
+        expect.anything()
+      );
+    });
+
+    test('should not test the connection when the TLS options are invalid', async () => {
+      const errors = await validateOptionsAsync({
+        ...options,
+        caBundlePath: { value: '/path/that/does/not/exist/ca.pem' },
+        clientCertPath: { value: __filename },
+        proxyUrl: { value: 'proxy.example.com' }
+      });
+
+      expect(errors).toEqual([
+        expect.objectContaining({ key: 'caBundlePath' }),
+        expect.objectContaining({ key: 'clientKeyPath' }),
+        expect.objectContaining({ key: 'proxyUrl' })
+      ]);
+      expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+    });
+
+    test('should not test the connection when the options are invalid', async () => {
+      const errors = await validateOptionsAsync({ ...options, apiKey: { value: '' } });
+
+      expect(errors).toEqual([expect.objectContaining({ key: 'apiKey' })]);
+      expect(mockMakeOpenCTIRequest).not.toHaveBeenCalled();
+    });
+
+    test('should make a single connection test attempt', async () => {
+      await validateOptionsAsync(options);
+
+      expect(mockMakeOpenCTIRequest).toHaveBeenCalledWith(
+        expect.any(String),
+        {},
+        expect.any(Object),
+        { singleAttempt: true, timeout: 10000 }
+      );
+    });
+
+    test('should not fail when the API Key user is missing capabilities', async () => {
+      mockMakeOpenCTIRequest.mockResolvedValue({
+        me: { id: 'user-1', name: 'Read Only', capabilities: [{ name: 'KNOWLEDGE' }] }
+      });
+      const readOnlyOptions = {
+        ...options,
+        apiKey: { value: 'read-only-api-key' },
+        deletionPermissions: [{ value: 'indicators', display: 'Allow Indicator Deletion' }]
+      };
+
+      const firstErrors = await validateOptionsAsync(readOnlyOptions);
+      const secondErrors = await validateOptionsAsync(readOnlyOptions);
+
+      expect(firstErrors).toEqual([]);
+      expect(secondErrors).toEqual([]);
+    });
+  });
+
   describe('Default Configuration Values', () => {
     test('should accept empty arrays for new configuration options', async () => {
       const options = {